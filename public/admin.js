@@ -0,0 +1,670 @@
+const TOKEN_STORAGE_KEY = "dalle_goblin_admin_token";
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_HEIGHT = 160;
+const SERIES = [
+  { requestType: "generate", keySource: "server_default", label: "Generate · server key", color: "#2f6f5f" },
+  { requestType: "generate", keySource: "user_supplied", label: "Generate · user key", color: "#7fb3a3" },
+  { requestType: "generate", keySource: "subscription", label: "Generate · subscription", color: "#4a5f8f" },
+  { requestType: "generate", keySource: "credits", label: "Generate · credits", color: "#8f6a2f" },
+  { requestType: "edit", keySource: "server_default", label: "Edit · server key", color: "#a0522d" },
+  { requestType: "edit", keySource: "user_supplied", label: "Edit · user key", color: "#d9a47c" },
+  { requestType: "edit", keySource: "subscription", label: "Edit · subscription", color: "#9aa8cc" },
+  { requestType: "edit", keySource: "credits", label: "Edit · credits", color: "#d4b77c" }
+];
+
+const tokenFormEl = document.getElementById("adminTokenForm");
+const tokenEl = document.getElementById("adminToken");
+const signOutBtn = document.getElementById("adminSignOut");
+const statusEl = document.getElementById("adminStatus");
+const dashboardEl = document.getElementById("adminDashboard");
+const daysEl = document.getElementById("adminDays");
+const requestsChartEl = document.getElementById("adminRequestsChart");
+const requestsLegendEl = document.getElementById("adminRequestsLegend");
+const blockedChartEl = document.getElementById("adminBlockedChart");
+const topIpsEl = document.getElementById("adminTopIps");
+const errorsEl = document.getElementById("adminErrors");
+const tableTabsEl = document.getElementById("adminTableTabs");
+const filtersEl = document.getElementById("adminFilters");
+const tableEl = document.getElementById("adminTable");
+const tableStatusEl = document.getElementById("adminTableStatus");
+const loadMoreBtn = document.getElementById("adminLoadMore");
+const interestRangeEl = document.getElementById("adminInterestRange");
+const funnelEl = document.getElementById("adminFunnel");
+const willingnessSummaryEl = document.getElementById("adminWillingnessSummary");
+const willingnessChartEl = document.getElementById("adminWillingnessChart");
+const exportSubmissionsBtn = document.getElementById("adminExportSubmissions");
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+function formatFlag(value) {
+  return value ? "yes" : "";
+}
+
+function formatAmount(value) {
+  return value === null || value === undefined ? "" : "$" + Number(value).toFixed(2);
+}
+
+function formatRate(value) {
+  return value === null || value === undefined ? "" : (value * 100).toFixed(1) + "%";
+}
+
+function formatCount(value) {
+  return value === null || value === undefined ? "–" : String(value);
+}
+
+const DATE_FILTERS = [
+  { name: "from", label: "From", type: "date" },
+  { name: "to", label: "To", type: "date" }
+];
+
+const TABLES = {
+  "request-logs": {
+    label: "Request logs",
+    filters: [
+      { name: "ip", label: "IP" },
+      { name: "request_type", label: "Type", options: ["generate", "edit"] },
+      { name: "key_source", label: "Key", options: ["server_default", "user_supplied", "subscription", "credits"] },
+      { name: "blocked", label: "Blocked", options: ["true", "false"] },
+      { name: "failed", label: "Failed", options: ["true", "false"] },
+      { name: "q", label: "Prompt or error" },
+      ...DATE_FILTERS
+    ],
+    columns: [
+      { key: "created_at", label: "Time", format: formatTime },
+      { key: "ip_address", label: "IP", filter: "ip" },
+      { key: "request_type", label: "Type" },
+      { key: "key_source", label: "Key" },
+      { key: "quality", label: "Quality" },
+      { key: "size", label: "Size" },
+      { key: "image_count", label: "Images" },
+      { key: "blocked", label: "Blocked", format: formatFlag },
+      { key: "prompt_text", label: "Prompt", wide: true },
+      { key: "error_message", label: "Error", wide: true }
+    ]
+  },
+  "api-keys": {
+    label: "API keys",
+    filters: [
+      { name: "fingerprint", label: "Fingerprint prefix" },
+      { name: "ip", label: "First seen IP" }
+    ],
+    columns: [
+      { key: "fingerprint", label: "Fingerprint", format: (value) => value.slice(0, 16) + "…" },
+      { key: "first_seen_ip", label: "First seen IP" },
+      { key: "request_count", label: "Requests" },
+      { key: "image_count", label: "Images" },
+      { key: "created_at", label: "Added", format: formatTime },
+      { key: "last_used_at", label: "Last used", format: formatTime }
+    ]
+  },
+  "interest-events": {
+    label: "Interest events",
+    filters: [
+      { name: "event_type", label: "Event" },
+      { name: "ip", label: "IP" },
+      ...DATE_FILTERS
+    ],
+    columns: [
+      { key: "created_at", label: "Time", format: formatTime },
+      { key: "event_type", label: "Event", filter: "event_type" },
+      { key: "reason", label: "Reason" },
+      { key: "ip_address", label: "IP", filter: "ip" },
+      { key: "user_agent", label: "User agent", wide: true }
+    ]
+  },
+  "interest-submissions": {
+    label: "Interest submissions",
+    filters: [{ name: "q", label: "Email or comment" }, ...DATE_FILTERS],
+    columns: [
+      { key: "created_at", label: "Time", format: formatTime },
+      { key: "email", label: "Email" },
+      { key: "willingness_amount", label: "Would pay", format: formatAmount },
+      { key: "reason", label: "Reason" },
+      { key: "comments", label: "Comments", wide: true },
+      { key: "ip_address", label: "IP" }
+    ]
+  },
+  "contact-messages": {
+    label: "Contact inbox",
+    filters: [
+      { name: "status", label: "Status", options: ["inbox", "unread", "read", "archived"], default: "inbox" },
+      { name: "replied", label: "Replied", options: ["true", "false"] },
+      { name: "q", label: "Email or message" },
+      ...DATE_FILTERS
+    ],
+    renderItems: renderInbox
+  }
+};
+
+let activeTable = "request-logs";
+let nextCursor = null;
+let tableLoading = false;
+let shownRows = 0;
+let inboxUnreadCount = 0;
+
+function getStoredToken() {
+  return sessionStorage.getItem(TOKEN_STORAGE_KEY) || "";
+}
+
+function createAuthError(basicAuth) {
+  const error = new Error("Admin credentials required.");
+  error.code = "ADMIN_AUTH_REQUIRED";
+  error.basicAuth = basicAuth;
+  return error;
+}
+
+// With basic auth configured the browser asks for credentials itself on the first 401.
+async function adminFetch(path, params, { method = "GET", body, raw = false } = {}) {
+  const token = getStoredToken();
+  const query = params ? "?" + params.toString() : "";
+  const headers = token ? { Authorization: "Bearer " + token } : {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const response = await fetch("/api/admin" + path + query, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (raw && response.ok) {
+    return response;
+  }
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    throw createAuthError(response.headers.has("www-authenticate"));
+  }
+  if (!response.ok) {
+    throw new Error(data.error || "Request failed");
+  }
+  return data;
+}
+
+function showTokenForm(message) {
+  dashboardEl.classList.add("hidden");
+  tokenFormEl.classList.remove("hidden");
+  signOutBtn.classList.add("hidden");
+  statusEl.textContent = message || "";
+  tokenEl.focus();
+}
+
+function handleError(error, targetEl) {
+  if (error?.code === "ADMIN_AUTH_REQUIRED") {
+    if (getStoredToken()) {
+      showTokenForm("That token was not accepted.");
+    } else {
+      showTokenForm(error.basicAuth ? "Reload the page to enter the admin username and password, or use a token." : "");
+    }
+    return;
+  }
+  targetEl.textContent = "Error: " + (error?.message || "Unknown error");
+}
+
+function createSvgElement(name, attributes) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) {
+    el.setAttribute(key, String(value));
+  }
+  return el;
+}
+
+// The server groups by its own calendar day; the axis lists the same number of days ending today.
+function listRecentDays(count) {
+  const days = [];
+  const cursor = new Date();
+  for (let i = 0; i < count; i += 1) {
+    const year = cursor.getFullYear();
+    const month = String(cursor.getMonth() + 1).padStart(2, "0");
+    const day = String(cursor.getDate()).padStart(2, "0");
+    days.unshift(year + "-" + month + "-" + day);
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return days;
+}
+
+// `bars` is one array of { value, color, title } segments per day, stacked bottom to top.
+function renderBarChart(containerEl, days, bars, { maxValue, formatAxis, formatLabel = (day) => day.slice(5) }) {
+  const width = Math.max(containerEl.clientWidth, 300);
+  const barWidth = width / days.length;
+  const svg = createSvgElement("svg", {
+    viewBox: "0 0 " + width + " " + (CHART_HEIGHT + 18),
+    role: "img"
+  });
+  const scale = maxValue > 0 ? CHART_HEIGHT / maxValue : 0;
+
+  days.forEach((day, index) => {
+    let top = CHART_HEIGHT;
+    for (const segment of bars[index]) {
+      if (!segment.value) continue;
+      const height = Math.max(segment.value * scale, 1);
+      top -= height;
+      const rect = createSvgElement("rect", {
+        x: index * barWidth + 1,
+        y: top,
+        width: Math.max(barWidth - 2, 1),
+        height,
+        fill: segment.color
+      });
+      const title = createSvgElement("title", {});
+      title.textContent = day + ": " + segment.title;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+    }
+  });
+
+  const labelEvery = Math.ceil(days.length / 8);
+  days.forEach((day, index) => {
+    if (index % labelEvery !== 0) return;
+    const label = createSvgElement("text", { x: index * barWidth + 1, y: CHART_HEIGHT + 14, class: "admin-chart-label" });
+    label.textContent = formatLabel(day);
+    svg.appendChild(label);
+  });
+  const maxLabel = createSvgElement("text", { x: width - 2, y: 10, "text-anchor": "end", class: "admin-chart-label" });
+  maxLabel.textContent = formatAxis(maxValue);
+  svg.appendChild(maxLabel);
+
+  containerEl.replaceChildren(svg);
+}
+
+function renderRequestsChart(days, daily) {
+  const byDay = new Map(days.map((day) => [day, new Map()]));
+  for (const row of daily) {
+    byDay.get(row.day)?.set(row.request_type + "|" + row.key_source, row.succeeded);
+  }
+  const bars = days.map((day) => SERIES.map((series) => {
+    const value = byDay.get(day).get(series.requestType + "|" + series.keySource) || 0;
+    return { value, color: series.color, title: series.label + " " + value };
+  }));
+  const maxValue = Math.max(0, ...bars.map((segments) => segments.reduce((sum, segment) => sum + segment.value, 0)));
+  renderBarChart(requestsChartEl, days, bars, { maxValue, formatAxis: (value) => String(value) });
+
+  requestsLegendEl.replaceChildren(...SERIES.map((series) => {
+    const item = document.createElement("span");
+    const swatch = document.createElement("i");
+    swatch.style.background = series.color;
+    item.append(swatch, series.label);
+    return item;
+  }));
+}
+
+function renderBlockedChart(days, daily) {
+  const totals = new Map(days.map((day) => [day, { total: 0, blocked: 0 }]));
+  for (const row of daily) {
+    const entry = totals.get(row.day);
+    if (!entry) continue;
+    entry.total += row.total;
+    entry.blocked += row.blocked;
+  }
+  const bars = days.map((day) => {
+    const { total, blocked } = totals.get(day);
+    const rate = total ? (blocked / total) * 100 : 0;
+    return [{ value: rate, color: "#b23b3b", title: rate.toFixed(1) + "% (" + blocked + " of " + total + ")" }];
+  });
+  renderBarChart(blockedChartEl, days, bars, { maxValue: 100, formatAxis: (value) => value + "%" });
+}
+
+function renderTable(containerEl, columns, rows, { append = false, onFilter } = {}) {
+  let table = containerEl.querySelector("table");
+  if (!append || !table) {
+    table = document.createElement("table");
+    table.className = "admin-table";
+    const headRow = document.createElement("tr");
+    for (const column of columns) {
+      const th = document.createElement("th");
+      th.textContent = column.label;
+      headRow.appendChild(th);
+    }
+    table.createTHead().appendChild(headRow);
+    table.createTBody();
+    containerEl.replaceChildren(table);
+  }
+
+  const body = table.tBodies[0];
+  for (const row of rows) {
+    const tr = document.createElement("tr");
+    for (const column of columns) {
+      const td = document.createElement("td");
+      const raw = row[column.key];
+      const text = column.format ? column.format(raw) : raw ?? "";
+      if (column.wide) td.className = "admin-wide";
+      if (column.filter && raw && onFilter) {
+        const link = document.createElement("button");
+        link.type = "button";
+        link.className = "admin-filter-link";
+        link.textContent = text;
+        link.title = "Filter by this value";
+        link.addEventListener("click", () => onFilter(column.filter, raw));
+        td.appendChild(link);
+      } else {
+        td.textContent = text;
+      }
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+}
+
+function setInboxUnreadCount(count) {
+  inboxUnreadCount = Math.max(0, count);
+  const tab = tableTabsEl.querySelector('[data-table="contact-messages"]');
+  if (tab) tab.textContent = TABLES["contact-messages"].label + (inboxUnreadCount ? " (" + inboxUnreadCount + ")" : "");
+}
+
+async function updateContactMessage(item, changes, cardEl) {
+  const buttons = cardEl.querySelectorAll("button, textarea");
+  buttons.forEach((el) => { el.disabled = true; });
+  try {
+    const data = await adminFetch("/contact-messages/" + item.id, null, { method: "PATCH", body: changes });
+    if (item.status !== data.item.status && (item.status === "unread" || data.item.status === "unread")) {
+      setInboxUnreadCount(inboxUnreadCount + (data.item.status === "unread" ? 1 : -1));
+    }
+    cardEl.replaceWith(createInboxCard(data.item));
+  } catch (error) {
+    buttons.forEach((el) => { el.disabled = false; });
+    handleError(error, tableStatusEl);
+  }
+}
+
+function createInboxButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "secondary";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function createInboxCard(item) {
+  const card = document.createElement("article");
+  card.className = "inbox-item " + item.status;
+
+  const head = document.createElement("div");
+  head.className = "inbox-head";
+  const email = document.createElement("a");
+  email.href = "mailto:" + encodeURIComponent(item.email) + "?subject=" + encodeURIComponent("Re: your message to Dall-E Goblin");
+  email.textContent = item.email;
+  const meta = document.createElement("span");
+  meta.className = "hint";
+  meta.textContent = [
+    formatTime(item.created_at),
+    item.status,
+    item.replied_at ? "replied " + formatTime(item.replied_at) : "",
+    item.ip_address || ""
+  ].filter(Boolean).join(" · ");
+  head.append(email, meta);
+
+  const message = document.createElement("p");
+  message.className = "inbox-message";
+  message.textContent = item.message;
+
+  const notes = document.createElement("textarea");
+  notes.className = "inbox-notes";
+  notes.placeholder = "Notes for the team";
+  notes.value = item.notes;
+  notes.rows = 2;
+
+  const actions = document.createElement("div");
+  actions.className = "row";
+  actions.append(
+    createInboxButton(item.status === "unread" ? "Mark read" : "Mark unread", () => {
+      void updateContactMessage(item, { status: item.status === "unread" ? "read" : "unread" }, card);
+    }),
+    createInboxButton(item.status === "archived" ? "Move to inbox" : "Archive", () => {
+      void updateContactMessage(item, { status: item.status === "archived" ? "read" : "archived" }, card);
+    }),
+    createInboxButton(item.replied_at ? "Clear replied" : "Mark replied", () => {
+      void updateContactMessage(item, { replied: !item.replied_at }, card);
+    }),
+    createInboxButton("Save notes", () => {
+      void updateContactMessage(item, { notes: notes.value }, card);
+    })
+  );
+
+  card.append(head, message, notes, actions);
+  return card;
+}
+
+function renderInbox(containerEl, items, { append }) {
+  let list = containerEl.querySelector(".inbox-list");
+  if (!append || !list) {
+    list = document.createElement("div");
+    list.className = "inbox-list";
+    containerEl.replaceChildren(list);
+  }
+  list.append(...items.map(createInboxCard));
+}
+
+function describeBucket(bucket) {
+  return bucket.max === null ? "$" + bucket.min + "+" : "$" + bucket.min + "–" + bucket.max;
+}
+
+async function loadInterestReport() {
+  const params = new URLSearchParams();
+  for (const [name, value] of new FormData(interestRangeEl)) {
+    if (value) params.set(name, String(value));
+  }
+  try {
+    const report = await adminFetch("/interest-report", params);
+    renderTable(funnelEl, [
+      { key: "reason", label: "Reason" },
+      { key: "shown", label: "Shown" },
+      { key: "shown_visitors", label: "Visitors", format: formatCount },
+      { key: "subscribe_clicks", label: "Subscribe clicks" },
+      { key: "subscribe_rate", label: "Of shown", format: formatRate },
+      { key: "submissions", label: "Submissions" },
+      { key: "submission_rate", label: "Of clicks", format: formatRate },
+      { key: "overall_rate", label: "Overall", format: formatRate },
+      { key: "own_key_clicks", label: "Own key clicks" }
+    ], report.funnel);
+
+    const { willingness } = report;
+    const byReason = Object.entries(willingness.by_reason)
+      .filter(([, summary]) => summary.count)
+      .map(([reason, summary]) => reason + ": median " + formatAmount(summary.median) + " (" + summary.count + ")");
+    willingnessSummaryEl.textContent = willingness.count
+      ? [
+        willingness.count + " amounts",
+        "median " + formatAmount(willingness.median),
+        "mean " + formatAmount(willingness.mean),
+        ...byReason
+      ].join(" · ")
+      : "No amounts submitted in this period.";
+    const labels = willingness.histogram.map(describeBucket);
+    renderBarChart(willingnessChartEl, labels, willingness.histogram.map((bucket, index) => [{
+      value: bucket.count,
+      color: "#2f6f5f",
+      title: bucket.count + " " + (bucket.count === 1 ? "person" : "people") + " (" + labels[index] + ")"
+    }]), {
+      maxValue: Math.max(0, ...willingness.histogram.map((bucket) => bucket.count)),
+      formatAxis: (value) => String(value),
+      formatLabel: (label) => label
+    });
+  } catch (error) {
+    handleError(error, statusEl);
+  }
+}
+
+// Exports with the table's current submission filters when that table is open, otherwise the report's date range.
+async function exportSubmissions() {
+  const params = activeTable === "interest-submissions" ? readFilters() : new URLSearchParams();
+  if (activeTable !== "interest-submissions") {
+    for (const [name, value] of new FormData(interestRangeEl)) {
+      if (value) params.set(name, String(value));
+    }
+  }
+  exportSubmissionsBtn.disabled = true;
+  try {
+    const response = await adminFetch("/interest-submissions.csv", params, { raw: true });
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "interest-submissions.csv";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    handleError(error, statusEl);
+  } finally {
+    exportSubmissionsBtn.disabled = false;
+  }
+}
+
+async function loadOverview() {
+  const days = Number(daysEl.value);
+  try {
+    const data = await adminFetch("/overview", new URLSearchParams({ days: String(days) }));
+    const dayList = listRecentDays(data.days);
+    setInboxUnreadCount(data.unread_contact_messages);
+    renderRequestsChart(dayList, data.daily);
+    renderBlockedChart(dayList, data.daily);
+    renderTable(topIpsEl, [
+      { key: "ip_address", label: "IP", filter: "ip" },
+      { key: "total", label: "Requests" },
+      { key: "images", label: "Images" },
+      { key: "blocked", label: "Blocked" },
+      { key: "failed", label: "Failed" },
+      { key: "api_keys", label: "Own keys" },
+      { key: "last_seen_at", label: "Last seen", format: formatTime }
+    ], data.top_ips, {
+      onFilter: (name, value) => openTable("request-logs", { [name]: value })
+    });
+    renderTable(errorsEl, [
+      { key: "error_message", label: "Message", wide: true },
+      { key: "blocked", label: "Blocked", format: formatFlag },
+      { key: "total", label: "Count" },
+      { key: "last_seen_at", label: "Last seen", format: formatTime }
+    ], data.errors);
+    return true;
+  } catch (error) {
+    handleError(error, statusEl);
+    return false;
+  }
+}
+
+function renderFilters(values = {}) {
+  const config = TABLES[activeTable];
+  filtersEl.replaceChildren();
+  for (const filter of config.filters) {
+    const label = document.createElement("label");
+    label.className = "admin-filter";
+    label.textContent = filter.label;
+    let input;
+    if (filter.options) {
+      input = document.createElement("select");
+      for (const value of ["", ...filter.options]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value || "Any";
+        input.appendChild(option);
+      }
+    } else {
+      input = document.createElement("input");
+      input.type = filter.type || "search";
+    }
+    input.name = filter.name;
+    input.value = values[filter.name] ?? filter.default ?? "";
+    label.appendChild(input);
+    filtersEl.appendChild(label);
+  }
+  const submit = document.createElement("button");
+  submit.type = "submit";
+  submit.textContent = "Apply";
+  filtersEl.appendChild(submit);
+}
+
+function readFilters() {
+  const params = new URLSearchParams();
+  for (const [name, value] of new FormData(filtersEl)) {
+    if (String(value).trim()) params.set(name, String(value).trim());
+  }
+  return params;
+}
+
+async function loadTable(reset) {
+  if (tableLoading) return;
+  tableLoading = true;
+  loadMoreBtn.disabled = true;
+  const config = TABLES[activeTable];
+  const params = readFilters();
+  if (!reset && nextCursor) params.set("cursor", String(nextCursor));
+
+  try {
+    const data = await adminFetch("/" + activeTable, params);
+    const onFilter = (name, value) => openTable(activeTable, { ...Object.fromEntries(readFilters()), [name]: value });
+    if (config.renderItems) {
+      config.renderItems(tableEl, data.items, { append: !reset });
+    } else {
+      renderTable(tableEl, config.columns, data.items, { append: !reset, onFilter });
+    }
+    if (data.unread_count !== undefined) setInboxUnreadCount(data.unread_count);
+    nextCursor = data.next_cursor;
+    shownRows = (reset ? 0 : shownRows) + data.items.length;
+    tableStatusEl.textContent = shownRows ? shownRows + " rows shown." : "No rows match.";
+  } catch (error) {
+    handleError(error, tableStatusEl);
+  } finally {
+    tableLoading = false;
+    loadMoreBtn.disabled = false;
+    loadMoreBtn.classList.toggle("hidden", !nextCursor);
+  }
+}
+
+function openTable(name, filters = {}) {
+  activeTable = name;
+  nextCursor = null;
+  for (const button of tableTabsEl.children) {
+    button.classList.toggle("active", button.dataset.table === name);
+  }
+  renderFilters(filters);
+  void loadTable(true);
+}
+
+function renderTableTabs() {
+  for (const [name, config] of Object.entries(TABLES)) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "tab";
+    button.dataset.table = name;
+    button.textContent = config.label;
+    button.addEventListener("click", () => openTable(name));
+    tableTabsEl.appendChild(button);
+  }
+}
+
+// The dashboard is shown before the first load so the charts can size themselves to it.
+async function openDashboard() {
+  statusEl.textContent = "Loading...";
+  tokenFormEl.classList.add("hidden");
+  dashboardEl.classList.remove("hidden");
+  if (!(await loadOverview())) return;
+  statusEl.textContent = "";
+  signOutBtn.classList.toggle("hidden", !getStoredToken());
+  void loadInterestReport();
+  openTable(activeTable);
+}
+
+tokenFormEl.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const token = tokenEl.value.trim();
+  if (!token) return;
+  sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+  tokenEl.value = "";
+  void openDashboard();
+});
+signOutBtn.addEventListener("click", () => {
+  sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+  showTokenForm("");
+});
+daysEl.addEventListener("change", () => void loadOverview());
+filtersEl.addEventListener("submit", (event) => {
+  event.preventDefault();
+  nextCursor = null;
+  void loadTable(true);
+});
+loadMoreBtn.addEventListener("click", () => void loadTable(false));
+interestRangeEl.addEventListener("submit", (event) => {
+  event.preventDefault();
+  void loadInterestReport();
+});
+exportSubmissionsBtn.addEventListener("click", () => void exportSubmissions());
+
+renderTableTabs();
+await openDashboard();
@@ -1,6 +1,8 @@
-const MAX_IMAGES_PER_TAB = 16;
+import { createZip, readZip, readZipText } from "./zipArchive.js";
+
+const DEFAULT_HISTORY_CAPACITY = 16;
 const DB_NAME = "dalle-goblin";
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const CREATE_STORE = "create_history";
 const EDIT_STORE = "edit_history";
 
@@ -16,6 +18,7 @@ const externalEditPromptEl = document.getElementById("externalEditPrompt");
 const sizeEl = document.getElementById("size");
 const qualityEl = document.getElementById("quality");
 const formatEl = document.getElementById("format");
+const imageCountEl = document.getElementById("imageCount");
 const toggleApiKeyPanelBtn = document.getElementById("toggleApiKeyPanel");
 const apiKeyPanelBodyEl = document.getElementById("apiKeyPanelBody");
 const toggleOutputSettingsPanelBtn = document.getElementById("toggleOutputSettingsPanel");
@@ -78,12 +81,18 @@ const selectedEditThumbEl = document.getElementById("selectedEditThumb");
 const editResultStatusEl = document.getElementById("editResultStatus");
 const editResultCanvasEl = document.getElementById("editResultCanvas");
 const editResultActionsEl = document.getElementById("editResultActions");
+const createCandidatesSectionEl = document.getElementById("createCandidatesSection");
+const createCandidatesEl = document.getElementById("createCandidates");
+const keepAllCandidatesBtn = document.getElementById("keepAllCandidates");
+const discardAllCandidatesBtn = document.getElementById("discardAllCandidates");
 const createHistoryEl = document.getElementById("createHistory");
 const editHistoryEl = document.getElementById("editHistory");
 const createHistoryCountEl = document.getElementById("createHistoryCount");
 const editHistoryCountEl = document.getElementById("editHistoryCount");
 const clearCreateHistoryBtn = document.getElementById("clearCreateHistory");
 const clearEditHistoryBtn = document.getElementById("clearEditHistory");
+const toggleCreateLineageBtn = document.getElementById("toggleCreateLineage");
+const toggleEditLineageBtn = document.getElementById("toggleEditLineage");
 const quickDownloadEl = document.getElementById("quickDownload");
 const paywallModalEl = document.getElementById("paywallModal");
 const paywallCloseEl = document.getElementById("paywallClose");
@@ -98,6 +107,10 @@ const interestCommentsEl = document.getElementById("interestComments");
 const interestErrorEl = document.getElementById("interestError");
 const interestSubmitEl = document.getElementById("interestSubmit");
 const interestBackEl = document.getElementById("interestBack");
+const paywallPlansEl = document.getElementById("paywallPlans");
+const paywallPlanListEl = document.getElementById("paywallPlanList");
+const paywallPlansErrorEl = document.getElementById("paywallPlansError");
+const paywallPlansBackEl = document.getElementById("paywallPlansBack");
 const contactEmailEl = document.getElementById("contactEmail");
 const contactMessageEl = document.getElementById("contactMessage");
 const contactWebsiteEl = document.getElementById("contactWebsite");
@@ -108,6 +121,61 @@ const contactModalEl = document.getElementById("contactModal");
 const contactModalCloseEl = document.getElementById("contactModalClose");
 const clearBackgroundImageBtn = document.getElementById("clearBackgroundImage");
 const siteBackgroundEl = document.getElementById("siteBackground");
+const toggleAccountPanelBtn = document.getElementById("toggleAccountPanel");
+const toggleHistoryPanelBtn = document.getElementById("toggleHistoryPanel");
+const historyPanelBodyEl = document.getElementById("historyPanelBody");
+const exportHistoryBtn = document.getElementById("exportHistory");
+const importHistoryBtn = document.getElementById("importHistory");
+const importHistoryFileEl = document.getElementById("importHistoryFile");
+const historyBackupStatusEl = document.getElementById("historyBackupStatus");
+const historyCapacityEl = document.getElementById("historyCapacity");
+const saveHistoryCapacityBtn = document.getElementById("saveHistoryCapacity");
+const historyAskBeforeEvictEl = document.getElementById("historyAskBeforeEvict");
+const historyStorageInfoEl = document.getElementById("historyStorageInfo");
+const accountPanelBodyEl = document.getElementById("accountPanelBody");
+const accountSignedOutEl = document.getElementById("accountSignedOut");
+const accountSignedInEl = document.getElementById("accountSignedIn");
+const accountEmailEl = document.getElementById("accountEmail");
+const accountPasswordEl = document.getElementById("accountPassword");
+const accountRegisterBtn = document.getElementById("accountRegister");
+const accountSignOutBtn = document.getElementById("accountSignOut");
+const accountEmailDisplayEl = document.getElementById("accountEmailDisplay");
+const accountStatusEl = document.getElementById("accountStatus");
+const subscriptionSectionEl = document.getElementById("subscriptionSection");
+const subscriptionSummaryEl = document.getElementById("subscriptionSummary");
+const showPlansBtn = document.getElementById("showPlans");
+const cancelSubscriptionBtn = document.getElementById("cancelSubscription");
+const librarySectionEl = document.getElementById("librarySection");
+const libraryCountEl = document.getElementById("libraryCount");
+const libraryTabEl = document.getElementById("libraryTab");
+const libraryGridEl = document.getElementById("libraryGrid");
+const libraryLoadMoreBtn = document.getElementById("libraryLoadMore");
+const openSharesModalEl = document.getElementById("openSharesModal");
+const sharesModalEl = document.getElementById("sharesModal");
+const sharesModalCloseEl = document.getElementById("sharesModalClose");
+const sharesListEl = document.getElementById("sharesList");
+const sharesStatusEl = document.getElementById("sharesStatus");
+const previewMaskEl = document.getElementById("previewMask");
+const externalResultMaskEl = document.getElementById("externalResultMask");
+const quickCompareBtn = document.getElementById("quickCompare");
+const editResultCompareBtn = document.getElementById("editResultCompare");
+const quickRerunBtn = document.getElementById("quickRerun");
+const editResultRerunBtn = document.getElementById("editResultRerun");
+const compareModalEl = document.getElementById("compareModal");
+const compareModalCloseEl = document.getElementById("compareModalClose");
+const compareCaptionEl = document.getElementById("compareCaption");
+const compareModeSliderBtn = document.getElementById("compareModeSlider");
+const compareModeSideBtn = document.getElementById("compareModeSide");
+const compareDiffToggleEl = document.getElementById("compareDiffToggle");
+const compareZoomOutBtn = document.getElementById("compareZoomOut");
+const compareZoomInBtn = document.getElementById("compareZoomIn");
+const compareZoomResetBtn = document.getElementById("compareZoomReset");
+const compareStageEl = document.getElementById("compareStage");
+const compareBeforeImageEl = document.getElementById("compareBeforeImage");
+const compareAfterImageEl = document.getElementById("compareAfterImage");
+const compareDiffCanvasEl = document.getElementById("compareDiffCanvas");
+const compareHandleEl = document.getElementById("compareHandle");
+const compareSliderEl = document.getElementById("compareSlider");
 
 const allowedSourceMimeTypes = new Set(["image/jpeg", "image/png"]);
 const createHistory = [];
@@ -119,20 +187,63 @@ let createReferenceImages = [];
 let quickEditReferenceImages = [];
 let externalEditReferenceImages = [];
 let editResultReferenceImages = [];
+let createCandidates = [];
 let externalSourceImage = null;
 let isEditingSavedApiKey = false;
+let currentAccount = null;
+// Plans are only listed when the server has a payment provider; otherwise "Subscribe" joins the waitlist.
+let billingPlans = [];
+let currentSubscription = null;
+// Prepaid credits; `creditCosts` mirrors the server's size -> quality -> format price table.
+let creditBalance = 0;
+let creditCosts = null;
+let libraryItems = [];
+let libraryCursor = null;
+let libraryTotal = 0;
 let previousQualityValue = "low";
+let historyCapacity = DEFAULT_HISTORY_CAPACITY;
+let maxHistoryCapacity = 50;
+let compareState = null;
+let compareDrag = null;
+// Reason the paywall last opened for ("trial_expired" or "high_quality_locked"), sent with each funnel step.
+let paywallReason = null;
 
 const SETTINGS_STORAGE_KEY = "mini-dalle-settings-v1";
 const USER_API_KEY_STORAGE_KEY = "dalle-goblin-user-api-key";
 const API_KEY_PANEL_OPEN_STORAGE_KEY = "dalle-goblin-api-key-panel-open";
+const ACCOUNT_PANEL_OPEN_STORAGE_KEY = "dalle-goblin-account-panel-open";
+const HISTORY_PANEL_OPEN_STORAGE_KEY = "dalle-goblin-history-panel-open";
+const HISTORY_ARCHIVE_FORMAT = "dalle-goblin-history";
+const HISTORY_ARCHIVE_VERSION = 1;
+const HISTORY_CAPACITY_STORAGE_KEY = "dalle-goblin-history-capacity";
+const HISTORY_EVICTION_PROMPT_STORAGE_KEY = "dalle-goblin-history-ask-before-evicting";
+// Leave some of the origin's quota free; browsers may clear or reject writes close to the limit.
+const STORAGE_QUOTA_HEADROOM = 0.9;
+const MASK_PAINT_COLOR = "#d9412b";
+const JOB_POLL_INTERVAL_MS = 1500;
+const JOB_MAX_WAIT_MS = 10 * 60 * 1000;
+const JOB_MAX_POLL_FAILURES = 3;
 const OUTPUT_SETTINGS_PANEL_OPEN_STORAGE_KEY = "dalle-goblin-output-settings-panel-open";
 const ACTIVE_TAB_STORAGE_KEY = "dalle-goblin-active-tab";
 const BACKGROUND_IMAGE_STORAGE_KEY = "dalle-goblin-background-image-ref";
 const SHARE_REFINE_HANDOFF_STORAGE_KEY = "dalle-goblin-share-refine-handoff";
+const SHARE_OWNER_TOKENS_STORAGE_KEY = "dalle-goblin-share-owner-tokens";
+const HISTORY_LAYOUT_STORAGE_KEY = "dalle-goblin-history-layout";
+const COMPARE_MAX_ZOOM = 8;
+// Channel difference (0-255) below which pixels count as unchanged, to ignore compression noise.
+const COMPARE_DIFF_THRESHOLD = 24;
 
 let dbPromise = null;
 let requestLimitPerIp = 2;
+let freeUsage = null;
+let maxImagesPerRequest = 4;
+let providerCapabilities = {
+  sizes: new Set(["1024x1024", "1024x1536", "1536x1024"]),
+  qualities: new Set(["low", "medium", "high"]),
+  outputFormats: new Set(["jpeg", "png"]),
+  supportsStreaming: true,
+  supportsMask: true
+};
 
 function activeStatusScope() {
   return editPanelEl.style.display === "none" ? "create" : "edit";
@@ -141,8 +252,8 @@ function activeStatusScope() {
 function getStatusKind(message) {
   if (!message) return "";
   if (message.startsWith("Error:")) return "error";
-  if (/(created|saved|copied|cleared|sent|reused|thanks)/i.test(message)) return "success";
-  if (/(generating|editing|creating|sending)/i.test(message)) return "loading";
+  if (/(created|saved|copied|cleared|sent|reused|thanks|exported|imported)/i.test(message)) return "success";
+  if (/(generating|editing|creating|sending|queued|exporting|importing)/i.test(message)) return "loading";
   return "";
 }
 
@@ -164,75 +275,387 @@ function setStatus(message, scope = "auto") {
   }
 }
 
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBlob(b64, mimeType) {
+  return new Blob([base64ToBytes(b64)], { type: mimeType });
+}
+
+async function blobToBase64(blob) {
+  return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+// History entries keep the image as a Blob under `image`, in memory as in IndexedDB. Pages show it
+// through object URLs; base64 is only produced for request bodies. Version 1 records held `b64`.
+function toHistoryRecord(item) {
+  if (typeof item.b64 !== "string") return item;
+  const { b64, ...rest } = item;
+  return { ...rest, image: base64ToBlob(b64, item.mimeType) };
+}
+
+const imageObjectUrls = new Map();
+
+function getImageUrl(item) {
+  let url = imageObjectUrls.get(item.image);
+  if (!url) {
+    url = URL.createObjectURL(item.image);
+    imageObjectUrls.set(item.image, url);
+  }
+  return url;
+}
+
+// Revokes object URLs whose Blob no longer belongs to any history entry or candidate.
+function pruneImageUrls() {
+  const live = new Set([...createHistory, ...editHistory, ...createCandidates].map((entry) => entry.image));
+  for (const [blob, url] of imageObjectUrls) {
+    if (live.has(blob)) continue;
+    URL.revokeObjectURL(url);
+    imageObjectUrls.delete(blob);
+  }
+}
+
+async function blobsEqual(a, b) {
+  if (a.size !== b.size || a.type !== b.type) return false;
+  const [left, right] = (await Promise.all([a.arrayBuffer(), b.arrayBuffer()])).map((buffer) => new Uint8Array(buffer));
+  for (let index = 0; index < left.length; index += 1) {
+    if (left[index] !== right[index]) return false;
+  }
+  return true;
+}
+
 function openDB() {
   if (!dbPromise) {
     dbPromise = new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
-      request.onupgradeneeded = () => {
+      request.onupgradeneeded = (event) => {
         const db = request.result;
-        if (!db.objectStoreNames.contains(CREATE_STORE)) {
-          db.createObjectStore(CREATE_STORE, { keyPath: "id" });
-        }
-        if (!db.objectStoreNames.contains(EDIT_STORE)) {
-          db.createObjectStore(EDIT_STORE, { keyPath: "id" });
+        for (const storeName of [CREATE_STORE, EDIT_STORE]) {
+          const store = db.objectStoreNames.contains(storeName)
+            ? request.transaction.objectStore(storeName)
+            : db.createObjectStore(storeName, { keyPath: "id" });
+          if (!store.indexNames.contains("createdAt")) {
+            store.createIndex("createdAt", "createdAt");
+          }
+          // Version 1 stored base64 strings; rewrite each record as a Blob inside the upgrade transaction.
+          if (event.oldVersion > 0 && event.oldVersion < 2) {
+            store.openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result;
+              if (!cursor) return;
+              if (typeof cursor.value.b64 === "string") cursor.update(toHistoryRecord(cursor.value));
+              cursor.continue();
+            };
+          }
         }
       };
-      request.onsuccess = () => resolve(request.result);
+      // An open tab still on the older version holds the upgrade until it closes.
+      request.onblocked = () => {
+        setStatus("Close other tabs of this app so your saved history can be upgraded.");
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade instead of blocking it.
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+          setStatus("History was upgraded in another tab. Reload this page to keep using it.");
+        };
+        resolve(db);
+      };
       request.onerror = () => reject(request.error || new Error("Failed to open IndexedDB"));
     });
   }
   return dbPromise;
 }
 
-async function dbGetAll(storeName) {
+// Raw records, newest first, with images still as Blobs.
+async function dbGetAllRecords(storeName) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeName, "readonly");
-    const store = tx.objectStore(storeName);
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result || []);
+    const req = tx.objectStore(storeName).index("createdAt").getAll();
+    req.onsuccess = () => resolve((req.result || []).reverse());
     req.onerror = () => reject(req.error || new Error("Failed to read history"));
   });
 }
 
-async function dbReplaceAll(storeName, items) {
+async function dbGetAll(storeName) {
+  return (await dbGetAllRecords(storeName)).map(toHistoryRecord);
+}
+
+// Applies puts and deletes in one transaction, so a closed tab leaves either all or none of them.
+async function dbWriteChanges(storeName, { put = [], remove = [] }) {
+  const records = put.map(toHistoryRecord);
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeName, "readwrite");
     const store = tx.objectStore(storeName);
-    const clearReq = store.clear();
-    clearReq.onerror = () => reject(clearReq.error || new Error("Failed to clear store"));
-    clearReq.onsuccess = () => {
-      for (const item of items) {
-        store.put(item);
-      }
-    };
+    for (const record of records) store.put(record);
+    for (const id of remove) store.delete(id);
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error || new Error("Failed to write history"));
+    tx.onabort = () => reject(tx.error || new Error("History write was aborted"));
   });
 }
 
-async function dbAddCapped(storeName, item) {
-  const all = await dbGetAll(storeName);
-  const next = all.filter((it) => String(it.id) !== String(item.id));
-  next.unshift(item);
-  next.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  if (next.length > MAX_IMAGES_PER_TAB) {
-    next.length = MAX_IMAGES_PER_TAB;
+// Drops the oldest unpinned items until `items` (newest first) fits the capacity.
+// Pinned items and `protectedId` are never dropped, so a fully pinned history can run over.
+function trimToCapacity(items, protectedId) {
+  const kept = [...items];
+  const dropped = [];
+  for (let index = kept.length - 1; index >= 0 && kept.length > historyCapacity; index -= 1) {
+    if (kept[index].pinned || String(kept[index].id) === String(protectedId)) continue;
+    dropped.push(...kept.splice(index, 1));
+  }
+  return { kept, dropped };
+}
+
+function estimateEntryBytes(entry) {
+  if (entry.image instanceof Blob) return entry.image.size;
+  return Math.ceil((String(entry.b64 || "").length * 3) / 4);
+}
+
+async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return Number.isFinite(usage) && Number.isFinite(quota) && quota > 0 ? { usage, quota } : null;
+  } catch {
+    return null;
   }
-  await dbReplaceAll(storeName, next);
+}
+
+function createHistoryFullError(message) {
+  const error = new Error(message);
+  error.code = "HISTORY_FULL";
+  return error;
+}
+
+// Works out which items have to go to make room for `item`, by count and by storage quota,
+// and asks before dropping anything. Throws HISTORY_FULL when there is no acceptable plan.
+// Plans from the in-memory history, which mirrors the store once it has loaded.
+async function planHistoryInsert(storeName, item) {
+  const collection = storeName === EDIT_STORE ? editHistory : createHistory;
+  const all = collection.filter((entry) => String(entry.id) !== String(item.id));
+  const { kept, dropped } = trimToCapacity([item, ...all], item.id);
+
+  const estimate = await getStorageEstimate();
+  if (estimate) {
+    const budget = estimate.quota * STORAGE_QUOTA_HEADROOM;
+    let projected = estimate.usage + estimateEntryBytes(item) - dropped.reduce((total, entry) => total + estimateEntryBytes(entry), 0);
+    for (let index = kept.length - 1; index >= 0 && projected > budget; index -= 1) {
+      if (kept[index].pinned || String(kept[index].id) === String(item.id)) continue;
+      const [entry] = kept.splice(index, 1);
+      dropped.push(entry);
+      projected -= estimateEntryBytes(entry);
+    }
+    if (projected > budget) {
+      throw createHistoryFullError(
+        "Browser storage is full (" + formatBytes(estimate.usage) + " of " + formatBytes(estimate.quota) +
+          " used). Export your history, then unpin or delete some images."
+      );
+    }
+  }
+
+  if (dropped.length && shouldAskBeforeEvicting()) {
+    const ok = confirm(
+      "Saving this image removes the " + (dropped.length === 1 ? "oldest unpinned image" : dropped.length + " oldest unpinned images") +
+        " from this history. Pin images you want to keep, or cancel to keep them."
+    );
+    if (!ok) {
+      throw createHistoryFullError("History is full, so the image was not saved to it.");
+    }
+  }
+  return dropped;
+}
+
+// Returns the ids removed to make room, so callers can drop them from memory too.
+async function dbInsertWithinCapacity(storeName, item) {
+  const dropped = await planHistoryInsert(storeName, item);
+  const removedIds = dropped.map((entry) => entry.id);
+  await dbWriteChanges(storeName, { put: [item], remove: removedIds });
+  void requestPersistentStorage();
+  return removedIds;
+}
+
+async function dbPut(storeName, item) {
+  await dbWriteChanges(storeName, { put: [item] });
 }
 
 async function dbDeleteById(storeName, id) {
-  const all = await dbGetAll(storeName);
-  const next = all.filter((it) => String(it.id) !== String(id));
-  await dbReplaceAll(storeName, next);
+  await dbWriteChanges(storeName, { remove: [id] });
 }
 
 async function dbClearStore(storeName) {
-  await dbReplaceAll(storeName, []);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readwrite");
+    tx.objectStore(storeName).clear();
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error || new Error("Failed to clear history"));
+  });
 }
 
+function createMaskPainter({ imageEl, canvasEl, idPrefix }) {
+  const toggleBtn = document.getElementById(idPrefix + "MaskToggle");
+  const toolsEl = document.getElementById(idPrefix + "MaskTools");
+  const brushBtn = document.getElementById(idPrefix + "MaskBrush");
+  const eraserBtn = document.getElementById(idPrefix + "MaskEraser");
+  const sizeInputEl = document.getElementById(idPrefix + "MaskSize");
+  const clearBtn = document.getElementById(idPrefix + "MaskClear");
+  const hintEl = document.getElementById(idPrefix + "MaskHint");
+  const ctx = canvasEl.getContext("2d");
+
+  let enabled = false;
+  let tool = "brush";
+  let imageKey = null;
+  let lastPoint = null;
+
+  function syncCanvasSize() {
+    const width = imageEl.naturalWidth || 0;
+    const height = imageEl.naturalHeight || 0;
+    if (canvasEl.width !== width || canvasEl.height !== height) {
+      canvasEl.width = width;
+      canvasEl.height = height;
+    }
+  }
+
+  function updateHint() {
+    hintEl.textContent = enabled
+      ? "Paint over the area to change. Everything outside the mask is kept as-is."
+      : "";
+  }
+
+  function setEnabled(next) {
+    enabled = Boolean(next);
+    canvasEl.classList.toggle("painting", enabled);
+    toolsEl.classList.toggle("hidden", !enabled);
+    toggleBtn.textContent = enabled ? "Stop painting" : "Paint area to change";
+    updateHint();
+  }
+
+  function setTool(next) {
+    tool = next;
+    brushBtn.classList.toggle("active", tool === "brush");
+    eraserBtn.classList.toggle("active", tool === "eraser");
+  }
+
+  function clear() {
+    ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
+  }
+
+  function setImage(key) {
+    if (key === imageKey) return;
+    imageKey = key;
+    syncCanvasSize();
+    clear();
+    if (key === null) setEnabled(false);
+  }
+
+  function getCanvasPoint(event) {
+    const rect = canvasEl.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvasEl.width / rect.width),
+      y: (event.clientY - rect.top) * (canvasEl.height / rect.height)
+    };
+  }
+
+  function strokeTo(point) {
+    ctx.globalCompositeOperation = tool === "eraser" ? "destination-out" : "source-over";
+    ctx.strokeStyle = MASK_PAINT_COLOR;
+    ctx.fillStyle = MASK_PAINT_COLOR;
+    ctx.lineWidth = Number(sizeInputEl.value) || 64;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    if (!lastPoint) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, ctx.lineWidth / 2, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.beginPath();
+      ctx.moveTo(lastPoint.x, lastPoint.y);
+      ctx.lineTo(point.x, point.y);
+      ctx.stroke();
+    }
+    lastPoint = point;
+  }
+
+  function hasPaint() {
+    if (!canvasEl.width || !canvasEl.height) return false;
+    const { data } = ctx.getImageData(0, 0, canvasEl.width, canvasEl.height);
+    for (let index = 3; index < data.length; index += 4) {
+      if (data[index] > 0) return true;
+    }
+    return false;
+  }
+
+  // The Images API repaints fully transparent mask pixels, so painted areas are cut out of an opaque layer.
+  function exportMaskB64() {
+    if (!hasPaint()) return null;
+    const maskCanvas = document.createElement("canvas");
+    maskCanvas.width = canvasEl.width;
+    maskCanvas.height = canvasEl.height;
+    const maskCtx = maskCanvas.getContext("2d");
+    maskCtx.fillStyle = "#000";
+    maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+    maskCtx.globalCompositeOperation = "destination-out";
+    maskCtx.drawImage(canvasEl, 0, 0);
+    const dataUrl = maskCanvas.toDataURL("image/png");
+    return dataUrl.slice(dataUrl.indexOf(",") + 1);
+  }
+
+  canvasEl.addEventListener("pointerdown", (event) => {
+    if (!enabled) return;
+    event.preventDefault();
+    syncCanvasSize();
+    canvasEl.setPointerCapture(event.pointerId);
+    lastPoint = null;
+    strokeTo(getCanvasPoint(event));
+  });
+  canvasEl.addEventListener("pointermove", (event) => {
+    if (!enabled || !lastPoint) return;
+    strokeTo(getCanvasPoint(event));
+  });
+  for (const eventName of ["pointerup", "pointercancel"]) {
+    canvasEl.addEventListener(eventName, () => {
+      lastPoint = null;
+    });
+  }
+  imageEl.addEventListener("load", syncCanvasSize);
+  toggleBtn.addEventListener("click", () => {
+    syncCanvasSize();
+    setEnabled(!enabled);
+  });
+  brushBtn.addEventListener("click", () => setTool("brush"));
+  eraserBtn.addEventListener("click", () => setTool("eraser"));
+  clearBtn.addEventListener("click", clear);
+
+  return { setImage, exportMaskB64 };
+}
+
+const quickEditMaskPainter = createMaskPainter({
+  imageEl: previewEl,
+  canvasEl: previewMaskEl,
+  idPrefix: "quickEdit"
+});
+const editResultMaskPainter = createMaskPainter({
+  imageEl: externalResultPreviewEl,
+  canvasEl: externalResultMaskEl,
+  idPrefix: "editResult"
+});
+
 function switchTab(mode) {
   const createActive = mode === "create";
   createPanelEl.style.display = createActive ? "block" : "none";
@@ -246,6 +669,7 @@ function switchTab(mode) {
 
 function setButtons(disabled) {
   generateBtn.disabled = disabled;
+  keepAllCandidatesBtn.disabled = disabled;
   quickEditBtn.disabled = disabled;
   quickShareBtn.disabled = disabled;
   quickSetBackgroundBtn.disabled = disabled;
@@ -261,9 +685,9 @@ function getSelectedRenderSettings() {
   const output_format = formatEl.value;
   const output_compression = 100;
 
-  const allowedSizes = new Set(["1024x1024", "1024x1536", "1536x1024"]);
-  const allowedQualities = new Set(["low", "medium", "high"]);
-  const allowedFormats = new Set(["jpeg", "png"]);
+  const allowedSizes = providerCapabilities.sizes;
+  const allowedQualities = providerCapabilities.qualities;
+  const allowedFormats = providerCapabilities.outputFormats;
 
   if (!allowedSizes.has(size)) return { settings: null, error: "Unsupported size selected." };
   if (!allowedQualities.has(quality)) return { settings: null, error: "Unsupported quality selected." };
@@ -275,11 +699,29 @@ function getSelectedRenderSettings() {
   return { settings: { size, quality, output_format, output_compression }, error: null };
 }
 
+function getSelectedImageCount() {
+  const count = Number(imageCountEl.value);
+  return Number.isInteger(count) && count >= 1 && count <= maxImagesPerRequest ? count : 1;
+}
+
+function renderImageCountOptions() {
+  const current = getSelectedImageCount();
+  imageCountEl.innerHTML = "";
+  for (let count = 1; count <= maxImagesPerRequest; count += 1) {
+    const option = document.createElement("option");
+    option.value = String(count);
+    option.textContent = String(count);
+    imageCountEl.appendChild(option);
+  }
+  imageCountEl.value = String(Math.min(current, maxImagesPerRequest));
+}
+
 function saveSettings() {
   const payload = {
     size: sizeEl.value,
     quality: qualityEl.value,
-    output_format: formatEl.value
+    output_format: formatEl.value,
+    image_count: getSelectedImageCount()
   };
   localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(payload));
 }
@@ -295,8 +737,22 @@ function isUsingOwnApiKey() {
   return Boolean(getUserApiKey());
 }
 
+function hasActiveSubscription() {
+  return currentSubscription?.status === "active";
+}
+
+function canAffordHighQualityWithCredits() {
+  const perImage = creditCosts?.[sizeEl.value]?.high?.[formatEl.value];
+  const imageCount = Number(imageCountEl.value) || 1;
+  return Number.isInteger(perImage) && creditBalance >= perImage * imageCount;
+}
+
 function canUseHighQuality() {
-  return isUsingOwnApiKey();
+  return (
+    isUsingOwnApiKey() ||
+    (hasActiveSubscription() && currentSubscription.high_quality_remaining > 0) ||
+    canAffordHighQualityWithCredits()
+  );
 }
 
 function setApiKeyPanelOpen(open) {
@@ -343,18 +799,95 @@ function setApiKeySavedState(saved) {
   editUserApiKeyBtn.style.display = saved && !isEditingSavedApiKey ? "inline-block" : "none";
 }
 
+const FREE_USAGE_WINDOW_LABELS = { hour: "this hour", day: "today", week: "this week" };
+
+function describeFreeUsage() {
+  if (!freeUsage || !Number.isInteger(freeUsage.remaining)) {
+    return "Using free server key (" + requestLimitPerIp + " requests available).";
+  }
+  const windowLabel = FREE_USAGE_WINDOW_LABELS[freeUsage.window] || "for now";
+  return (
+    "Using free server key (" +
+    freeUsage.remaining +
+    (freeUsage.remaining === 1 ? " free image" : " free images") +
+    " left " +
+    windowLabel +
+    ")."
+  );
+}
+
 function updateApiKeyModeHint() {
   const key = getUserApiKey();
-  apiKeyModeHintEl.textContent = key
-    ? "Using your own API key for requests."
-    : "Using free server key (" + requestLimitPerIp + " requests available).";
+  if (key) {
+    apiKeyModeHintEl.textContent = "Using your own API key for requests.";
+  } else if (hasActiveSubscription()) {
+    apiKeyModeHintEl.textContent =
+      "Using your " + (currentSubscription.plan?.name || "") + " subscription (" + currentSubscription.images_remaining + " images left this month).";
+  } else {
+    apiKeyModeHintEl.textContent =
+      describeFreeUsage() + (creditBalance > 0 ? " Then " + creditBalance + " prepaid credits." : "");
+  }
+}
+
+async function loadCredits() {
+  try {
+    const data = await requestJSON("/api/credits?limit=1", null, "GET");
+    creditBalance = Number(data.balance) || 0;
+    creditCosts = data.costs || null;
+  } catch {
+    creditBalance = 0;
+    creditCosts = null;
+  }
+}
+
+async function refreshFreeUsage() {
+  try {
+    freeUsage = await requestJSON("/api/usage", null, "GET");
+  } catch {
+    freeUsage = null;
+  }
+  await Promise.all([currentAccount ? loadSubscription() : null, loadCredits()]);
+  updateApiKeyModeHint();
 }
 
 function updateIntroCopy() {
+  const allowance =
+    freeUsage && Number.isInteger(freeUsage.limit) && freeUsage.window
+      ? freeUsage.limit + " free images per " + freeUsage.window
+      : requestLimitPerIp + " free requests";
   appIntroCopyEl.textContent =
     "Dall-E Goblin is a DALL-E image generator and editor for text-to-image creation, uploaded image editing, and image-guided transformations with reference images. It keeps separate create/edit histories in your browser so you can revisit results, branch ideas, and download versions. You get " +
-    requestLimitPerIp +
-    " free requests, then you can add your own OpenAI API key to continue.";
+    allowance +
+    ", then you can add your own OpenAI API key to continue.";
+}
+
+function restrictSelectOptions(selectEl, allowedValues) {
+  for (const option of selectEl.options) {
+    option.disabled = !allowedValues.has(option.value);
+    option.hidden = option.disabled;
+  }
+  if (!allowedValues.has(selectEl.value)) {
+    const firstAllowed = Array.from(selectEl.options).find((option) => !option.disabled);
+    if (firstAllowed) selectEl.value = firstAllowed.value;
+  }
+}
+
+function applyProviderCapabilities(capabilities) {
+  providerCapabilities = {
+    sizes: new Set(Array.isArray(capabilities.sizes) ? capabilities.sizes : providerCapabilities.sizes),
+    qualities: new Set(Array.isArray(capabilities.qualities) ? capabilities.qualities : providerCapabilities.qualities),
+    outputFormats: new Set(
+      Array.isArray(capabilities.output_formats) ? capabilities.output_formats : providerCapabilities.outputFormats
+    ),
+    supportsStreaming: capabilities.supports_streaming !== false,
+    supportsMask: capabilities.supports_mask !== false
+  };
+  restrictSelectOptions(sizeEl, providerCapabilities.sizes);
+  restrictSelectOptions(qualityEl, providerCapabilities.qualities);
+  restrictSelectOptions(formatEl, providerCapabilities.outputFormats);
+  for (const toolbarEl of document.querySelectorAll(".mask-toolbar")) {
+    toolbarEl.classList.toggle("hidden", !providerCapabilities.supportsMask);
+  }
 }
 
 async function loadAppConfig() {
@@ -363,11 +896,22 @@ async function loadAppConfig() {
     if (Number.isInteger(config?.request_limit_per_ip) && config.request_limit_per_ip > 0) {
       requestLimitPerIp = config.request_limit_per_ip;
     }
+    if (Number.isInteger(config?.max_images_per_request) && config.max_images_per_request > 0) {
+      maxImagesPerRequest = config.max_images_per_request;
+    }
+    if (Number.isInteger(config?.max_history_items) && config.max_history_items > 0) {
+      maxHistoryCapacity = config.max_history_items;
+    }
+    if (config?.capabilities) {
+      applyProviderCapabilities(config.capabilities);
+    }
   } catch {
     requestLimitPerIp = 2;
   }
+  renderImageCountOptions();
+  loadHistoryCapacity();
+  await refreshFreeUsage();
   updateIntroCopy();
-  updateApiKeyModeHint();
 }
 
 function loadUserApiKey() {
@@ -422,6 +966,7 @@ function loadSettings() {
     if (typeof parsed.size === "string") sizeEl.value = parsed.size;
     if (typeof parsed.quality === "string") qualityEl.value = parsed.quality;
     if (typeof parsed.output_format === "string") formatEl.value = parsed.output_format;
+    if (Number.isInteger(parsed.image_count)) imageCountEl.value = String(parsed.image_count);
   } catch {
     localStorage.removeItem(SETTINGS_STORAGE_KEY);
   }
@@ -448,14 +993,32 @@ function buildDownloadBaseName(promptText, fallbackBaseName) {
   return normalized.slice(0, maxLength).replace(/-+$/g, "") || fallbackBaseName;
 }
 
-function findHistoryMatch(collection, b64, mimeType) {
-  return collection.find((entry) => entry.b64 === b64 && entry.mimeType === mimeType) || null;
+async function findHistoryMatch(collection, image) {
+  for (const entry of collection) {
+    if (await blobsEqual(entry.image, image)) return entry;
+  }
+  return null;
 }
 
-function setDownloadLink(anchorEl, b64, mimeType, baseName) {
-  const dataUrl = "data:" + mimeType + ";base64," + b64;
-  anchorEl.href = dataUrl;
-  anchorEl.download = baseName + "." + getFileExtensionFromMimeType(mimeType);
+function downloadHistoryItem(item) {
+  downloadBlob(
+    item.image,
+    buildDownloadBaseName(item.originPrompt, "dall-e-goblin-image") + "." + getFileExtensionFromMimeType(item.mimeType)
+  );
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function setDownloadLink(anchorEl, item, baseName) {
+  anchorEl.href = getImageUrl(item);
+  anchorEl.download = baseName + "." + getFileExtensionFromMimeType(item.mimeType);
   anchorEl.style.display = "inline-block";
 }
 
@@ -469,8 +1032,8 @@ function updateSelectedGeneratedInfo(item) {
     return;
   }
   const snippet = item.originPrompt ? item.originPrompt.slice(0, 90) : "Generated image";
-  selectedGeneratedInfoEl.textContent = "Selected image: " + snippet;
-  selectedGeneratedThumbEl.src = "data:" + item.mimeType + ";base64," + item.b64;
+  renderSelectedInfo(selectedGeneratedInfoEl, "Selected image: " + snippet, item);
+  selectedGeneratedThumbEl.src = getImageUrl(item);
   selectedGeneratedThumbWrapEl.classList.remove("hidden");
   quickEditCardEl.style.display = "block";
 }
@@ -484,58 +1047,291 @@ function renderSummary(targetEl, files, emptyText, prefixText) {
   targetEl.textContent = prefixText + files.length + ": " + names;
 }
 
-function createHistoryEntry({ b64, mimeType, prompt, parentId }) {
-  return {
+// Takes the image as a Blob, or as base64 straight from an API response.
+function createHistoryEntry({ image, b64, mimeType, prompt, parentId, settings, metadata }) {
+  const entry = {
     id: Date.now() + Math.floor(Math.random() * 100000),
-    b64,
+    image: image || base64ToBlob(b64, mimeType),
     mimeType,
     originPrompt: prompt || "",
     parentId: parentId ?? null,
     createdAt: new Date().toISOString()
   };
+  if (settings) entry.settings = settings;
+  if (metadata) entry.metadata = metadata;
+  return entry;
+}
+
+// Request parameters kept with each history entry. `endpoint` is "generate", "variation"
+// (an edit of another history image) or "edit-upload"; reference images and masks keep only names/flags.
+function buildEntrySettings(endpoint, settings, { imageCount = 1, referenceImages = [], masked = false, sourceName = null } = {}) {
+  return {
+    endpoint,
+    size: settings.size,
+    quality: settings.quality,
+    output_format: settings.output_format,
+    output_compression: settings.output_compression,
+    image_count: imageCount,
+    reference_image_names: referenceImages.map((image) => image.name),
+    masked,
+    source_image_name: sourceName
+  };
+}
+
+const ENTRY_ENDPOINT_LABELS = {
+  generate: "Generated",
+  variation: "Variation",
+  "edit-upload": "Edited upload"
+};
+
+function describeEntryDetails(item) {
+  const settings = item?.settings;
+  const metadata = item?.metadata;
+  const parts = [];
+  if (settings) {
+    parts.push(ENTRY_ENDPOINT_LABELS[settings.endpoint] || settings.endpoint);
+    parts.push(settings.size, settings.quality + " quality");
+    parts.push(settings.output_format);
+    if (settings.masked) parts.push("masked");
+    if (settings.source_image_name) parts.push("source: " + settings.source_image_name);
+    if (settings.reference_image_names?.length) parts.push("refs: " + settings.reference_image_names.join(", "));
+  }
+  if (metadata) {
+    if (metadata.model) parts.push(metadata.model);
+    if (Number.isFinite(metadata.duration_ms)) parts.push((metadata.duration_ms / 1000).toFixed(1) + " s");
+    if (Number.isFinite(metadata.usage?.total_tokens)) parts.push(metadata.usage.total_tokens + " tokens");
+  }
+  return parts.filter(Boolean).join(" · ");
+}
+
+function renderSelectedInfo(infoEl, text, item) {
+  infoEl.textContent = text;
+  const details = describeEntryDetails(item);
+  if (details) {
+    const detailsEl = document.createElement("div");
+    detailsEl.className = "selected-details";
+    detailsEl.textContent = details;
+    infoEl.appendChild(detailsEl);
+  }
 }
 
 function renderCounter(counterEl, count) {
-  counterEl.textContent = count + "/" + MAX_IMAGES_PER_TAB;
+  counterEl.textContent = count + "/" + historyCapacity;
+}
+
+function createHistoryThumb(item, sourceTab, onSelect, onDelete, selectedId) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "thumb";
+  button.dataset.id = String(item.id);
+  button.title = item.originPrompt || "Image";
+
+  const img = document.createElement("img");
+  img.alt = "Thumbnail";
+  img.src = getImageUrl(item);
+  button.appendChild(img);
+
+  if (String(item.id) === String(selectedId)) {
+    const badge = document.createElement("div");
+    badge.className = "thumb-badge";
+    badge.textContent = "Selected";
+    button.appendChild(badge);
+  }
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "thumb-delete";
+  deleteBtn.title = "Delete this image";
+  deleteBtn.textContent = "X";
+  deleteBtn.addEventListener("click", (event) => {
+    event.stopPropagation();
+    void onDelete(item.id);
+  });
+  button.appendChild(deleteBtn);
+
+  const pinBtn = document.createElement("button");
+  pinBtn.type = "button";
+  pinBtn.className = "thumb-pin" + (item.pinned ? " pinned" : "");
+  pinBtn.title = item.pinned ? "Unpin (may be removed when history is full)" : "Pin (never removed automatically)";
+  pinBtn.setAttribute("aria-pressed", item.pinned ? "true" : "false");
+  pinBtn.textContent = "\u{1F4CC}";
+  pinBtn.addEventListener("click", (event) => {
+    event.stopPropagation();
+    void toggleHistoryPin(sourceTab, item.id);
+  });
+  button.appendChild(pinBtn);
+
+  button.addEventListener("click", () => onSelect(item.id));
+  button.classList.toggle("active", String(item.id) === String(selectedId));
+  return button;
 }
 
-function renderHistoryList(containerEl, items, onSelect, onDelete, selectedId) {
-  containerEl.innerHTML = "";
-  const orderedItems = [...items].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+function getHistoryLayouts() {
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_LAYOUT_STORAGE_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
 
-  for (const item of orderedItems) {
-    const button = document.createElement("button");
-    button.type = "button";
-    button.className = "thumb";
-    button.dataset.id = String(item.id);
-    button.title = item.originPrompt || "Image";
+function isLineageLayout(containerEl) {
+  return containerEl.classList.contains("lineage");
+}
 
-    const img = document.createElement("img");
-    img.alt = "Thumbnail";
-    img.src = "data:" + item.mimeType + ";base64," + item.b64;
-    button.appendChild(img);
+function applyHistoryLayout(sourceTab) {
+  const lineage = getHistoryLayouts()[sourceTab] === "lineage";
+  const containerEl = sourceTab === "edit" ? editHistoryEl : createHistoryEl;
+  const toggleBtn = sourceTab === "edit" ? toggleEditLineageBtn : toggleCreateLineageBtn;
+  containerEl.classList.toggle("lineage", lineage);
+  toggleBtn.textContent = lineage ? "Grid view" : "Lineage view";
+}
 
-    if (String(item.id) === String(selectedId)) {
-      const badge = document.createElement("div");
-      badge.className = "thumb-badge";
-      badge.textContent = "Selected";
-      button.appendChild(badge);
+function toggleHistoryLayout(sourceTab) {
+  const layouts = getHistoryLayouts();
+  layouts[sourceTab] = layouts[sourceTab] === "lineage" ? "grid" : "lineage";
+  localStorage.setItem(HISTORY_LAYOUT_STORAGE_KEY, JSON.stringify(layouts));
+  applyHistoryLayout(sourceTab);
+  if (sourceTab === "edit") {
+    renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
+  } else {
+    renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
+  }
+}
+
+// Walks parentId links from the item back to the oldest ancestor still in history; returns root first.
+function getLineageChain(items, id) {
+  const byId = new Map(items.map((item) => [String(item.id), item]));
+  const chain = [];
+  const seen = new Set();
+  let current = byId.get(String(id));
+  while (current && !seen.has(String(current.id))) {
+    seen.add(String(current.id));
+    chain.unshift(current);
+    current = (current.parentId ?? null) === null ? null : byId.get(String(current.parentId));
+  }
+  return chain;
+}
+
+function exportLineageChain(items, id, sourceTab) {
+  const chain = getLineageChain(items, id);
+  if (!chain.length) return;
+  const root = chain[0];
+  const missingAncestors = (root.parentId ?? null) !== null;
+  const lines = ["Prompt chain for: " + (chain[chain.length - 1].originPrompt || "Untitled image"), ""];
+  if (missingAncestors) {
+    lines.push("(Earlier steps are no longer in your history.)", "");
+  }
+  chain.forEach((item, index) => {
+    const kind = index > 0 || missingAncestors ? "Variation" : sourceTab === "edit" ? "Edit" : "Generate";
+    lines.push((index + 1) + ". " + kind + " (" + new Date(item.createdAt).toLocaleString() + ")");
+    lines.push("   " + (item.originPrompt || "(no prompt)"));
+  });
+
+  downloadBlob(
+    new Blob([lines.join("\n") + "\n"], { type: "text/plain" }),
+    buildDownloadBaseName(chain[chain.length - 1].originPrompt, "prompt-chain") + "-chain.txt"
+  );
+}
+
+function branchFromHistoryItem(sourceTab, id, onSelect) {
+  onSelect(id);
+  const promptEl = sourceTab === "edit" ? editResultPromptEl : quickEditPromptEl;
+  promptEl.scrollIntoView({ behavior: "smooth", block: "center" });
+  promptEl.focus();
+}
+
+// Roots are items whose parent is gone (or never existed); newest roots first, children oldest first.
+function renderLineageTree(containerEl, items, onSelect, onDelete, selectedId) {
+  const sourceTab = containerEl === editHistoryEl ? "edit" : "create";
+  const ids = new Set(items.map((item) => String(item.id)));
+  const childrenByParent = new Map();
+  const roots = [];
+  for (const item of items) {
+    const parentKey = (item.parentId ?? null) === null ? null : String(item.parentId);
+    if (parentKey === null || !ids.has(parentKey) || parentKey === String(item.id)) {
+      roots.push(item);
+      continue;
     }
+    if (!childrenByParent.has(parentKey)) childrenByParent.set(parentKey, []);
+    childrenByParent.get(parentKey).push(item);
+  }
+  roots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  const rendered = new Set();
+  function renderBranch(branchItems, listEl) {
+    for (const item of branchItems) {
+      if (rendered.has(String(item.id))) continue;
+      rendered.add(String(item.id));
+
+      const li = document.createElement("li");
+      const node = document.createElement("div");
+      node.className = "lineage-node";
+      node.appendChild(createHistoryThumb(item, sourceTab, onSelect, onDelete, selectedId));
+
+      const meta = document.createElement("div");
+      meta.className = "lineage-meta";
+      const prompt = document.createElement("div");
+      prompt.className = "lineage-prompt";
+      prompt.textContent = item.originPrompt || "(no prompt)";
+      meta.appendChild(prompt);
+
+      const actions = document.createElement("div");
+      actions.className = "row";
+      const branchBtn = document.createElement("button");
+      branchBtn.type = "button";
+      branchBtn.className = "secondary";
+      branchBtn.textContent = "Branch from here";
+      branchBtn.addEventListener("click", () => branchFromHistoryItem(sourceTab, item.id, onSelect));
+      actions.appendChild(branchBtn);
+      if (childrenByParent.get(String(item.parentId))?.includes(item)) {
+        const compareBtn = document.createElement("button");
+        compareBtn.type = "button";
+        compareBtn.className = "secondary";
+        compareBtn.textContent = "Compare with parent";
+        compareBtn.addEventListener("click", () => openCompareModal(sourceTab, item.id));
+        actions.appendChild(compareBtn);
+      }
+      const exportBtn = document.createElement("button");
+      exportBtn.type = "button";
+      exportBtn.className = "secondary";
+      exportBtn.textContent = "Export prompt chain";
+      exportBtn.addEventListener("click", () => exportLineageChain(items, item.id, sourceTab));
+      actions.appendChild(exportBtn);
+      meta.appendChild(actions);
+
+      node.appendChild(meta);
+      li.appendChild(node);
+
+      const children = (childrenByParent.get(String(item.id)) || [])
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      if (children.length) {
+        const childList = document.createElement("ul");
+        childList.className = "lineage-children";
+        renderBranch(children, childList);
+        li.appendChild(childList);
+      }
+      listEl.appendChild(li);
+    }
+  }
 
-    const deleteBtn = document.createElement("button");
-    deleteBtn.type = "button";
-    deleteBtn.className = "thumb-delete";
-    deleteBtn.title = "Delete this image";
-    deleteBtn.textContent = "X";
-    deleteBtn.addEventListener("click", (event) => {
-      event.stopPropagation();
-      void onDelete(item.id);
-    });
-    button.appendChild(deleteBtn);
+  const treeEl = document.createElement("ul");
+  treeEl.className = "lineage-tree";
+  renderBranch(roots, treeEl);
+  containerEl.appendChild(treeEl);
+}
 
-    button.addEventListener("click", () => onSelect(item.id));
-    button.classList.toggle("active", String(item.id) === String(selectedId));
-    containerEl.appendChild(button);
+function renderHistoryList(containerEl, items, onSelect, onDelete, selectedId) {
+  containerEl.innerHTML = "";
+  pruneImageUrls();
+  if (isLineageLayout(containerEl)) {
+    renderLineageTree(containerEl, items, onSelect, onDelete, selectedId);
+    return;
+  }
+
+  const sourceTab = containerEl === editHistoryEl ? "edit" : "create";
+  const orderedItems = [...items].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  for (const item of orderedItems) {
+    containerEl.appendChild(createHistoryThumb(item, sourceTab, onSelect, onDelete, selectedId));
   }
 }
 
@@ -548,23 +1344,32 @@ function selectCreateImage(id) {
     createPreviewCanvasEl.classList.add("hidden");
     createPreviewActionsEl.classList.add("hidden");
     quickDownloadEl.style.display = "none";
+    quickEditMaskPainter.setImage(null);
     updateSelectedGeneratedInfo(null);
     return;
   }
   createPreviewCanvasEl.classList.remove("hidden");
   createPreviewActionsEl.classList.remove("hidden");
-  previewEl.src = "data:" + item.mimeType + ";base64," + item.b64;
+  previewEl.src = getImageUrl(item);
   previewEl.style.display = "block";
+  quickEditMaskPainter.setImage(String(item.id));
+  quickCompareBtn.classList.toggle("hidden", !findCompareParent("create", item));
+  quickRerunBtn.classList.toggle("hidden", !item.settings);
   setDownloadLink(
     quickDownloadEl,
-    item.b64,
-    item.mimeType,
+    item,
     buildDownloadBaseName(item.originPrompt, "dall-e-goblin-image")
   );
   updateSelectedGeneratedInfo(item);
   renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
 }
 
+function showStreamingPreview(partial) {
+  createPreviewCanvasEl.classList.remove("hidden");
+  previewEl.src = "data:" + (partial.mime_type || "image/png") + ";base64," + partial.b64;
+  previewEl.style.display = "block";
+}
+
 function selectEditImage(id) {
   selectedEditId = id;
   const item = editHistory.find((entry) => String(entry.id) === String(id));
@@ -579,91 +1384,706 @@ function selectEditImage(id) {
     selectedEditThumbEl.removeAttribute("src");
     selectedEditThumbWrapEl.classList.add("hidden");
     applyStatusState(editResultStatusEl, "");
+    editResultMaskPainter.setImage(null);
     return;
   }
   editResultCanvasEl.classList.remove("hidden");
   editResultActionsEl.classList.remove("hidden");
   editResultSectionEl.classList.remove("hidden");
-  selectedEditInfoEl.textContent = "Selected image: " + (item.originPrompt || "Edited image").slice(0, 90);
-  selectedEditThumbEl.src = "data:" + item.mimeType + ";base64," + item.b64;
+  renderSelectedInfo(selectedEditInfoEl, "Selected image: " + (item.originPrompt || "Edited image").slice(0, 90), item);
+  selectedEditThumbEl.src = getImageUrl(item);
   selectedEditThumbWrapEl.classList.remove("hidden");
-  externalResultPreviewEl.src = "data:" + item.mimeType + ";base64," + item.b64;
+  externalResultPreviewEl.src = getImageUrl(item);
   externalResultPreviewEl.style.display = "block";
+  editResultMaskPainter.setImage(String(item.id));
+  editResultCompareBtn.classList.toggle("hidden", !findCompareParent("edit", item));
+  editResultRerunBtn.classList.toggle("hidden", !item.settings);
   setDownloadLink(
     editResultDownloadEl,
-    item.b64,
-    item.mimeType,
+    item,
     buildDownloadBaseName(item.originPrompt, "dall-e-goblin-edit")
   );
   renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
 }
 
-async function addCreateHistoryItem(item) {
-  await dbAddCapped(CREATE_STORE, item);
-  createHistory.unshift(item);
-  if (createHistory.length > MAX_IMAGES_PER_TAB) createHistory.length = MAX_IMAGES_PER_TAB;
+function renderCreateCandidates() {
+  createCandidatesEl.innerHTML = "";
+  pruneImageUrls();
+  createCandidatesSectionEl.classList.toggle("hidden", !createCandidates.length);
+
+  for (const candidate of createCandidates) {
+    const card = document.createElement("div");
+    card.className = "candidate";
+
+    const img = document.createElement("img");
+    img.alt = "Generated candidate";
+    img.src = getImageUrl(candidate);
+    card.appendChild(img);
+
+    const actions = document.createElement("div");
+    actions.className = "candidate-actions";
+
+    const keepBtn = document.createElement("button");
+    keepBtn.type = "button";
+    keepBtn.textContent = "Keep";
+    keepBtn.addEventListener("click", () => void keepCreateCandidate(candidate.id));
+    actions.appendChild(keepBtn);
+
+    const discardBtn = document.createElement("button");
+    discardBtn.type = "button";
+    discardBtn.className = "secondary";
+    discardBtn.textContent = "Discard";
+    discardBtn.addEventListener("click", () => discardCreateCandidate(candidate.id));
+    actions.appendChild(discardBtn);
+
+    card.appendChild(actions);
+    createCandidatesEl.appendChild(card);
+  }
+}
+
+async function keepCreateCandidate(id) {
+  const index = createCandidates.findIndex((entry) => String(entry.id) === String(id));
+  if (index < 0) return;
+  const [candidate] = createCandidates.splice(index, 1);
+  renderCreateCandidates();
+  try {
+    await addCreateHistoryItem(candidate, { downloadIfRejected: false });
+  } catch (error) {
+    createCandidates.splice(index, 0, candidate);
+    renderCreateCandidates();
+    setStatus("Error: " + (error?.message || "Could not save image."), "create");
+    return;
+  }
+  setStatus("Image saved to history. (" + createHistory.length + "/" + historyCapacity + ")", "create");
+}
+
+function discardCreateCandidate(id) {
+  createCandidates = createCandidates.filter((entry) => String(entry.id) !== String(id));
+  renderCreateCandidates();
+}
+
+async function keepAllCreateCandidates() {
+  const pending = [...createCandidates].reverse();
+  createCandidates = [];
+  renderCreateCandidates();
+  while (pending.length) {
+    try {
+      await addCreateHistoryItem(pending[0], { downloadIfRejected: false });
+      pending.shift();
+    } catch (error) {
+      createCandidates = pending.reverse();
+      renderCreateCandidates();
+      setStatus("Error: " + (error?.message || "Could not save images."), "create");
+      return;
+    }
+  }
+  setStatus("Images saved to history. (" + createHistory.length + "/" + historyCapacity + ")", "create");
+}
+
+function discardAllCreateCandidates() {
+  createCandidates = [];
+  renderCreateCandidates();
+}
+
+// Unless `downloadIfRejected` is false, an image that history cannot take is downloaded so it is not lost.
+async function addCreateHistoryItem(item, { downloadIfRejected = true } = {}) {
+  let removedIds;
+  try {
+    removedIds = await dbInsertWithinCapacity(CREATE_STORE, item);
+  } catch (error) {
+    if (error?.code === "HISTORY_FULL" && downloadIfRejected) {
+      downloadHistoryItem(item);
+      error.message += " It was downloaded instead.";
+    }
+    throw error;
+  }
+  void saveToLibrary(item, CREATE_STORE);
+  const removed = new Set(removedIds.map(String));
+  const remaining = createHistory.filter((entry) => !removed.has(String(entry.id)) && String(entry.id) !== String(item.id));
+  createHistory.splice(0, createHistory.length, item, ...remaining);
   renderCounter(createHistoryCountEl, createHistory.length);
   renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
   selectCreateImage(item.id);
 }
 
-async function addEditHistoryItem(item) {
-  await dbAddCapped(EDIT_STORE, item);
-  editHistory.unshift(item);
-  if (editHistory.length > MAX_IMAGES_PER_TAB) editHistory.length = MAX_IMAGES_PER_TAB;
-  renderCounter(editHistoryCountEl, editHistory.length);
-  renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
-  selectEditImage(item.id);
+// Unless `downloadIfRejected` is false, an image that history cannot take is downloaded so it is not lost.
+async function addEditHistoryItem(item, { downloadIfRejected = true } = {}) {
+  let removedIds;
+  try {
+    removedIds = await dbInsertWithinCapacity(EDIT_STORE, item);
+  } catch (error) {
+    if (error?.code === "HISTORY_FULL" && downloadIfRejected) {
+      downloadHistoryItem(item);
+      error.message += " It was downloaded instead.";
+    }
+    throw error;
+  }
+  void saveToLibrary(item, EDIT_STORE);
+  const removed = new Set(removedIds.map(String));
+  const remaining = editHistory.filter((entry) => !removed.has(String(entry.id)) && String(entry.id) !== String(item.id));
+  editHistory.splice(0, editHistory.length, item, ...remaining);
+  renderCounter(editHistoryCountEl, editHistory.length);
+  renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
+  selectEditImage(item.id);
+}
+
+async function deleteCreateImage(id) {
+  if (!confirm("Delete this create image?")) return;
+  await dbDeleteById(CREATE_STORE, id);
+  const index = createHistory.findIndex((it) => String(it.id) === String(id));
+  if (index >= 0) createHistory.splice(index, 1);
+  renderCounter(createHistoryCountEl, createHistory.length);
+  renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
+  if (String(selectedCreateId) === String(id)) {
+    if (createHistory.length) selectCreateImage(createHistory[0].id);
+    else selectCreateImage(null);
+  }
+  applyStoredBackgroundImage();
+}
+
+async function deleteEditImage(id) {
+  if (!confirm("Delete this edit image?")) return;
+  await dbDeleteById(EDIT_STORE, id);
+  const index = editHistory.findIndex((it) => String(it.id) === String(id));
+  if (index >= 0) editHistory.splice(index, 1);
+  renderCounter(editHistoryCountEl, editHistory.length);
+  renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
+  if (String(selectedEditId) === String(id)) {
+    if (editHistory.length) selectEditImage(editHistory[0].id);
+    else selectEditImage(null);
+  }
+  applyStoredBackgroundImage();
+}
+
+async function clearCreateHistory() {
+  if (!confirm("Clear all create history?")) return;
+  await dbClearStore(CREATE_STORE);
+  createHistory.splice(0, createHistory.length);
+  renderCounter(createHistoryCountEl, 0);
+  renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
+  selectCreateImage(null);
+  applyStoredBackgroundImage();
+  setStatus("Create history cleared.", "create");
+}
+
+async function clearEditHistory() {
+  if (!confirm("Clear all edit history?")) return;
+  await dbClearStore(EDIT_STORE);
+  editHistory.splice(0, editHistory.length);
+  renderCounter(editHistoryCountEl, 0);
+  renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
+  selectEditImage(null);
+  applyStoredBackgroundImage();
+  setStatus("Edit history cleared.", "edit");
+}
+
+function setHistoryPanelOpen(open) {
+  historyPanelBodyEl.style.display = open ? "block" : "none";
+  toggleHistoryPanelBtn.textContent = open ? "Hide" : "Show";
+  localStorage.setItem(HISTORY_PANEL_OPEN_STORAGE_KEY, open ? "1" : "0");
+  if (open) void refreshStorageInfo();
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(1) + " GB";
+  if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+  return Math.max(1, Math.round(bytes / 1024)) + " KB";
+}
+
+function shouldAskBeforeEvicting() {
+  return localStorage.getItem(HISTORY_EVICTION_PROMPT_STORAGE_KEY) !== "0";
+}
+
+function loadHistoryCapacity() {
+  const stored = Number(localStorage.getItem(HISTORY_CAPACITY_STORAGE_KEY));
+  historyCapacity = Number.isInteger(stored) && stored > 0
+    ? Math.min(stored, maxHistoryCapacity)
+    : Math.min(DEFAULT_HISTORY_CAPACITY, maxHistoryCapacity);
+  historyCapacityEl.max = String(maxHistoryCapacity);
+  historyCapacityEl.value = String(historyCapacity);
+  historyAskBeforeEvictEl.checked = shouldAskBeforeEvicting();
+}
+
+// Without persistence the browser may wipe IndexedDB under storage pressure; some browsers ask the user first.
+async function requestPersistentStorage() {
+  if (!navigator.storage?.persist || !navigator.storage.persisted) return false;
+  try {
+    return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+  } catch {
+    return false;
+  }
+}
+
+async function refreshStorageInfo() {
+  const estimate = await getStorageEstimate();
+  const persisted = navigator.storage?.persisted ? await navigator.storage.persisted().catch(() => false) : false;
+  historyStorageInfoEl.textContent = estimate
+    ? "Browser storage: " + formatBytes(estimate.usage) + " of " + formatBytes(estimate.quota) + " used" +
+      (persisted ? " (persistent)." : " (the browser may clear it when space runs low).")
+    : "";
+}
+
+async function saveHistoryCapacity() {
+  const requested = Number(historyCapacityEl.value);
+  if (!Number.isInteger(requested) || requested < 1 || requested > maxHistoryCapacity) {
+    applyStatusState(historyBackupStatusEl, "Error: Choose a limit from 1 to " + maxHistoryCapacity + ".");
+    return;
+  }
+
+  const previousCapacity = historyCapacity;
+  historyCapacity = requested;
+  const plans = [[CREATE_STORE, createHistory], [EDIT_STORE, editHistory]].map(([storeName, collection]) => ({
+    storeName,
+    ...trimToCapacity(collection, null)
+  }));
+  const dropping = plans.reduce((total, plan) => total + plan.dropped.length, 0);
+  if (dropping && !confirm("The new limit removes " + dropping + " older unpinned images from your history. Continue?")) {
+    historyCapacity = previousCapacity;
+    historyCapacityEl.value = String(previousCapacity);
+    return;
+  }
+
+  for (const plan of plans) {
+    if (plan.dropped.length) await dbWriteChanges(plan.storeName, { remove: plan.dropped.map((entry) => entry.id) });
+  }
+  localStorage.setItem(HISTORY_CAPACITY_STORAGE_KEY, String(historyCapacity));
+  await loadHistoriesFromDB();
+  applyStatusState(historyBackupStatusEl, "History limit saved: " + historyCapacity + " images per tab.");
+  void refreshStorageInfo();
+}
+
+async function toggleHistoryPin(sourceTab, id) {
+  const item = findHistoryItem(sourceTab, id);
+  if (!item) return;
+  item.pinned = !item.pinned;
+  if (sourceTab === "edit") {
+    await dbPut(EDIT_STORE, item);
+    renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
+  } else {
+    await dbPut(CREATE_STORE, item);
+    renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
+  }
+}
+
+async function exportHistoryArchive() {
+  const tabs = [["create", await dbGetAllRecords(CREATE_STORE)], ["edit", await dbGetAllRecords(EDIT_STORE)]];
+  const files = [];
+  const items = [];
+  for (const [tab, records] of tabs) {
+    for (const entry of records) {
+      const file = tab + "/" + entry.id + "." + getFileExtensionFromMimeType(entry.mimeType);
+      const data = entry.image instanceof Blob ? new Uint8Array(await entry.image.arrayBuffer()) : base64ToBytes(entry.b64);
+      files.push({ name: file, data, modifiedAt: new Date(entry.createdAt) });
+      items.push({
+        id: entry.id,
+        tab,
+        file,
+        mimeType: entry.mimeType,
+        prompt: entry.originPrompt || "",
+        parentId: entry.parentId ?? null,
+        createdAt: entry.createdAt,
+        settings: entry.settings ?? null,
+        metadata: entry.metadata ?? null,
+        pinned: Boolean(entry.pinned)
+      });
+    }
+  }
+  if (!items.length) {
+    applyStatusState(historyBackupStatusEl, "Error: There is no history to export yet.");
+    return;
+  }
+
+  const manifest = { format: HISTORY_ARCHIVE_FORMAT, version: HISTORY_ARCHIVE_VERSION, exportedAt: new Date().toISOString(), items };
+  files.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+  downloadBlob(createZip(files), "dall-e-goblin-history-" + new Date().toISOString().slice(0, 10) + ".zip");
+  applyStatusState(historyBackupStatusEl, "History exported: " + items.length + " images.");
+}
+
+// Imported ids are kept unless they collide; parentIds are rewritten through the same mapping,
+// and images already in history (same bytes) are reused instead of duplicated.
+async function mergeArchiveItems(storeName, archiveItems, entries) {
+  const existing = await dbGetAll(storeName);
+  const usedIds = new Set(existing.map((entry) => String(entry.id)));
+  const idMap = new Map();
+  const added = [];
+  let duplicates = 0;
+  let skipped = 0;
+
+  for (const archiveItem of archiveItems) {
+    const bytes = entries.get(String(archiveItem.file || ""));
+    if (!bytes || !allowedSourceMimeTypes.has(archiveItem.mimeType)) {
+      skipped += 1;
+      continue;
+    }
+    const image = new Blob([bytes], { type: archiveItem.mimeType });
+    const match = (await findHistoryMatch(existing, image)) || (await findHistoryMatch(added, image));
+    if (match) {
+      idMap.set(String(archiveItem.id), match.id);
+      duplicates += 1;
+      continue;
+    }
+
+    const entry = createHistoryEntry({
+      image,
+      mimeType: archiveItem.mimeType,
+      prompt: String(archiveItem.prompt || ""),
+      parentId: archiveItem.parentId ?? null
+    });
+    if (Number.isFinite(archiveItem.id) && !usedIds.has(String(archiveItem.id))) entry.id = archiveItem.id;
+    if (!Number.isNaN(Date.parse(archiveItem.createdAt))) entry.createdAt = new Date(archiveItem.createdAt).toISOString();
+    if (archiveItem.settings && typeof archiveItem.settings === "object") entry.settings = archiveItem.settings;
+    if (archiveItem.metadata && typeof archiveItem.metadata === "object") entry.metadata = archiveItem.metadata;
+    if (archiveItem.pinned === true) entry.pinned = true;
+    usedIds.add(String(entry.id));
+    idMap.set(String(archiveItem.id), entry.id);
+    added.push(entry);
+  }
+
+  for (const entry of added) {
+    entry.parentId = entry.parentId === null ? null : idMap.get(String(entry.parentId)) ?? null;
+  }
+
+  const merged = [...existing, ...added].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const { dropped } = trimToCapacity(merged, null);
+  const droppedIds = new Set(dropped.map((entry) => String(entry.id)));
+  await dbWriteChanges(storeName, {
+    put: added.filter((entry) => !droppedIds.has(String(entry.id))),
+    remove: existing.filter((entry) => droppedIds.has(String(entry.id))).map((entry) => entry.id)
+  });
+  return { added: added.length, duplicates, skipped, dropped: dropped.length };
+}
+
+async function importHistoryArchive(file) {
+  applyStatusState(historyBackupStatusEl, "Importing history...");
+  try {
+    const entries = await readZip(await file.arrayBuffer());
+    let manifest = null;
+    try {
+      manifest = JSON.parse(readZipText(entries, "manifest.json") || "null");
+    } catch {
+      manifest = null;
+    }
+    if (manifest?.format !== HISTORY_ARCHIVE_FORMAT || !Array.isArray(manifest.items)) {
+      throw new Error("This ZIP is not a Dall-E Goblin history export.");
+    }
+    if (manifest.version > HISTORY_ARCHIVE_VERSION) {
+      throw new Error("This export was made by a newer version of the app.");
+    }
+
+    const totals = { added: 0, duplicates: 0, skipped: 0, dropped: 0 };
+    for (const [tab, storeName] of [["create", CREATE_STORE], ["edit", EDIT_STORE]]) {
+      const result = await mergeArchiveItems(storeName, manifest.items.filter((item) => item?.tab === tab), entries);
+      for (const key of Object.keys(totals)) totals[key] += result[key];
+    }
+    await loadHistoriesFromDB();
+
+    applyStatusState(
+      historyBackupStatusEl,
+      "History imported: " + totals.added + " new, " + totals.duplicates + " already here" +
+        (totals.skipped ? ", " + totals.skipped + " unreadable" : "") +
+        (totals.dropped ? ". The " + totals.dropped + " oldest unpinned images did not fit in history" : "") + "."
+    );
+  } catch (error) {
+    applyStatusState(historyBackupStatusEl, "Error: " + (error?.message || "Could not import history."));
+  }
+}
+
+function setAccountPanelOpen(open) {
+  accountPanelBodyEl.style.display = open ? "block" : "none";
+  toggleAccountPanelBtn.textContent = open ? "Hide" : "Show";
+  localStorage.setItem(ACCOUNT_PANEL_OPEN_STORAGE_KEY, open ? "1" : "0");
+}
+
+function isAccountPanelOpen() {
+  return accountPanelBodyEl.style.display !== "none";
+}
+
+function renderAccountState() {
+  const signedIn = Boolean(currentAccount);
+  accountSignedOutEl.style.display = signedIn ? "none" : "flex";
+  accountSignedInEl.style.display = signedIn ? "flex" : "none";
+  librarySectionEl.style.display = signedIn ? "block" : "none";
+  accountEmailDisplayEl.textContent = signedIn ? "Signed in as " + currentAccount.email : "";
+  renderSubscriptionState();
+}
+
+function formatPlanPrice(plan) {
+  try {
+    return (plan.price_cents / 100).toLocaleString(undefined, { style: "currency", currency: plan.currency.toUpperCase() });
+  } catch {
+    return (plan.price_cents / 100).toFixed(2) + " " + plan.currency.toUpperCase();
+  }
+}
+
+function describePlanLimits(plan) {
+  const highQuality = plan.high_quality_limit > 0
+    ? "up to " + plan.high_quality_limit + " in high quality"
+    : "low and medium quality only";
+  return plan.image_limit + " images a month, " + highQuality + ".";
+}
+
+function describeSubscription(subscription) {
+  const planName = (subscription.plan?.name || "Your") + " plan";
+  const periodEnd = subscription.current_period_end ? new Date(subscription.current_period_end).toLocaleDateString() : "";
+  if (subscription.status === "active") {
+    const highQuality = subscription.plan?.high_quality_limit > 0
+      ? " (" + subscription.high_quality_remaining + " in high quality)"
+      : "";
+    return (
+      planName + ": " + subscription.images_remaining + " images left this month" + highQuality + ". " +
+      (subscription.cancel_at_period_end ? "Ends on " : "Renews on ") + periodEnd + "."
+    );
+  }
+  if (subscription.status === "past_due") {
+    return planName + ": the last payment failed, so generation is paused until it goes through.";
+  }
+  if (subscription.status === "expired") {
+    return planName + " ended on " + periodEnd + ".";
+  }
+  return planName + " was cancelled.";
+}
+
+function renderSubscriptionState() {
+  const subscription = currentAccount ? currentSubscription : null;
+  const active = subscription?.status === "active";
+  subscriptionSectionEl.style.display = currentAccount && (subscription || billingPlans.length) ? "flex" : "none";
+  subscriptionSummaryEl.textContent = subscription ? describeSubscription(subscription) : "No subscription.";
+  showPlansBtn.style.display = !active && billingPlans.length ? "inline-block" : "none";
+  cancelSubscriptionBtn.style.display = active && !subscription.cancel_at_period_end ? "inline-block" : "none";
+  updateApiKeyModeHint();
+}
+
+async function loadBillingPlans() {
+  try {
+    const data = await requestJSON("/api/billing/plans", null, "GET");
+    billingPlans = data.enabled && Array.isArray(data.plans) ? data.plans : [];
+  } catch {
+    billingPlans = [];
+  }
+  if (billingPlans.length) {
+    paywallSubscribeOptionEl.textContent = "See Subscription Plans";
+  }
+}
+
+async function loadSubscription() {
+  if (!currentAccount) {
+    currentSubscription = null;
+  } else {
+    try {
+      const data = await requestJSON("/api/billing/subscription", null, "GET");
+      currentSubscription = data.subscription;
+    } catch {
+      currentSubscription = null;
+    }
+  }
+  renderSubscriptionState();
+}
+
+// Checkout sends people back to /?billing=return; the provider's webhook may land a moment later.
+function consumeBillingReturn() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("billing") !== "return") return;
+  params.delete("billing");
+  const nextQuery = params.toString();
+  window.history.replaceState({}, "", window.location.pathname + (nextQuery ? "?" + nextQuery : "") + window.location.hash);
+  setAccountPanelOpen(true);
+  applyStatusState(
+    accountStatusEl,
+    hasActiveSubscription()
+      ? "Your subscription is active."
+      : "Checkout finished. Your plan appears here once the payment is confirmed; reload in a moment."
+  );
+}
+
+async function cancelCurrentSubscription() {
+  if (!confirm("Cancel your subscription? You keep your remaining images until the end of this billing period.")) return;
+  try {
+    const data = await requestJSON("/api/billing/subscription/cancel", {});
+    currentSubscription = data.subscription;
+    renderSubscriptionState();
+    applyStatusState(accountStatusEl, "Subscription cancelled. It stays active until the period ends.");
+  } catch (error) {
+    applyStatusState(accountStatusEl, "Error: " + (error?.message || "Could not cancel subscription."));
+  }
+}
+
+function renderLibrary() {
+  libraryCountEl.textContent = String(libraryTotal);
+  libraryLoadMoreBtn.style.display = libraryCursor ? "inline-block" : "none";
+  libraryGridEl.innerHTML = "";
+
+  for (const item of libraryItems) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "thumb";
+    button.title = item.prompt_text || "Image";
+
+    const img = document.createElement("img");
+    img.alt = "Library image";
+    img.loading = "lazy";
+    img.src = item.image_url;
+    button.appendChild(img);
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.className = "thumb-delete";
+    deleteBtn.title = "Delete from library";
+    deleteBtn.textContent = "X";
+    deleteBtn.addEventListener("click", (event) => {
+      event.stopPropagation();
+      void deleteLibraryItem(item.image_id);
+    });
+    button.appendChild(deleteBtn);
+
+    button.addEventListener("click", () => void openLibraryItem(item.image_id));
+    libraryGridEl.appendChild(button);
+  }
+}
+
+async function loadLibraryPage(reset) {
+  if (!currentAccount) return;
+  const params = new URLSearchParams();
+  if (libraryTabEl.value) params.set("tab", libraryTabEl.value);
+  if (!reset && libraryCursor) params.set("cursor", String(libraryCursor));
+
+  try {
+    const data = await requestJSON("/api/library?" + params.toString(), null, "GET");
+    libraryItems = reset ? data.items : [...libraryItems, ...data.items];
+    libraryCursor = data.next_cursor;
+    libraryTotal = data.total;
+    renderLibrary();
+  } catch (error) {
+    if (error?.status === 401) {
+      currentAccount = null;
+      renderAccountState();
+    }
+    applyStatusState(accountStatusEl, "Error: " + (error?.message || "Could not load library."));
+  }
+}
+
+function findLibraryParentId(parentId) {
+  if (parentId === null || parentId === undefined) return null;
+  const parent = findHistoryItem("create", parentId) || findHistoryItem("edit", parentId);
+  return parent?.libraryId || null;
+}
+
+// Mirrors a new history item into the signed-in user's library. Failures stay local-only.
+async function saveToLibrary(item, storeName) {
+  if (!currentAccount || item.libraryId) return;
+  const sourceTab = storeName === EDIT_STORE ? "edit" : "create";
+  try {
+    const data = await requestJSON("/api/library", {
+      image_b64: await blobToBase64(item.image),
+      image_mime_type: item.mimeType,
+      prompt_text: item.originPrompt || "",
+      source_tab: sourceTab,
+      parent_image_id: findLibraryParentId(item.parentId)
+    });
+    item.libraryId = data.item.image_id;
+    const collection = storeName === EDIT_STORE ? editHistory : createHistory;
+    if (collection.includes(item)) {
+      await dbPut(storeName, item);
+    }
+    if (!libraryItems.some((entry) => entry.image_id === data.item.image_id)) {
+      // The total follows the tab filter, like the list.
+      if (!libraryTabEl.value || libraryTabEl.value === sourceTab) {
+        libraryItems.unshift(data.item);
+        libraryTotal += 1;
+      }
+      renderLibrary();
+    }
+  } catch (error) {
+    applyStatusState(accountStatusEl, "Error: " + (error?.message || "Could not save to library."));
+  }
+}
+
+async function openLibraryItem(imageId) {
+  const localMatch = [...createHistory, ...editHistory].find((entry) => entry.libraryId === imageId);
+  if (localMatch) {
+    const inEdit = editHistory.includes(localMatch);
+    switchTab(inEdit ? "edit" : "create");
+    if (inEdit) selectEditImage(localMatch.id);
+    else selectCreateImage(localMatch.id);
+    return;
+  }
+
+  try {
+    const { item } = await requestJSON("/api/library/" + encodeURIComponent(imageId), null, "GET");
+    const entry = createHistoryEntry({ b64: item.b64, mimeType: item.mime_type, prompt: item.prompt_text, parentId: null });
+    entry.libraryId = item.image_id;
+    if (item.source_tab === "edit") {
+      switchTab("edit");
+      await addEditHistoryItem(entry);
+    } else {
+      switchTab("create");
+      await addCreateHistoryItem(entry);
+    }
+  } catch (error) {
+    applyStatusState(accountStatusEl, "Error: " + (error?.message || "Could not load library image."));
+  }
 }
 
-async function deleteCreateImage(id) {
-  if (!confirm("Delete this create image?")) return;
-  await dbDeleteById(CREATE_STORE, id);
-  const index = createHistory.findIndex((it) => String(it.id) === String(id));
-  if (index >= 0) createHistory.splice(index, 1);
-  renderCounter(createHistoryCountEl, createHistory.length);
-  renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
-  if (String(selectedCreateId) === String(id)) {
-    if (createHistory.length) selectCreateImage(createHistory[0].id);
-    else selectCreateImage(null);
+async function deleteLibraryItem(imageId) {
+  if (!confirm("Delete this image from your library? Copies in this browser's history are kept.")) return;
+  try {
+    await requestJSON("/api/library/" + encodeURIComponent(imageId), null, "DELETE");
+    libraryItems = libraryItems.filter((entry) => entry.image_id !== imageId);
+    libraryTotal = Math.max(0, libraryTotal - 1);
+    renderLibrary();
+  } catch (error) {
+    applyStatusState(accountStatusEl, "Error: " + (error?.message || "Could not delete library image."));
   }
-  applyStoredBackgroundImage();
 }
 
-async function deleteEditImage(id) {
-  if (!confirm("Delete this edit image?")) return;
-  await dbDeleteById(EDIT_STORE, id);
-  const index = editHistory.findIndex((it) => String(it.id) === String(id));
-  if (index >= 0) editHistory.splice(index, 1);
-  renderCounter(editHistoryCountEl, editHistory.length);
-  renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
-  if (String(selectedEditId) === String(id)) {
-    if (editHistory.length) selectEditImage(editHistory[0].id);
-    else selectEditImage(null);
+async function submitAccountCredentials(mode) {
+  const email = accountEmailEl.value.trim();
+  const password = accountPasswordEl.value;
+  if (!email || !password) {
+    applyStatusState(accountStatusEl, "Error: Enter your email and password.");
+    return;
+  }
+
+  try {
+    const data = await requestJSON(mode === "register" ? "/api/auth/register" : "/api/auth/login", { email, password });
+    currentAccount = data.user;
+    accountPasswordEl.value = "";
+    renderAccountState();
+    applyStatusState(accountStatusEl, mode === "register" ? "Account created." : "");
+    // Credits follow the account once signed in, so the balance is reloaded along with the plan.
+    await Promise.all([loadLibraryPage(true), refreshFreeUsage()]);
+  } catch (error) {
+    applyStatusState(accountStatusEl, "Error: " + (error?.message || "Could not sign in."));
   }
-  applyStoredBackgroundImage();
 }
 
-async function clearCreateHistory() {
-  if (!confirm("Clear all create history?")) return;
-  await dbClearStore(CREATE_STORE);
-  createHistory.splice(0, createHistory.length);
-  renderCounter(createHistoryCountEl, 0);
-  renderHistoryList(createHistoryEl, createHistory, selectCreateImage, deleteCreateImage, selectedCreateId);
-  selectCreateImage(null);
-  applyStoredBackgroundImage();
-  setStatus("Create history cleared.", "create");
+async function signOutAccount() {
+  try {
+    await requestJSON("/api/auth/logout", {});
+  } catch {
+    // The session cookie is cleared either way once the server answers; nothing else to undo locally.
+  }
+  currentAccount = null;
+  currentSubscription = null;
+  libraryItems = [];
+  libraryCursor = null;
+  libraryTotal = 0;
+  renderAccountState();
+  renderLibrary();
+  applyStatusState(accountStatusEl, "");
+  await refreshFreeUsage();
 }
 
-async function clearEditHistory() {
-  if (!confirm("Clear all edit history?")) return;
-  await dbClearStore(EDIT_STORE);
-  editHistory.splice(0, editHistory.length);
-  renderCounter(editHistoryCountEl, 0);
-  renderHistoryList(editHistoryEl, editHistory, selectEditImage, deleteEditImage, selectedEditId);
-  selectEditImage(null);
-  applyStoredBackgroundImage();
-  setStatus("Edit history cleared.", "edit");
+async function loadAccount() {
+  try {
+    const data = await requestJSON("/api/auth/me", null, "GET");
+    currentAccount = data.user || null;
+  } catch {
+    currentAccount = null;
+  }
+  renderAccountState();
+  if (currentAccount) {
+    await Promise.all([loadLibraryPage(true), loadSubscription()]);
+  }
 }
 
 async function readFileAsBase64(file) {
@@ -695,10 +2115,10 @@ async function filesToPayload(files, label) {
   return out;
 }
 
-async function requestJSON(path, payload, method = "POST") {
+async function requestJSON(path, payload, method = "POST", headers = {}) {
   const response = await fetch(path, {
     method,
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...headers },
     body: method === "GET" ? undefined : JSON.stringify(payload)
   });
   const data = await response.json();
@@ -711,6 +2131,113 @@ async function requestJSON(path, payload, method = "POST") {
   return data;
 }
 
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function describeJobProgress(job, runningMessage) {
+  if (job.status === "queued") {
+    return job.queue_position ? "Queued (position " + job.queue_position + ")..." : "Queued...";
+  }
+  return runningMessage;
+}
+
+// Image requests run as server-side jobs; the POST returns a job id and we poll until it settles.
+async function requestImageJob(path, payload, onProgress) {
+  const { job_id: jobId, job_token: jobToken } = await requestJSON(path, { ...payload, async: true });
+  const startedAt = Date.now();
+  let lastProgressKey = null;
+  let pollFailures = 0;
+
+  while (Date.now() - startedAt < JOB_MAX_WAIT_MS) {
+    let job;
+    try {
+      job = await requestJSON("/api/jobs/" + encodeURIComponent(jobId), null, "GET", { "X-Job-Token": jobToken });
+      pollFailures = 0;
+    } catch (error) {
+      pollFailures += 1;
+      if (error?.status === 404 || pollFailures >= JOB_MAX_POLL_FAILURES) throw error;
+      await delay(JOB_POLL_INTERVAL_MS);
+      continue;
+    }
+
+    if (job.status === "succeeded") {
+      return job.result;
+    }
+    if (job.status === "failed") {
+      const error = new Error(job.error || "Request failed");
+      error.code = job.code || null;
+      error.status = job.status_code || 500;
+      throw error;
+    }
+
+    const progressKey = job.status + ":" + (job.queue_position ?? "");
+    if (onProgress && progressKey !== lastProgressKey) {
+      lastProgressKey = progressKey;
+      onProgress(job);
+    }
+    await delay(JOB_POLL_INTERVAL_MS);
+  }
+
+  throw new Error("This image is taking longer than expected. Please try again.");
+}
+
+function parseSseEvent(rawEvent) {
+  let eventName = "message";
+  const dataLines = [];
+  for (const line of rawEvent.split("\n")) {
+    if (!line || line.startsWith(":")) continue;
+    if (line.startsWith("event:")) eventName = line.slice(6).trim();
+    else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+  }
+  return { eventName, data: dataLines.length ? JSON.parse(dataLines.join("\n")) : null };
+}
+
+async function requestImageStream(path, payload, onPartial) {
+  const response = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || "Request failed");
+    error.code = data.code || null;
+    error.status = response.status;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary >= 0) {
+      const { eventName, data } = parseSseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+
+      if (eventName === "partial" && data) {
+        onPartial?.(data);
+      } else if (eventName === "completed") {
+        void reader.cancel().catch(() => {});
+        return data;
+      } else if (eventName === "error") {
+        const error = new Error(data?.error || "Request failed");
+        error.code = data?.code || null;
+        error.status = data?.status_code || 500;
+        throw error;
+      }
+    }
+  }
+
+  throw new Error("The image stream ended before the image was finished. Please try again.");
+}
+
 async function copyTextToClipboard(text) {
   if (navigator.clipboard?.writeText) {
     await navigator.clipboard.writeText(text);
@@ -747,7 +2274,7 @@ function applyBackgroundImageItem(item) {
     return;
   }
 
-  siteBackgroundEl.style.backgroundImage = `url("data:${item.mimeType};base64,${item.b64}")`;
+  siteBackgroundEl.style.backgroundImage = `url("${getImageUrl(item)}")`;
   siteBackgroundEl.classList.remove("hidden");
 }
 
@@ -795,6 +2322,22 @@ function clearBackgroundImage() {
   applyStoredBackgroundImage();
 }
 
+function getStoredShareOwnerTokens() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SHARE_OWNER_TOKENS_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((entry) => entry?.share_id && entry?.owner_token) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Owner tokens are also kept outside the history items so shares stay manageable after the image is deleted.
+function rememberShareOwnerToken(shareId, ownerToken) {
+  const entries = getStoredShareOwnerTokens().filter((entry) => entry.share_id !== shareId);
+  entries.unshift({ share_id: shareId, owner_token: ownerToken });
+  localStorage.setItem(SHARE_OWNER_TOKENS_STORAGE_KEY, JSON.stringify(entries));
+}
+
 async function shareHistoryImage(item, sourceTab, statusEl) {
   if (!item) {
     applyStatusState(statusEl, "Error: Select an image first.");
@@ -804,12 +2347,22 @@ async function shareHistoryImage(item, sourceTab, statusEl) {
   applyStatusState(statusEl, "Creating share link...");
   try {
     const data = await requestJSON("/api/share", {
-      image_b64: item.b64,
+      image_b64: await blobToBase64(item.image),
       image_mime_type: item.mimeType,
       prompt_text: item.originPrompt || "",
-      source_tab: sourceTab
+      source_tab: sourceTab,
+      owner_token: item.share?.ownerToken || undefined
     });
 
+    if (data.owner_token) {
+      item.share = { shareId: data.share_id, ownerToken: data.owner_token };
+      rememberShareOwnerToken(data.share_id, data.owner_token);
+      const storeName = sourceTab === "edit" ? EDIT_STORE : CREATE_STORE;
+      if (findHistoryItem(sourceTab, item.id) === item) {
+        await dbPut(storeName, item);
+      }
+    }
+
     const copied = await copyTextToClipboard(data.share_url).catch(() => false);
     window.open(data.share_url, "_blank", "noopener,noreferrer");
     applyStatusState(statusEl, data.already_existed
@@ -828,9 +2381,368 @@ async function shareHistoryImage(item, sourceTab, statusEl) {
   }
 }
 
+function formatShareDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+function toDateInputValue(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  const pad = (part) => String(part).padStart(2, "0");
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+}
+
+async function updateOwnedShare(share, method, payload) {
+  const entry = getStoredShareOwnerTokens().find((candidate) => candidate.share_id === share.share_id);
+  if (!entry) return;
+  try {
+    await requestJSON("/api/shares/" + encodeURIComponent(share.share_id), {
+      owner_token: entry.owner_token,
+      ...payload
+    }, method);
+    applyStatusState(sharesStatusEl, method === "DELETE" ? "Share link revoked." : "Share link saved.");
+    await loadOwnedShares();
+  } catch (error) {
+    applyStatusState(sharesStatusEl, "Error: " + (error?.message || "Could not update share link."));
+  }
+}
+
+function formatCount(count, noun) {
+  return count + " " + noun + (count === 1 ? "" : "s");
+}
+
+function renderOwnedShares(shares) {
+  sharesListEl.innerHTML = "";
+  if (!shares.length) {
+    sharesListEl.textContent = "No share links from this browser yet.";
+    return;
+  }
+
+  for (const share of shares) {
+    const active = share.status === "active";
+    const row = document.createElement("div");
+    row.className = "share-item" + (active ? "" : " inactive");
+
+    const img = document.createElement("img");
+    img.alt = "Shared image";
+    img.loading = "lazy";
+    if (active) img.src = "/shared/" + share.share_id + "/image";
+    row.appendChild(img);
+
+    const body = document.createElement("div");
+    const title = document.createElement("div");
+    title.textContent = share.prompt_text || "Shared image";
+    body.appendChild(title);
+
+    const meta = document.createElement("div");
+    meta.className = "hint";
+    meta.textContent =
+      "Created " + formatShareDate(share.created_at) +
+      (share.status === "revoked" ? " · Revoked " + formatShareDate(share.revoked_at) : "") +
+      (share.status === "expired" ? " · Expired " + formatShareDate(share.expires_at) : "") +
+      (active && share.expires_at ? " · Expires " + formatShareDate(share.expires_at) : "") +
+      (active && share.published ? " · In gallery" : "");
+    body.appendChild(meta);
+
+    if (share.stats) {
+      const stats = document.createElement("div");
+      stats.className = "hint";
+      stats.textContent =
+        formatCount(share.stats.views, "view") + " · " +
+        formatCount(share.stats.image_fetches, "image load") + " · " +
+        formatCount(share.stats.downloads, "download") + " · " +
+        formatCount(share.stats.refine_clicks, "refine");
+      body.appendChild(stats);
+    }
+
+    if (active) {
+      const actions = document.createElement("div");
+      actions.className = "row";
+
+      const copyBtn = document.createElement("button");
+      copyBtn.type = "button";
+      copyBtn.className = "secondary";
+      copyBtn.textContent = "Copy link";
+      copyBtn.addEventListener("click", async () => {
+        const copied = await copyTextToClipboard(share.share_url).catch(() => false);
+        if (copied) applyStatusState(sharesStatusEl, "Share link copied.");
+        else window.prompt("Copy this share link:", share.share_url);
+      });
+      actions.appendChild(copyBtn);
+
+      const expiryInput = document.createElement("input");
+      expiryInput.type = "date";
+      expiryInput.value = toDateInputValue(share.expires_at);
+      expiryInput.setAttribute("aria-label", "Expiry date");
+      actions.appendChild(expiryInput);
+
+      const expiryBtn = document.createElement("button");
+      expiryBtn.type = "button";
+      expiryBtn.className = "secondary";
+      expiryBtn.textContent = "Set expiry";
+      expiryBtn.addEventListener("click", () => {
+        // Links stay up until the end of the chosen day, in the viewer's local time.
+        const expiresAt = expiryInput.value ? new Date(expiryInput.value + "T23:59:59").toISOString() : null;
+        void updateOwnedShare(share, "PATCH", { expires_at: expiresAt });
+      });
+      actions.appendChild(expiryBtn);
+
+      const publishBtn = document.createElement("button");
+      publishBtn.type = "button";
+      publishBtn.className = "secondary";
+      publishBtn.textContent = share.published ? "Remove from gallery" : "Publish to gallery";
+      publishBtn.addEventListener("click", () => {
+        void updateOwnedShare(share, "PATCH", { published: !share.published });
+      });
+      actions.appendChild(publishBtn);
+
+      const revokeBtn = document.createElement("button");
+      revokeBtn.type = "button";
+      revokeBtn.className = "secondary";
+      revokeBtn.textContent = "Revoke";
+      revokeBtn.addEventListener("click", () => {
+        if (!confirm("Revoke this share link? It cannot be restored.")) return;
+        void updateOwnedShare(share, "DELETE", {});
+      });
+      actions.appendChild(revokeBtn);
+
+      body.appendChild(actions);
+    }
+
+    row.appendChild(body);
+    sharesListEl.appendChild(row);
+  }
+}
+
+async function loadOwnedShares() {
+  const entries = getStoredShareOwnerTokens();
+  if (!entries.length) {
+    renderOwnedShares([]);
+    return;
+  }
+  try {
+    const data = await requestJSON("/api/shares/mine", { shares: entries });
+    renderOwnedShares(data.shares || []);
+  } catch (error) {
+    applyStatusState(sharesStatusEl, "Error: " + (error?.message || "Could not load share links."));
+  }
+}
+
+function openSharesModal() {
+  sharesStatusEl.textContent = "";
+  sharesModalEl.style.display = "grid";
+  void loadOwnedShares();
+}
+
+function closeSharesModal() {
+  sharesModalEl.style.display = "none";
+}
+
+function applyEntrySettings(settings) {
+  if (providerCapabilities.sizes.has(settings.size)) sizeEl.value = settings.size;
+  if (providerCapabilities.qualities.has(settings.quality)) qualityEl.value = settings.quality;
+  if (providerCapabilities.outputFormats.has(settings.output_format)) formatEl.value = settings.output_format;
+  if (Number.isInteger(settings.image_count) && settings.image_count <= maxImagesPerRequest) {
+    imageCountEl.value = String(settings.image_count);
+  }
+}
+
+// Puts the entry's prompt and settings back into the form that produced it and runs it again.
+// Reference images and masks are not stored, so whatever is currently selected for that form is used.
+async function rerunHistoryItem(sourceTab, id) {
+  const item = findHistoryItem(sourceTab, id);
+  const settings = item?.settings;
+  if (!settings) return;
+  applyEntrySettings(settings);
+
+  if (settings.endpoint === "generate") {
+    switchTab("create");
+    promptEl.value = item.originPrompt;
+    await generateImage();
+    return;
+  }
+
+  if (settings.endpoint === "edit-upload") {
+    switchTab("edit");
+    externalEditPromptEl.value = item.originPrompt;
+    if (!externalSourceImage) {
+      setStatus("Error: Upload the source image" + (settings.source_image_name ? " (" + settings.source_image_name + ")" : "") + " again to re-run this edit.", "edit");
+      return;
+    }
+    if (
+      settings.source_image_name &&
+      externalSourceImage.name !== settings.source_image_name &&
+      !confirm("This edit was made from " + settings.source_image_name + ", but " + externalSourceImage.name + " is uploaded now. Re-run it on " + externalSourceImage.name + "?")
+    ) {
+      return;
+    }
+    await editUploadedImage();
+    return;
+  }
+
+  const parent = findHistoryItem(sourceTab, item.parentId);
+  const statusEl = sourceTab === "edit" ? editResultStatusEl : quickEditStatusEl;
+  if (!parent) {
+    applyStatusState(statusEl, "Error: The image this variation was made from is no longer in history.");
+    return;
+  }
+  if (sourceTab === "edit") {
+    selectEditImage(parent.id);
+    editResultPromptEl.value = item.originPrompt;
+    await editSelectedResultVariation();
+  } else {
+    selectCreateImage(parent.id);
+    quickEditPromptEl.value = item.originPrompt;
+    await quickEditGeneratedImage();
+  }
+}
+
+function findCompareParent(sourceTab, item) {
+  if (!item || (item.parentId ?? null) === null || String(item.parentId) === String(item.id)) return null;
+  return findHistoryItem(sourceTab, item.parentId);
+}
+
+function getComparePaneSize() {
+  const pane = compareStageEl.querySelector(".compare-pane");
+  return { width: pane.clientWidth, height: pane.clientHeight };
+}
+
+// Both panes share one transform, so zooming or panning either keeps them aligned.
+function applyCompareTransform() {
+  const { width, height } = getComparePaneSize();
+  const { zoom } = compareState;
+  compareState.panX = Math.min(0, Math.max(width - width * zoom, compareState.panX));
+  compareState.panY = Math.min(0, Math.max(height - height * zoom, compareState.panY));
+  const transform = "translate(" + compareState.panX + "px, " + compareState.panY + "px) scale(" + zoom + ")";
+  for (const layerEl of compareStageEl.querySelectorAll(".compare-layer")) {
+    layerEl.style.transform = transform;
+  }
+}
+
+// Keeps the point at (originX, originY) within the pane fixed while zooming.
+function setCompareZoom(nextZoom, originX, originY) {
+  const zoom = Math.min(COMPARE_MAX_ZOOM, Math.max(1, nextZoom));
+  const ratio = zoom / compareState.zoom;
+  compareState.panX = originX - (originX - compareState.panX) * ratio;
+  compareState.panY = originY - (originY - compareState.panY) * ratio;
+  compareState.zoom = zoom;
+  applyCompareTransform();
+}
+
+function zoomCompareFromCenter(factor) {
+  const { width, height } = getComparePaneSize();
+  setCompareZoom(compareState.zoom * factor, width / 2, height / 2);
+}
+
+function setCompareSplit(percent) {
+  const split = Math.min(100, Math.max(0, percent));
+  compareStageEl.style.setProperty("--split", split + "%");
+  compareSliderEl.value = String(Math.round(split));
+}
+
+function setCompareMode(mode) {
+  const side = mode === "side";
+  compareStageEl.classList.toggle("side", side);
+  compareStageEl.classList.toggle("slider", !side);
+  compareModeSideBtn.setAttribute("aria-pressed", side ? "true" : "false");
+  compareModeSliderBtn.setAttribute("aria-pressed", side ? "false" : "true");
+  if (compareState) applyCompareTransform();
+}
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Could not read image."));
+    image.src = src;
+  });
+}
+
+// Marks pixels that changed between parent and variation; the parent is scaled to the variation's size first.
+async function renderCompareDiff(state) {
+  const [beforeImage, afterImage] = await Promise.all([
+    loadImageElement(getImageUrl(state.before)),
+    loadImageElement(getImageUrl(state.after))
+  ]);
+  const width = afterImage.naturalWidth;
+  const height = afterImage.naturalHeight;
+  const scratch = document.createElement("canvas");
+  scratch.width = width;
+  scratch.height = height;
+  const scratchCtx = scratch.getContext("2d", { willReadFrequently: true });
+  scratchCtx.drawImage(beforeImage, 0, 0, width, height);
+  const beforePixels = scratchCtx.getImageData(0, 0, width, height).data;
+  scratchCtx.clearRect(0, 0, width, height);
+  scratchCtx.drawImage(afterImage, 0, 0, width, height);
+  const afterPixels = scratchCtx.getImageData(0, 0, width, height).data;
+
+  if (compareState !== state) return;
+  compareDiffCanvasEl.width = width;
+  compareDiffCanvasEl.height = height;
+  const diffCtx = compareDiffCanvasEl.getContext("2d");
+  const output = diffCtx.createImageData(width, height);
+  for (let i = 0; i < afterPixels.length; i += 4) {
+    const delta = Math.max(
+      Math.abs(afterPixels[i] - beforePixels[i]),
+      Math.abs(afterPixels[i + 1] - beforePixels[i + 1]),
+      Math.abs(afterPixels[i + 2] - beforePixels[i + 2])
+    );
+    if (delta < COMPARE_DIFF_THRESHOLD) continue;
+    output.data[i] = 255;
+    output.data[i + 1] = 32;
+    output.data[i + 2] = 96;
+    output.data[i + 3] = Math.min(220, 80 + delta);
+  }
+  diffCtx.putImageData(output, 0, 0);
+  state.diffReady = true;
+}
+
+async function updateCompareDiff() {
+  const state = compareState;
+  if (!state) return;
+  if (!compareDiffToggleEl.checked) {
+    compareDiffCanvasEl.classList.add("hidden");
+    return;
+  }
+  try {
+    if (!state.diffReady) await renderCompareDiff(state);
+    if (compareState === state && compareDiffToggleEl.checked) {
+      compareDiffCanvasEl.classList.remove("hidden");
+    }
+  } catch (error) {
+    compareDiffToggleEl.checked = false;
+    compareCaptionEl.textContent = "Error: " + (error?.message || "Could not compare images.");
+  }
+}
+
+function openCompareModal(sourceTab, id) {
+  const item = findHistoryItem(sourceTab, id);
+  const parent = findCompareParent(sourceTab, item);
+  if (!parent) return;
+
+  compareState = { before: parent, after: item, zoom: 1, panX: 0, panY: 0, diffReady: false };
+  compareBeforeImageEl.src = getImageUrl(parent);
+  compareAfterImageEl.src = getImageUrl(item);
+  compareCaptionEl.textContent =
+    "Before: " + (parent.originPrompt || "(no prompt)") + " · After: " + (item.originPrompt || "(no prompt)");
+  compareDiffCanvasEl.classList.add("hidden");
+  setCompareSplit(50);
+  compareModalEl.style.display = "grid";
+  applyCompareTransform();
+  void updateCompareDiff();
+}
+
+function closeCompareModal() {
+  compareModalEl.style.display = "none";
+  compareState = null;
+  compareDrag = null;
+}
+
 function openPaywallModal(message, reasonEventType) {
+  paywallReason = reasonEventType?.startsWith("paywall_shown_") ? reasonEventType.slice("paywall_shown_".length) : null;
   paywallMessageEl.textContent = message;
   paywallInterestFormEl.style.display = "none";
+  paywallPlansEl.style.display = "none";
   paywallOptionsEl.style.display = "flex";
   paywallModalEl.style.display = "grid";
   void requestJSON("/api/interest/event", { event_type: reasonEventType || "paywall_shown" }).catch(() => {});
@@ -851,11 +2763,9 @@ function closeContactModal() {
 
 async function loadHistoriesFromDB() {
   const [createItems, editItems] = await Promise.all([dbGetAll(CREATE_STORE), dbGetAll(EDIT_STORE)]);
-  createItems.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  editItems.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-  createHistory.splice(0, createHistory.length, ...createItems.slice(0, MAX_IMAGES_PER_TAB));
-  editHistory.splice(0, editHistory.length, ...editItems.slice(0, MAX_IMAGES_PER_TAB));
+  createHistory.splice(0, createHistory.length, ...createItems);
+  editHistory.splice(0, editHistory.length, ...editItems);
 
   renderCounter(createHistoryCountEl, createHistory.length);
   renderCounter(editHistoryCountEl, editHistory.length);
@@ -893,13 +2803,14 @@ async function consumeShareRefineHandoff() {
 
   try {
     const shared = await requestJSON("/api/shared/" + encodeURIComponent(shareIdFromUrl), null, "GET");
-    const existing = findHistoryMatch(editHistory, shared.image_b64, shared.mime_type);
+    const image = base64ToBlob(shared.image_b64, shared.mime_type || "image/png");
+    const existing = await findHistoryMatch(editHistory, image);
 
     if (existing) {
       selectEditImage(existing.id);
     } else {
       const entry = createHistoryEntry({
-        b64: shared.image_b64,
+        image,
         mimeType: shared.mime_type || "image/png",
         prompt: shared.prompt_text || "Shared image",
         parentId: null
@@ -939,16 +2850,44 @@ async function generateImage() {
   setStatus("Generating image...", "create");
 
   try {
+    const imageCount = getSelectedImageCount();
     const payload = { prompt, ...settings };
+    if (imageCount > 1) payload.n = imageCount;
     const userApiKey = getUserApiKey();
     if (userApiKey) payload.user_api_key = userApiKey;
     if (createReferenceImages.length) payload.reference_images = createReferenceImages;
-    const data = await requestJSON("/api/generate", payload);
+    // Single images stream partial frames into the preview when the provider supports it;
+    // everything else goes through the job queue.
+    const data = imageCount > 1 || !providerCapabilities.supportsStreaming
+      ? await requestImageJob("/api/generate", payload, (job) => {
+        setStatus(describeJobProgress(job, "Generating image..."), "create");
+      })
+      : await requestImageStream("/api/generate/stream", payload, (partial) => {
+        showStreamingPreview(partial);
+        setStatus("Generating image... (preview " + (partial.index + 1) + ")", "create");
+      });
 
-    const mimeType = data.mime_type || "image/png";
-    const entry = createHistoryEntry({ b64: data.b64, mimeType, prompt, parentId: null });
-    await addCreateHistoryItem(entry);
-    setStatus("Base image created. (" + createHistory.length + "/" + MAX_IMAGES_PER_TAB + ")", "create");
+    const images = Array.isArray(data.images) && data.images.length
+      ? data.images
+      : [{ b64: data.b64, mime_type: data.mime_type }];
+    const entrySettings = buildEntrySettings("generate", settings, { imageCount, referenceImages: createReferenceImages });
+    const entries = images.map((image) => createHistoryEntry({
+      b64: image.b64,
+      mimeType: image.mime_type || "image/png",
+      prompt,
+      parentId: null,
+      settings: entrySettings,
+      metadata: data.metadata
+    }));
+
+    if (entries.length === 1) {
+      await addCreateHistoryItem(entries[0]);
+      setStatus("Base image created. (" + createHistory.length + "/" + historyCapacity + ")", "create");
+    } else {
+      createCandidates = [...entries, ...createCandidates];
+      renderCreateCandidates();
+      setStatus(entries.length + " candidates created. Keep the ones you like.", "create");
+    }
   } catch (requestError) {
     if (requestError?.code === "TRIAL_EXPIRED_NEEDS_API_KEY") {
       openPaywallModal(
@@ -962,8 +2901,10 @@ async function generateImage() {
       userApiKeyEl.focus();
     }
     setStatus("Error: " + (requestError?.message || "Unknown error"), "create");
+    selectCreateImage(selectedCreateId);
   } finally {
     setButtons(false);
+    refreshFreeUsage();
   }
 }
 
@@ -1000,19 +2941,30 @@ async function quickEditGeneratedImage() {
     const payload = {
       prompt,
       ...settings,
-      image_b64: base.b64,
+      image_b64: await blobToBase64(base.image),
       image_mime_type: base.mimeType,
       parent_id: base.id
     };
     const userApiKey = getUserApiKey();
     if (userApiKey) payload.user_api_key = userApiKey;
     if (quickEditReferenceImages.length) payload.reference_images = quickEditReferenceImages;
-    const data = await requestJSON("/api/edit", payload);
+    const maskB64 = quickEditMaskPainter.exportMaskB64();
+    if (maskB64) payload.mask_b64 = maskB64;
+    const data = await requestImageJob("/api/edit", payload, (job) => {
+      applyStatusState(quickEditStatusEl, describeJobProgress(job, "Creating variation..."));
+    });
 
     const mimeType = data.mime_type || "image/png";
-    const entry = createHistoryEntry({ b64: data.b64, mimeType, prompt, parentId: base.id });
+    const entry = createHistoryEntry({
+      b64: data.b64,
+      mimeType,
+      prompt,
+      parentId: base.id,
+      settings: buildEntrySettings("variation", settings, { referenceImages: quickEditReferenceImages, masked: Boolean(maskB64) }),
+      metadata: data.metadata
+    });
     await addCreateHistoryItem(entry);
-    applyStatusState(quickEditStatusEl, "Variation created. (" + createHistory.length + "/" + MAX_IMAGES_PER_TAB + ")");
+    applyStatusState(quickEditStatusEl, "Variation created. (" + createHistory.length + "/" + historyCapacity + ")");
   } catch (requestError) {
     if (requestError?.code === "TRIAL_EXPIRED_NEEDS_API_KEY") {
       openPaywallModal(
@@ -1028,6 +2980,7 @@ async function quickEditGeneratedImage() {
     applyStatusState(quickEditStatusEl, "Error: " + (requestError?.message || "Unknown error"));
   } finally {
     setButtons(false);
+    refreshFreeUsage();
   }
 }
 
@@ -1060,13 +3013,25 @@ async function editUploadedImage() {
     const userApiKey = getUserApiKey();
     if (userApiKey) payload.user_api_key = userApiKey;
     if (externalEditReferenceImages.length) payload.reference_images = externalEditReferenceImages;
-    const data = await requestJSON("/api/edit", payload);
+    const data = await requestImageJob("/api/edit", payload, (job) => {
+      setStatus(describeJobProgress(job, "Editing uploaded image..."), "edit");
+    });
 
     const mimeType = data.mime_type || "image/png";
-    const entry = createHistoryEntry({ b64: data.b64, mimeType, prompt, parentId: null });
+    const entry = createHistoryEntry({
+      b64: data.b64,
+      mimeType,
+      prompt,
+      parentId: null,
+      settings: buildEntrySettings("edit-upload", settings, {
+        referenceImages: externalEditReferenceImages,
+        sourceName: externalSourceImage.name
+      }),
+      metadata: data.metadata
+    });
     await addEditHistoryItem(entry);
 
-    setStatus("Uploaded image edited. (" + editHistory.length + "/" + MAX_IMAGES_PER_TAB + ")", "edit");
+    setStatus("Uploaded image edited. (" + editHistory.length + "/" + historyCapacity + ")", "edit");
   } catch (requestError) {
     if (requestError?.code === "TRIAL_EXPIRED_NEEDS_API_KEY") {
       openPaywallModal(
@@ -1082,6 +3047,7 @@ async function editUploadedImage() {
     setStatus("Error: " + (requestError?.message || "Unknown error"), "edit");
   } finally {
     setButtons(false);
+    refreshFreeUsage();
   }
 }
 
@@ -1118,19 +3084,30 @@ async function editSelectedResultVariation() {
     const payload = {
       prompt,
       ...settings,
-      image_b64: base.b64,
+      image_b64: await blobToBase64(base.image),
       image_mime_type: base.mimeType,
       parent_id: base.id
     };
     const userApiKey = getUserApiKey();
     if (userApiKey) payload.user_api_key = userApiKey;
     if (editResultReferenceImages.length) payload.reference_images = editResultReferenceImages;
-    const data = await requestJSON("/api/edit", payload);
+    const maskB64 = editResultMaskPainter.exportMaskB64();
+    if (maskB64) payload.mask_b64 = maskB64;
+    const data = await requestImageJob("/api/edit", payload, (job) => {
+      applyStatusState(editResultStatusEl, describeJobProgress(job, "Creating variation..."));
+    });
 
     const mimeType = data.mime_type || "image/png";
-    const entry = createHistoryEntry({ b64: data.b64, mimeType, prompt, parentId: base.id });
+    const entry = createHistoryEntry({
+      b64: data.b64,
+      mimeType,
+      prompt,
+      parentId: base.id,
+      settings: buildEntrySettings("variation", settings, { referenceImages: editResultReferenceImages, masked: Boolean(maskB64) }),
+      metadata: data.metadata
+    });
     await addEditHistoryItem(entry);
-    applyStatusState(editResultStatusEl, "Variation created. (" + editHistory.length + "/" + MAX_IMAGES_PER_TAB + ")");
+    applyStatusState(editResultStatusEl, "Variation created. (" + editHistory.length + "/" + historyCapacity + ")");
   } catch (requestError) {
     if (requestError?.code === "TRIAL_EXPIRED_NEEDS_API_KEY") {
       openPaywallModal(
@@ -1146,6 +3123,7 @@ async function editSelectedResultVariation() {
     applyStatusState(editResultStatusEl, "Error: " + (requestError?.message || "Unknown error"));
   } finally {
     setButtons(false);
+    refreshFreeUsage();
   }
 }
 
@@ -1190,9 +3168,15 @@ editResultSetBackgroundBtn.addEventListener("click", () => {
 });
 clearCreateHistoryBtn.addEventListener("click", () => void clearCreateHistory());
 clearEditHistoryBtn.addEventListener("click", () => void clearEditHistory());
+toggleCreateLineageBtn.addEventListener("click", () => toggleHistoryLayout("create"));
+toggleEditLineageBtn.addEventListener("click", () => toggleHistoryLayout("edit"));
 clearBackgroundImageBtn.addEventListener("click", clearBackgroundImage);
 
+keepAllCandidatesBtn.addEventListener("click", () => void keepAllCreateCandidates());
+discardAllCandidatesBtn.addEventListener("click", discardAllCreateCandidates);
+
 sizeEl.addEventListener("change", saveSettings);
+imageCountEl.addEventListener("change", saveSettings);
 formatEl.addEventListener("change", saveSettings);
 qualityEl.addEventListener("change", () => {
   const selected = qualityEl.value;
@@ -1214,6 +3198,43 @@ saveUserApiKeyBtn.addEventListener("click", () => {
 toggleApiKeyPanelBtn.addEventListener("click", () => {
   setApiKeyPanelOpen(!isApiKeyPanelOpen());
 });
+toggleHistoryPanelBtn.addEventListener("click", () => {
+  setHistoryPanelOpen(historyPanelBodyEl.style.display === "none");
+});
+exportHistoryBtn.addEventListener("click", () => {
+  exportHistoryArchive().catch((error) => {
+    applyStatusState(historyBackupStatusEl, "Error: " + (error?.message || "Could not export history."));
+  });
+});
+saveHistoryCapacityBtn.addEventListener("click", () => void saveHistoryCapacity());
+historyAskBeforeEvictEl.addEventListener("change", () => {
+  localStorage.setItem(HISTORY_EVICTION_PROMPT_STORAGE_KEY, historyAskBeforeEvictEl.checked ? "1" : "0");
+});
+importHistoryBtn.addEventListener("click", () => importHistoryFileEl.click());
+importHistoryFileEl.addEventListener("change", async () => {
+  const file = importHistoryFileEl.files?.[0];
+  importHistoryFileEl.value = "";
+  if (file) await importHistoryArchive(file);
+});
+toggleAccountPanelBtn.addEventListener("click", () => {
+  setAccountPanelOpen(!isAccountPanelOpen());
+});
+accountSignedOutEl.addEventListener("submit", (event) => {
+  event.preventDefault();
+  void submitAccountCredentials("login");
+});
+accountRegisterBtn.addEventListener("click", () => {
+  void submitAccountCredentials("register");
+});
+accountSignOutBtn.addEventListener("click", () => {
+  void signOutAccount();
+});
+libraryTabEl.addEventListener("change", () => {
+  void loadLibraryPage(true);
+});
+libraryLoadMoreBtn.addEventListener("click", () => {
+  void loadLibraryPage(false);
+});
 toggleOutputSettingsPanelBtn.addEventListener("click", () => {
   setOutputSettingsPanelOpen(!isOutputSettingsPanelOpen());
 });
@@ -1238,7 +3259,7 @@ clearUserApiKeyBtn.addEventListener("click", () => {
 paywallCloseEl.addEventListener("click", closePaywallModal);
 paywallUseOwnKeyEl.addEventListener("click", async () => {
   closePaywallModal();
-  await requestJSON("/api/interest/event", { event_type: "paywall_clicked_use_own_key" }).catch(() => {});
+  await requestJSON("/api/interest/event", { event_type: "paywall_clicked_use_own_key", reason: paywallReason }).catch(() => {});
   ensureApiKeyPanelOpen();
   if (editUserApiKeyBtn.style.display !== "none") {
     editUserApiKeyBtn.click();
@@ -1246,12 +3267,74 @@ paywallUseOwnKeyEl.addEventListener("click", async () => {
     userApiKeyEl.focus();
   }
 });
+function showPaywallPlans() {
+  paywallMessageEl.textContent = currentAccount
+    ? "Choose a plan. Payment happens on the provider's checkout page."
+    : "Choose a plan. You will need to sign in or create an account first, since the subscription belongs to it.";
+  paywallPlansErrorEl.textContent = "";
+  paywallPlanListEl.replaceChildren(...billingPlans.map((plan) => {
+    const card = document.createElement("div");
+    card.className = "plan-card";
+    const title = document.createElement("h3");
+    title.textContent = plan.name;
+    const price = document.createElement("div");
+    price.className = "plan-price";
+    price.textContent = formatPlanPrice(plan) + " / month";
+    const limits = document.createElement("div");
+    limits.className = "hint";
+    limits.textContent = describePlanLimits(plan);
+    const choose = document.createElement("button");
+    choose.type = "button";
+    choose.textContent = "Choose " + plan.name;
+    choose.addEventListener("click", () => void startPlanCheckout(plan.id));
+    card.append(title, price, limits, choose);
+    return card;
+  }));
+  paywallOptionsEl.style.display = "none";
+  paywallPlansEl.style.display = "block";
+}
+
+async function startPlanCheckout(planId) {
+  if (!currentAccount) {
+    closePaywallModal();
+    setAccountPanelOpen(true);
+    applyStatusState(accountStatusEl, "Sign in or create an account, then choose your plan again.");
+    accountEmailEl.focus();
+    return;
+  }
+  try {
+    const data = await requestJSON("/api/billing/checkout", { plan_id: planId });
+    window.location.href = data.checkout_url;
+  } catch (error) {
+    paywallPlansErrorEl.textContent = error?.message || "Could not start checkout.";
+  }
+}
+
 paywallSubscribeOptionEl.addEventListener("click", async () => {
-  await requestJSON("/api/interest/event", { event_type: "paywall_clicked_subscribe_option" }).catch(() => {});
+  await requestJSON("/api/interest/event", { event_type: "paywall_clicked_subscribe_option", reason: paywallReason }).catch(() => {});
+  if (billingPlans.length) {
+    showPaywallPlans();
+    return;
+  }
   paywallMessageEl.textContent = "This feature is being developed. Enter your email to be notified when it is available.";
   paywallOptionsEl.style.display = "none";
   paywallInterestFormEl.style.display = "block";
 });
+paywallPlansBackEl.addEventListener("click", () => {
+  paywallMessageEl.textContent = "Add your own API key or choose a subscription plan.";
+  paywallPlansEl.style.display = "none";
+  paywallOptionsEl.style.display = "flex";
+});
+// Opened from the account panel rather than by hitting a limit, so it is not a paywall funnel step.
+showPlansBtn.addEventListener("click", () => {
+  paywallReason = null;
+  paywallInterestFormEl.style.display = "none";
+  paywallModalEl.style.display = "grid";
+  showPaywallPlans();
+});
+cancelSubscriptionBtn.addEventListener("click", () => {
+  void cancelCurrentSubscription();
+});
 interestBackEl.addEventListener("click", () => {
   interestErrorEl.textContent = "";
   paywallMessageEl.textContent = "Add your own API key or join the subscription waitlist.";
@@ -1274,8 +3357,8 @@ async function submitInterestForm() {
     return;
   }
   try {
-    await requestJSON("/api/interest/submit", { email, willingness, comments });
-    await requestJSON("/api/interest/event", { event_type: "paywall_interest_submitted" }).catch(() => {});
+    await requestJSON("/api/interest/submit", { email, willingness, comments, reason: paywallReason });
+    await requestJSON("/api/interest/event", { event_type: "paywall_interest_submitted", reason: paywallReason }).catch(() => {});
     closePaywallModal();
     setStatus("Thanks. We saved your subscription interest.", "edit");
     interestEmailEl.value = "";
@@ -1343,6 +3426,55 @@ contactSubmitEl.addEventListener("click", async () => {
 });
 openContactModalEl.addEventListener("click", openContactModal);
 contactModalCloseEl.addEventListener("click", closeContactModal);
+openSharesModalEl.addEventListener("click", openSharesModal);
+sharesModalCloseEl.addEventListener("click", closeSharesModal);
+quickCompareBtn.addEventListener("click", () => openCompareModal("create", selectedCreateId));
+quickRerunBtn.addEventListener("click", () => void rerunHistoryItem("create", selectedCreateId));
+editResultRerunBtn.addEventListener("click", () => void rerunHistoryItem("edit", selectedEditId));
+editResultCompareBtn.addEventListener("click", () => openCompareModal("edit", selectedEditId));
+compareModalCloseEl.addEventListener("click", closeCompareModal);
+compareModeSliderBtn.addEventListener("click", () => setCompareMode("slider"));
+compareModeSideBtn.addEventListener("click", () => setCompareMode("side"));
+compareDiffToggleEl.addEventListener("change", () => void updateCompareDiff());
+compareZoomInBtn.addEventListener("click", () => zoomCompareFromCenter(1.5));
+compareZoomOutBtn.addEventListener("click", () => zoomCompareFromCenter(1 / 1.5));
+compareZoomResetBtn.addEventListener("click", () => setCompareZoom(1, 0, 0));
+compareSliderEl.addEventListener("input", () => setCompareSplit(Number(compareSliderEl.value)));
+compareStageEl.addEventListener("wheel", (event) => {
+  if (!compareState) return;
+  event.preventDefault();
+  const paneRect = (event.target.closest(".compare-pane") || compareStageEl).getBoundingClientRect();
+  setCompareZoom(
+    compareState.zoom * Math.exp(-event.deltaY * 0.0015),
+    event.clientX - paneRect.left,
+    event.clientY - paneRect.top
+  );
+}, { passive: false });
+compareStageEl.addEventListener("pointerdown", (event) => {
+  if (!compareState) return;
+  compareDrag = event.target === compareHandleEl
+    ? { type: "split" }
+    : { type: "pan", startX: event.clientX, startY: event.clientY, panX: compareState.panX, panY: compareState.panY };
+  compareStageEl.classList.toggle("panning", compareDrag.type === "pan");
+  compareStageEl.setPointerCapture(event.pointerId);
+});
+compareStageEl.addEventListener("pointermove", (event) => {
+  if (!compareDrag || !compareState) return;
+  if (compareDrag.type === "split") {
+    const rect = compareStageEl.getBoundingClientRect();
+    setCompareSplit(((event.clientX - rect.left) / rect.width) * 100);
+    return;
+  }
+  compareState.panX = compareDrag.panX + event.clientX - compareDrag.startX;
+  compareState.panY = compareDrag.panY + event.clientY - compareDrag.startY;
+  applyCompareTransform();
+});
+for (const eventName of ["pointerup", "pointercancel"]) {
+  compareStageEl.addEventListener(eventName, () => {
+    compareDrag = null;
+    compareStageEl.classList.remove("panning");
+  });
+}
 
 referenceImagesInputEl.addEventListener("change", async () => {
   try {
@@ -1508,9 +3640,11 @@ clearEditResultReferencesBtn.addEventListener("click", () => {
 
 loadSettings();
 previousQualityValue = qualityEl.value;
-await loadAppConfig();
+await Promise.all([loadAppConfig(), loadBillingPlans()]);
 loadUserApiKey();
 setApiKeyPanelOpen(localStorage.getItem(API_KEY_PANEL_OPEN_STORAGE_KEY) === "1");
+setAccountPanelOpen(localStorage.getItem(ACCOUNT_PANEL_OPEN_STORAGE_KEY) === "1");
+setHistoryPanelOpen(localStorage.getItem(HISTORY_PANEL_OPEN_STORAGE_KEY) === "1");
 setOutputSettingsPanelOpen(localStorage.getItem(OUTPUT_SETTINGS_PANEL_OPEN_STORAGE_KEY) === "1");
 switchTab(localStorage.getItem(ACTIVE_TAB_STORAGE_KEY) === "edit" ? "edit" : "create");
 updateSelectedGeneratedInfo(null);
@@ -1528,6 +3662,11 @@ renderSummary(
   "Using edit references "
 );
 renderSummary(editResultReferenceSummaryEl, [], "", "Using reference images ");
+applyHistoryLayout("create");
+applyHistoryLayout("edit");
+setCompareMode("slider");
 await loadHistoriesFromDB();
+await loadAccount();
+consumeBillingReturn();
 await consumeShareRefineHandoff();
 applyStoredBackgroundImage();
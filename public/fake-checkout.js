@@ -0,0 +1,44 @@
+const params = new URLSearchParams(window.location.search);
+const subscriptionId = params.get("subscription") || "";
+const detailsEl = document.getElementById("fakeCheckoutDetails");
+const statusEl = document.getElementById("fakeCheckoutStatus");
+const returnEl = document.getElementById("fakeReturn");
+
+// Only same-origin return addresses; anything else falls back to the home page.
+function getReturnUrl() {
+  try {
+    const url = new URL(params.get("return_url") || "/", window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search : "/";
+  } catch {
+    return "/";
+  }
+}
+
+async function sendEvent(type) {
+  statusEl.textContent = "Sending " + type + "...";
+  try {
+    const response = await fetch("/api/billing/fake/events", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ subscription_id: subscriptionId, type })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    statusEl.textContent = "Webhook " + type + ": " + data.result + ".";
+    if (type === "activated" && data.result === "applied") {
+      window.location.href = getReturnUrl();
+    }
+  } catch (error) {
+    statusEl.textContent = "Error: " + (error?.message || "Could not send the event.");
+  }
+}
+
+detailsEl.textContent = subscriptionId
+  ? "Plan " + (params.get("plan") || "?") + " · subscription " + subscriptionId
+  : "No subscription in the address; start from the plan picker in the app.";
+returnEl.href = getReturnUrl();
+document.getElementById("fakeActivate").addEventListener("click", () => void sendEvent("activated"));
+document.getElementById("fakePastDue").addEventListener("click", () => void sendEvent("past_due"));
+document.getElementById("fakeCancel").addEventListener("click", () => void sendEvent("cancelled"));
@@ -0,0 +1,97 @@
+const searchFormEl = document.getElementById("gallerySearch");
+const queryEl = document.getElementById("galleryQuery");
+const sortEl = document.getElementById("gallerySort");
+const gridEl = document.getElementById("galleryGrid");
+const statusEl = document.getElementById("galleryStatus");
+const loadMoreBtn = document.getElementById("galleryLoadMore");
+
+let nextCursor = null;
+let loading = false;
+
+function readStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  queryEl.value = params.get("q") || "";
+  sortEl.value = params.get("sort") === "most_viewed" ? "most_viewed" : "newest";
+}
+
+function writeStateToUrl() {
+  const params = new URLSearchParams();
+  if (queryEl.value.trim()) params.set("q", queryEl.value.trim());
+  if (sortEl.value !== "newest") params.set("sort", sortEl.value);
+  const query = params.toString();
+  window.history.replaceState(null, "", window.location.pathname + (query ? "?" + query : ""));
+}
+
+function renderItems(items) {
+  for (const item of items) {
+    const link = document.createElement("a");
+    link.className = "gallery-card";
+    link.href = "/shared/" + encodeURIComponent(item.share_id);
+
+    const img = document.createElement("img");
+    img.src = item.thumbnail_url;
+    img.alt = item.prompt_text || "Shared image";
+    img.loading = "lazy";
+    if (item.width && item.height) {
+      img.width = item.width;
+      img.height = item.height;
+    }
+    link.appendChild(img);
+
+    const caption = document.createElement("div");
+    caption.className = "gallery-caption";
+    caption.textContent = item.prompt_text || "Untitled";
+    link.appendChild(caption);
+
+    const meta = document.createElement("div");
+    meta.className = "hint";
+    meta.textContent = item.view_count + (item.view_count === 1 ? " view" : " views");
+    link.appendChild(meta);
+
+    gridEl.appendChild(link);
+  }
+}
+
+async function loadPage(reset) {
+  if (loading) return;
+  loading = true;
+  loadMoreBtn.disabled = true;
+
+  const params = new URLSearchParams({ sort: sortEl.value });
+  if (queryEl.value.trim()) params.set("q", queryEl.value.trim());
+  if (!reset && nextCursor) params.set("cursor", nextCursor);
+
+  try {
+    const response = await fetch("/api/gallery?" + params.toString());
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed");
+    }
+    if (reset) gridEl.innerHTML = "";
+    renderItems(data.items);
+    nextCursor = data.next_cursor;
+    statusEl.textContent = gridEl.childElementCount ? "" : "No published images match yet.";
+  } catch (error) {
+    statusEl.textContent = "Error: " + (error?.message || "Could not load gallery.");
+  } finally {
+    loading = false;
+    loadMoreBtn.disabled = false;
+    loadMoreBtn.style.display = nextCursor ? "inline-block" : "none";
+  }
+}
+
+searchFormEl.addEventListener("submit", (event) => {
+  event.preventDefault();
+  writeStateToUrl();
+  void loadPage(true);
+});
+sortEl.addEventListener("change", () => {
+  writeStateToUrl();
+  void loadPage(true);
+});
+loadMoreBtn.addEventListener("click", () => {
+  void loadPage(false);
+});
+
+readStateFromUrl();
+await loadPage(true);
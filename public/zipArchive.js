@@ -0,0 +1,157 @@
+// Minimal ZIP reader/writer for history archives. Entries are written uncompressed (images are
+// already compressed); reading also accepts deflated entries so archives re-zipped by other tools work.
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// `files` is [{ name, data: Uint8Array | string, modifiedAt?: Date }]; returns a Blob.
+export function createZip(files) {
+  const parts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = textEncoder.encode(file.name);
+    const data = typeof file.data === "string" ? textEncoder.encode(file.data) : file.data;
+    const checksum = crc32(data);
+    const { time, date } = toDosDateTime(file.modifiedAt || new Date());
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, end], { type: "application/zip" });
+}
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of at most 65535 bytes.
+  const lowest = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= lowest; i -= 1) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      return i;
+    }
+  }
+  throw new Error("This file is not a ZIP archive.");
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read compressed ZIP entries.");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Returns a Map of entry name -> Uint8Array. Directories are skipped.
+export async function readZip(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+  const endOffset = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error("The ZIP archive is damaged.");
+    }
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = textDecoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error("ZIP64 archives are not supported.");
+    }
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error("The ZIP archive is damaged.");
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, await inflateRaw(data));
+    } else {
+      throw new Error("Unsupported compression in \"" + name + "\".");
+    }
+  }
+  return entries;
+}
+
+export function readZipText(entries, name) {
+  const data = entries.get(name);
+  return data ? textDecoder.decode(data) : null;
+}
@@ -1,7 +1,23 @@
 import express from "express";
 import path from "node:path";
+import { PAYMENT_PROVIDER, TRUSTED_PROXIES } from "./config/constants.js";
+import accountRouter from "./routes/account.js";
+import adminRouter from "./routes/admin.js";
 import apiRouter from "./routes/api.js";
-import { getSharedImageByShareId } from "./services/requestLogStore.js";
+import billingRouter from "./routes/billing.js";
+import { getBlobStorage } from "./services/blobStorage/index.js";
+import {
+  OG_IMAGE_HEIGHT,
+  OG_IMAGE_WIDTH,
+  VARIANT_WIDTHS,
+  ensureVariant,
+  getVariantMimeType,
+  resolveVariantRequest
+} from "./services/imageVariants.js";
+import { getSharedImageByShareId, isSharedImageLive } from "./services/requestLogStore.js";
+import { trackShareEvent } from "./services/shareStats.js";
+import { createTrustedProxyList } from "./utils/clientIp.js";
+import { sendBlob } from "./utils/sendBlob.js";
 
 function escapeHtml(value) {
   return String(value || "")
@@ -38,52 +54,21 @@ function buildShareMetaDescription(promptText) {
 }
 
 function getImageDimensions(sharedImage) {
-  try {
-    const buffer = Buffer.from(sharedImage.image_b64, "base64");
-
-    if (sharedImage.mime_type === "image/png" && buffer.length >= 24) {
-      return {
-        width: buffer.readUInt32BE(16),
-        height: buffer.readUInt32BE(20)
-      };
-    }
-
-    if (sharedImage.mime_type === "image/jpeg" && buffer.length >= 4) {
-      let offset = 2;
-      while (offset < buffer.length) {
-        if (buffer[offset] !== 0xff) {
-          offset += 1;
-          continue;
-        }
-
-        const marker = buffer[offset + 1];
-        if (!marker || marker === 0xd8 || marker === 0xd9) {
-          offset += 2;
-          continue;
-        }
-
-        const segmentLength = buffer.readUInt16BE(offset + 2);
-        const isSofMarker = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
-
-        if (isSofMarker && offset + 8 < buffer.length) {
-          return {
-            height: buffer.readUInt16BE(offset + 5),
-            width: buffer.readUInt16BE(offset + 7)
-          };
-        }
-
-        if (!segmentLength || segmentLength < 2) {
-          break;
-        }
-
-        offset += 2 + segmentLength;
-      }
-    }
-  } catch {
+  if (!sharedImage.width || !sharedImage.height) {
     return null;
   }
+  return { width: Number(sharedImage.width), height: Number(sharedImage.height) };
+}
 
-  return null;
+// Only widths below the original get a resized candidate; the original closes the list.
+function buildImageSrcset(imagePath, sharedImage) {
+  const originalWidth = Number(sharedImage.width) || 0;
+  const widths = VARIANT_WIDTHS.filter((width) => !originalWidth || width < originalWidth);
+  const candidates = widths.map((width) => `${imagePath}?w=${width} ${width}w`);
+  if (originalWidth) {
+    candidates.push(`${imagePath}?w=${originalWidth} ${originalWidth}w`);
+  }
+  return candidates.join(", ");
 }
 
 function renderSharedImagePage(req, sharedImage) {
@@ -91,8 +76,9 @@ function renderSharedImagePage(req, sharedImage) {
   const promptText = rawPromptText ? escapeHtml(rawPromptText) : "";
   const title = promptText ? `${promptText} | Dall-E Goblin` : "Shared Image | Dall-E Goblin";
   const pageUrl = buildAbsoluteUrl(req, `/shared/${sharedImage.share_id}`);
-  const imageUrl = buildAbsoluteUrl(req, `/shared/${sharedImage.share_id}/image`);
-  const imageSrc = imageUrl;
+  const imagePath = `/shared/${sharedImage.share_id}/image`;
+  const ogImageUrl = buildAbsoluteUrl(req, `${imagePath}?variant=og`);
+  const imageSrcset = buildImageSrcset(imagePath, sharedImage);
   const metaDescription = escapeHtml(buildShareMetaDescription(rawPromptText));
   const dimensions = getImageDimensions(sharedImage);
   const imageAlt = promptText || "Shared AI-generated image from Dall-E Goblin";
@@ -108,16 +94,16 @@ function renderSharedImagePage(req, sharedImage) {
   <meta property="og:title" content="${escapeHtml(title)}" />
   <meta property="og:description" content="${metaDescription}" />
   <meta property="og:url" content="${escapeHtml(pageUrl)}" />
-  <meta property="og:image" content="${escapeHtml(imageUrl)}" />
-  <meta property="og:image:type" content="${escapeHtml(sharedImage.mime_type)}" />
-  ${dimensions ? `<meta property="og:image:width" content="${dimensions.width}" />
-  <meta property="og:image:height" content="${dimensions.height}" />` : ""}
+  <meta property="og:image" content="${escapeHtml(ogImageUrl)}" />
+  <meta property="og:image:type" content="image/jpeg" />
+  <meta property="og:image:width" content="${OG_IMAGE_WIDTH}" />
+  <meta property="og:image:height" content="${OG_IMAGE_HEIGHT}" />
   <meta property="og:image:alt" content="${escapeHtml(imageAlt)}" />
   <meta property="og:site_name" content="Dall-E Goblin" />
   <meta name="twitter:card" content="summary_large_image" />
   <meta name="twitter:title" content="${escapeHtml(title)}" />
   <meta name="twitter:description" content="${metaDescription}" />
-  <meta name="twitter:image" content="${escapeHtml(imageUrl)}" />
+  <meta name="twitter:image" content="${escapeHtml(ogImageUrl)}" />
   <meta name="twitter:image:alt" content="${escapeHtml(imageAlt)}" />
   <link rel="icon" type="image/png" href="/favicon.png" />
   <link rel="apple-touch-icon" href="/favicon.png" />
@@ -287,7 +273,7 @@ function renderSharedImagePage(req, sharedImage) {
     <p>Image shared with the following prompt:</p>
     ${promptText ? `<div class="prompt-card"><div class="prompt-label">Prompt</div><p>${promptText}</p></div>` : ""}
     <div class="image-frame">
-      <img src="${imageSrc}" alt="Shared AI-generated image" />
+      <img src="${imagePath}" srcset="${imageSrcset}" sizes="(max-width: 920px) 100vw, 884px"${dimensions ? ` width="${dimensions.width}" height="${dimensions.height}"` : ""} alt="Shared AI-generated image" />
     </div>
     <div class="image-actions">
       <a class="action-link secondary" href="/shared/${sharedImage.share_id}/download">Download Image</a>
@@ -312,6 +298,7 @@ function renderSharedImagePage(req, sharedImage) {
 
       linkEl.addEventListener("click", function () {
         var prompt = String(promptEl.value || "").trim();
+        if (navigator.sendBeacon) navigator.sendBeacon("/api/shared/${sharedImage.share_id}/refine");
         sessionStorage.setItem("dalle-goblin-share-refine-handoff", JSON.stringify({
           shareId: "${sharedImage.share_id}",
           prompt: prompt
@@ -325,11 +312,17 @@ function renderSharedImagePage(req, sharedImage) {
 
 export function createApp() {
   const app = express();
-  app.set("trust proxy", 1);
+  const trustedProxies = createTrustedProxyList(TRUSTED_PROXIES);
+  app.set("trust proxy", (address) => trustedProxies.has(address));
 
+  // Webhook signatures are computed over the exact bytes sent, so this route skips JSON parsing.
+  app.use("/api/billing/webhook", express.raw({ type: "*/*", limit: "1mb" }));
   app.use(express.json({ limit: "30mb" }));
   app.use("/images", express.static(path.resolve(process.cwd(), "images")));
+  app.use("/api/admin", adminRouter);
   app.use("/api", apiRouter);
+  app.use("/api", accountRouter);
+  app.use("/api", billingRouter);
 
   app.get("/shared/:shareId", async (req, res) => {
     try {
@@ -341,6 +334,10 @@ export function createApp() {
       if (!sharedImage) {
         return res.status(404).send("Shared image not found");
       }
+      if (!isSharedImageLive(sharedImage)) {
+        return res.status(410).send("This shared image is no longer available");
+      }
+      trackShareEvent(req, sharedImage.share_id, "view");
       res.type("html").send(renderSharedImagePage(req, sharedImage));
     } catch (error) {
       console.error("Shared image page failed:", error);
@@ -358,12 +355,34 @@ export function createApp() {
       if (!sharedImage) {
         return res.status(404).send("Shared image not found");
       }
+      if (!isSharedImageLive(sharedImage)) {
+        return res.status(410).send("This shared image is no longer available");
+      }
 
-      const imageBuffer = Buffer.from(sharedImage.image_b64, "base64");
-      res.setHeader("Content-Type", sharedImage.mime_type);
-      res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
-      res.send(imageBuffer);
+      const variant = resolveVariantRequest(req.query, req.get("accept"), sharedImage);
+      trackShareEvent(req, sharedImage.share_id, "image");
+      if (req.query.w !== undefined) {
+        res.setHeader("Vary", "Accept");
+      }
+      const sent = await sendBlob(req, res, getBlobStorage(), {
+        key: variant ? await ensureVariant(sharedImage, variant) : sharedImage.storage_key,
+        contentType: variant ? getVariantMimeType(variant) : sharedImage.mime_type,
+        etag: variant
+          ? `"${sharedImage.content_hash}-${variant.name}.${variant.format}"`
+          : `"${sharedImage.content_hash}"`,
+        // Shares can be revoked or expire, so caches revalidate (cheaply, via the ETag) on every use.
+        cacheControl: "public, no-cache"
+      });
+      if (!sent) {
+        res.status(404).send("Shared image not found");
+      }
     } catch (error) {
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      if (error?.statusCode === 400) {
+        return res.status(400).send(error.message);
+      }
       console.error("Shared image file failed:", error);
       res.status(500).send("Failed to load shared image");
     }
@@ -379,15 +398,26 @@ export function createApp() {
       if (!sharedImage) {
         return res.status(404).send("Shared image not found");
       }
+      if (!isSharedImageLive(sharedImage)) {
+        return res.status(410).send("This shared image is no longer available");
+      }
 
+      trackShareEvent(req, sharedImage.share_id, "download");
       const extension = sharedImage.mime_type === "image/jpeg" ? "jpg" : "png";
       const fileName = buildSafeDownloadName(sharedImage.prompt_text, "shared-image") + "." + extension;
-      const imageBuffer = Buffer.from(sharedImage.image_b64, "base64");
-
-      res.setHeader("Content-Type", sharedImage.mime_type);
-      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
-      res.send(imageBuffer);
+      const sent = await sendBlob(req, res, getBlobStorage(), {
+        key: sharedImage.storage_key,
+        contentType: sharedImage.mime_type,
+        etag: `"${sharedImage.content_hash}"`,
+        fileName
+      });
+      if (!sent) {
+        res.status(404).send("Shared image not found");
+      }
     } catch (error) {
+      if (res.headersSent) {
+        return res.destroy();
+      }
       console.error("Shared image download failed:", error);
       res.status(500).send("Failed to download shared image");
     }
@@ -399,5 +429,21 @@ export function createApp() {
     res.sendFile(path.resolve(process.cwd(), "public", "index.html"));
   });
 
+  app.get("/gallery", (_req, res) => {
+    res.sendFile(path.resolve(process.cwd(), "public", "gallery.html"));
+  });
+
+  // The page is an empty shell; every piece of data comes from /api/admin, which checks credentials.
+  app.get("/admin", (_req, res) => {
+    res.sendFile(path.resolve(process.cwd(), "public", "admin.html"));
+  });
+
+  app.get("/billing/fake-checkout", (_req, res) => {
+    if (PAYMENT_PROVIDER !== "fake") {
+      return res.status(404).send("Not found");
+    }
+    res.sendFile(path.resolve(process.cwd(), "public", "fake-checkout.html"));
+  });
+
   return app;
 }
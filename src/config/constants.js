@@ -1,12 +1,82 @@
 export const PORT = Number(process.env.PORT || 3000);
+export const IMAGE_PROVIDER = (process.env.IMAGE_PROVIDER || "openai").trim().toLowerCase();
+export const MOCK_PROVIDER_DELAY_MS = Number(process.env.MOCK_PROVIDER_DELAY_MS || 0);
 export const OPENAI_IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || "gpt-image-1.5";
 export const MAX_REFERENCE_IMAGES = 4;
+export const MAX_IMAGES_PER_REQUEST = Number(process.env.MAX_IMAGES_PER_REQUEST || 4);
 export const MAX_HISTORY_ITEMS = Number(process.env.MAX_HISTORY_ITEMS || 50);
+export const STREAM_PARTIAL_IMAGES = Number(process.env.STREAM_PARTIAL_IMAGES || 2);
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+export const JOB_RETENTION_HOURS = Number(process.env.JOB_RETENTION_HOURS || 24);
 export const REQUEST_LIMIT_PER_IP = Number(process.env.REQUEST_LIMIT_PER_IP || 2);
+export const FREE_RATE_LIMITS = process.env.FREE_RATE_LIMITS || "";
+// Only these peers may tell us the client address via CLIENT_IP_HEADER. Defaults to loopback and private ranges.
+export const TRUSTED_PROXIES =
+  process.env.TRUSTED_PROXIES ?? "127.0.0.0/8,::1/128,10.0.0.0/8,172.16.0.0/12,192.168.0.0/16,fc00::/7";
+export const CLIENT_IP_HEADER = (process.env.CLIENT_IP_HEADER || "x-forwarded-for").trim().toLowerCase();
+export const API_KEY_ENCRYPTION_KEY = process.env.API_KEY_ENCRYPTION_KEY || "";
+// Retired master keys, comma-separated; rows sealed with them are re-encrypted under the current key at startup.
+export const API_KEY_PREVIOUS_ENCRYPTION_KEYS = (process.env.API_KEY_PREVIOUS_ENCRYPTION_KEYS || "")
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
+export const API_KEY_STORAGE = (process.env.API_KEY_STORAGE || "").trim().toLowerCase();
+export const BLOB_STORAGE = (process.env.BLOB_STORAGE || "local").trim().toLowerCase();
+export const BLOB_STORAGE_DIR = process.env.BLOB_STORAGE_DIR || "storage/blobs";
+export const SESSION_SECRET = process.env.SESSION_SECRET || "";
+export const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS || 30);
+// Failed sign-in/registration attempts allowed per hour, per IP and per email.
+export const AUTH_ATTEMPTS_PER_IP = Number(process.env.AUTH_ATTEMPTS_PER_IP || 20);
+export const AUTH_ATTEMPTS_PER_EMAIL = Number(process.env.AUTH_ATTEMPTS_PER_EMAIL || 10);
+// Per-account library caps.
+export const LIBRARY_MAX_IMAGES = Number(process.env.LIBRARY_MAX_IMAGES || 500);
+export const LIBRARY_MAX_MB = Number(process.env.LIBRARY_MAX_MB || 500);
+// The admin area is off unless one of these is set: a bearer token, or a basic-auth user and password.
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+export const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "";
+export const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+// Where "new contact message" alerts go: none, file (.eml files in NOTIFIER_MAILBOX_DIR, for development) or smtp.
+export const NOTIFIER = (process.env.NOTIFIER || "none").trim().toLowerCase();
+export const NOTIFIER_MAILBOX_DIR = process.env.NOTIFIER_MAILBOX_DIR || "storage/mailbox";
+export const NOTIFY_EMAIL_TO = (process.env.NOTIFY_EMAIL_TO || "").split(",").map((address) => address.trim()).filter(Boolean);
+export const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || "Dall-E Goblin <noreply@localhost>";
+export const SMTP_HOST = process.env.SMTP_HOST || "";
+export const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+export const SMTP_PORT = Number(process.env.SMTP_PORT || (SMTP_SECURE ? 465 : 587));
+export const SMTP_REQUIRE_TLS = process.env.SMTP_REQUIRE_TLS !== "false";
+export const SMTP_USER = process.env.SMTP_USER || "";
+export const SMTP_PASSWORD = process.env.SMTP_PASSWORD || "";
+// Subscriptions are off until a payment provider is chosen: none, or fake (a local stand-in for development).
+export const PAYMENT_PROVIDER = (process.env.PAYMENT_PROVIDER || "none").trim().toLowerCase();
+export const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || "";
+export const SUBSCRIPTION_PLANS = process.env.SUBSCRIPTION_PLANS || "";
+export const LIBRARY_PAGE_SIZE = 24;
+export const MAX_LIBRARY_PAGE_SIZE = 100;
 export const ALLOWED_SIZES = new Set(["1024x1024", "1024x1536", "1536x1024"]);
 export const ALLOWED_QUALITIES = new Set(["low", "medium", "high"]);
 export const ALLOWED_OUTPUT_FORMATS = new Set(["jpeg", "png"]);
 export const ALLOWED_SOURCE_MIME_TYPES = new Set(["image/jpeg", "image/png"]);
+// Prepaid credits per image, by size, quality and output format; roughly 1 credit per US cent of provider cost.
+// Formats cost the same today, but each cell can be priced on its own.
+export const IMAGE_CREDIT_COSTS = {
+  "1024x1024": {
+    low: { jpeg: 1, png: 1 },
+    medium: { jpeg: 4, png: 4 },
+    high: { jpeg: 17, png: 17 }
+  },
+  "1024x1536": {
+    low: { jpeg: 2, png: 2 },
+    medium: { jpeg: 6, png: 6 },
+    high: { jpeg: 25, png: 25 }
+  },
+  "1536x1024": {
+    low: { jpeg: 2, png: 2 },
+    medium: { jpeg: 6, png: 6 },
+    high: { jpeg: 25, png: 25 }
+  }
+};
+// Why the paywall opened; the client sends it with every later funnel step.
+export const PAYWALL_REASONS = new Set(["trial_expired", "high_quality_locked"]);
 
 export const DB_HOST = process.env.DB_HOST || "localhost";
 export const DB_PORT = Number(process.env.DB_PORT || 3306);
@@ -0,0 +1,239 @@
+import express from "express";
+import { LIBRARY_MAX_IMAGES, LIBRARY_MAX_MB, LIBRARY_PAGE_SIZE, MAX_LIBRARY_PAGE_SIZE } from "../config/constants.js";
+import { getSessionAccount, normalizeEmail, registerAccount, signIn, signOut } from "../services/accountService.js";
+import { checkAuthAttempts, formatRetryAfter, setRateLimitHeaders } from "../services/rateLimiter.js";
+import {
+  countLibraryImages,
+  deleteLibraryImage,
+  getLibraryImage,
+  getLibraryUsage,
+  hasLibraryImageContent,
+  insertAuthAttempt,
+  insertLibraryImage,
+  listLibraryImages,
+  markAuthAttemptSucceeded
+} from "../services/requestLogStore.js";
+import { getClientIp } from "../utils/clientIp.js";
+
+const router = express.Router();
+const LIBRARY_TABS = new Set(["create", "edit"]);
+const LIBRARY_MIME_TYPES = new Set(["image/png", "image/jpeg"]);
+const IMAGE_ID_PATTERN = /^[a-f0-9]{16}$/;
+const LIBRARY_MAX_BYTES = LIBRARY_MAX_MB * 1024 * 1024;
+
+function sendAccountError(res, error, fallbackMessage) {
+  if (error?.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code || null });
+  }
+  console.error(fallbackMessage + ":", error);
+  return res.status(500).json({ error: fallbackMessage + "." });
+}
+
+async function requireAccount(req, res, next) {
+  try {
+    req.account = await getSessionAccount(req);
+  } catch (error) {
+    return sendAccountError(res, error, "Failed to load session");
+  }
+  if (!req.account) {
+    return res.status(401).json({ error: "Sign in to use your library.", code: "SIGN_IN_REQUIRED" });
+  }
+  next();
+}
+
+function formatLibraryImage(row) {
+  return {
+    image_id: row.image_id,
+    source_tab: row.source_tab,
+    mime_type: row.mime_type,
+    prompt_text: row.prompt_text || "",
+    parent_image_id: row.parent_image_id || null,
+    created_at: row.created_at,
+    image_url: "/api/library/" + row.image_id + "/image"
+  };
+}
+
+// Records the attempt before any password hashing, or answers 429 and returns null when the IP or
+// email has failed too often this hour.
+async function startAuthAttempt(req, res, attemptType) {
+  const ipAddress = getClientIp(req);
+  const email = normalizeEmail(req.body?.email).slice(0, 255);
+  const usage = await checkAuthAttempts({ ipAddress, email });
+  if (!usage.allowed) {
+    setRateLimitHeaders(res, usage);
+    res.status(429).json({
+      error: "Too many attempts. Try again in " + formatRetryAfter(usage.retryAfterSeconds) + ".",
+      code: "AUTH_RATE_LIMITED"
+    });
+    return null;
+  }
+  return insertAuthAttempt({ attemptType, email, ipAddress });
+}
+
+router.post("/auth/register", async (req, res) => {
+  try {
+    const attemptId = await startAuthAttempt(req, res, "register");
+    if (!attemptId) return;
+    const user = await registerAccount(req, res, {
+      email: req.body?.email,
+      password: req.body?.password,
+      ipAddress: getClientIp(req)
+    });
+    await markAuthAttemptSucceeded(attemptId);
+    res.status(201).json({ user });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to create account");
+  }
+});
+
+router.post("/auth/login", async (req, res) => {
+  try {
+    const attemptId = await startAuthAttempt(req, res, "login");
+    if (!attemptId) return;
+    const user = await signIn(req, res, {
+      email: req.body?.email,
+      password: req.body?.password,
+      ipAddress: getClientIp(req)
+    });
+    await markAuthAttemptSucceeded(attemptId);
+    res.json({ user });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to sign in");
+  }
+});
+
+router.post("/auth/logout", async (req, res) => {
+  try {
+    await signOut(req, res);
+    res.json({ ok: true });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to sign out");
+  }
+});
+
+router.get("/auth/me", async (req, res) => {
+  try {
+    res.json({ user: await getSessionAccount(req) });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to load session");
+  }
+});
+
+router.get("/library", requireAccount, async (req, res) => {
+  const sourceTab = typeof req.query?.tab === "string" ? req.query.tab : "";
+  if (sourceTab && !LIBRARY_TABS.has(sourceTab)) {
+    return res.status(400).json({ error: "tab must be create or edit." });
+  }
+  const rawLimit = req.query?.limit === undefined ? LIBRARY_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(rawLimit) || rawLimit < 1 || rawLimit > MAX_LIBRARY_PAGE_SIZE) {
+    return res.status(400).json({ error: "limit must be an integer from 1 to " + MAX_LIBRARY_PAGE_SIZE + "." });
+  }
+  const beforeId = req.query?.cursor === undefined ? null : Number(req.query.cursor);
+  if (beforeId !== null && (!Number.isInteger(beforeId) || beforeId < 1)) {
+    return res.status(400).json({ error: "Invalid cursor." });
+  }
+
+  try {
+    const [page, total] = await Promise.all([
+      listLibraryImages({ userId: req.account.id, sourceTab: sourceTab || null, limit: rawLimit, beforeId }),
+      countLibraryImages({ userId: req.account.id, sourceTab: sourceTab || null })
+    ]);
+    res.json({
+      items: page.items.map(formatLibraryImage),
+      next_cursor: page.nextCursor,
+      total
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to load library");
+  }
+});
+
+router.post("/library", requireAccount, async (req, res) => {
+  const imageB64 = typeof req.body?.image_b64 === "string" ? req.body.image_b64.trim() : "";
+  const mimeType = typeof req.body?.image_mime_type === "string" ? req.body.image_mime_type.trim() : "";
+  const sourceTab = typeof req.body?.source_tab === "string" ? req.body.source_tab.trim() : "";
+  const parentImageId = typeof req.body?.parent_image_id === "string" ? req.body.parent_image_id.trim() : "";
+
+  if (!imageB64) {
+    return res.status(400).json({ error: "Missing image data." });
+  }
+  if (!LIBRARY_MIME_TYPES.has(mimeType)) {
+    return res.status(400).json({ error: "Unsupported image type." });
+  }
+  if (!LIBRARY_TABS.has(sourceTab)) {
+    return res.status(400).json({ error: "source_tab must be create or edit." });
+  }
+
+  try {
+    // Re-saving an image already in the library is always fine; anything new must fit both caps.
+    if (!(await hasLibraryImageContent({ userId: req.account.id, imageB64 }))) {
+      const usage = await getLibraryUsage(req.account.id);
+      if (usage.count >= LIBRARY_MAX_IMAGES || usage.bytes + Buffer.byteLength(imageB64, "base64") > LIBRARY_MAX_BYTES) {
+        return res.status(409).json({
+          error: "Your library is full (" + LIBRARY_MAX_IMAGES + " images or " + LIBRARY_MAX_MB + " MB). Delete some images to save new ones.",
+          code: "LIBRARY_FULL"
+        });
+      }
+    }
+    const row = await insertLibraryImage({
+      userId: req.account.id,
+      sourceTab,
+      mimeType,
+      imageB64,
+      promptText: typeof req.body?.prompt_text === "string" ? req.body.prompt_text.trim() : "",
+      parentImageId: IMAGE_ID_PATTERN.test(parentImageId) ? parentImageId : null
+    });
+    res.status(201).json({ item: formatLibraryImage(row) });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to save image");
+  }
+});
+
+router.get("/library/:imageId", requireAccount, async (req, res) => {
+  if (!IMAGE_ID_PATTERN.test(req.params.imageId)) {
+    return res.status(404).json({ error: "Image not found." });
+  }
+  try {
+    const row = await getLibraryImage({ userId: req.account.id, imageId: req.params.imageId });
+    if (!row) {
+      return res.status(404).json({ error: "Image not found." });
+    }
+    res.json({ item: { ...formatLibraryImage(row), b64: row.image_b64 } });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to load image");
+  }
+});
+
+router.get("/library/:imageId/image", requireAccount, async (req, res) => {
+  if (!IMAGE_ID_PATTERN.test(req.params.imageId)) {
+    return res.status(404).json({ error: "Image not found." });
+  }
+  try {
+    const row = await getLibraryImage({ userId: req.account.id, imageId: req.params.imageId });
+    if (!row) {
+      return res.status(404).json({ error: "Image not found." });
+    }
+    res.setHeader("Content-Type", row.mime_type);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    res.send(Buffer.from(row.image_b64, "base64"));
+  } catch (error) {
+    sendAccountError(res, error, "Failed to load image");
+  }
+});
+
+router.delete("/library/:imageId", requireAccount, async (req, res) => {
+  if (!IMAGE_ID_PATTERN.test(req.params.imageId)) {
+    return res.status(404).json({ error: "Image not found." });
+  }
+  try {
+    const deleted = await deleteLibraryImage({ userId: req.account.id, imageId: req.params.imageId });
+    if (!deleted) {
+      return res.status(404).json({ error: "Image not found." });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    sendAccountError(res, error, "Failed to delete image");
+  }
+});
+
+export default router;
@@ -0,0 +1,425 @@
+import express from "express";
+import net from "node:net";
+import { isAdminEnabled, isAdminRequest, isBasicAuthEnabled } from "../services/adminAuth.js";
+import { formatCreditTransaction, parseCreditOwner } from "../services/creditService.js";
+import { buildInterestFunnelReport } from "../services/interestReport.js";
+import {
+  adjustCredits,
+  countUnreadContactMessages,
+  getCreditBalance,
+  getDailyRequestCounts,
+  getErrorMessageBreakdown,
+  getTopRequestIps,
+  listApiKeys,
+  listContactMessages,
+  listCreditTransactions,
+  listRequestLogs,
+  listSubscriptionInterestEvents,
+  listSubscriptionInterestSubmissions,
+  updateContactMessage
+} from "../services/requestLogStore.js";
+import { formatCsv } from "../utils/csv.js";
+
+const router = express.Router();
+const ADMIN_PAGE_SIZE = 50;
+const MAX_ADMIN_PAGE_SIZE = 200;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+const TOP_IPS_LIMIT = 20;
+const TOP_ERRORS_LIMIT = 20;
+const REQUEST_TYPES = new Set(["generate", "edit"]);
+const KEY_SOURCES = new Set(["server_default", "user_supplied", "subscription", "credits"]);
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FINGERPRINT_PREFIX_PATTERN = /^[a-f0-9]{1,64}$/;
+const CONTACT_STATUSES = new Set(["unread", "read", "archived"]);
+const CONTACT_STATUS_FILTERS = new Set(["inbox", ...CONTACT_STATUSES]);
+const MAX_CONTACT_NOTES_LENGTH = 5000;
+const MAX_CREDIT_ADJUSTMENT = 1000000;
+const MAX_CREDIT_DESCRIPTION_LENGTH = 255;
+const SUBMISSION_CSV_COLUMNS = ["id", "created_at", "email", "willingness_amount", "reason", "comments", "ip_address", "user_agent"];
+
+function createBadRequestError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function sendAdminError(res, error, fallbackMessage) {
+  if (error?.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code || null });
+  }
+  console.error(fallbackMessage + ":", error);
+  return res.status(500).json({ error: fallbackMessage + "." });
+}
+
+// Without ADMIN_TOKEN or ADMIN_USERNAME/ADMIN_PASSWORD the admin API does not exist.
+function requireAdmin(req, res, next) {
+  res.setHeader("Cache-Control", "no-store");
+  if (!isAdminEnabled()) {
+    return res.status(404).json({ error: "Not found." });
+  }
+  if (!isAdminRequest(req)) {
+    if (isBasicAuthEnabled()) {
+      res.setHeader("WWW-Authenticate", "Basic realm=\"Dall-E Goblin admin\", charset=\"UTF-8\"");
+    }
+    return res.status(401).json({ error: "Admin credentials required.", code: "ADMIN_AUTH_REQUIRED" });
+  }
+  next();
+}
+
+function parsePage(query) {
+  const limit = query?.limit === undefined ? ADMIN_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ADMIN_PAGE_SIZE) {
+    throw createBadRequestError("limit must be an integer from 1 to " + MAX_ADMIN_PAGE_SIZE + ".");
+  }
+  const beforeId = query?.cursor === undefined ? null : Number(query.cursor);
+  if (beforeId !== null && (!Number.isInteger(beforeId) || beforeId < 1)) {
+    throw createBadRequestError("Invalid cursor.");
+  }
+  return { limit, beforeId };
+}
+
+function parseText(query, name, maxLength = 200) {
+  return typeof query?.[name] === "string" ? query[name].trim().slice(0, maxLength) : "";
+}
+
+function parseChoice(query, name, choices) {
+  const value = parseText(query, name);
+  if (value && !choices.has(value)) {
+    throw createBadRequestError(name + " must be one of: " + [...choices].join(", ") + ".");
+  }
+  return value || null;
+}
+
+function parseFlag(query, name) {
+  const value = parseText(query, name);
+  if (!value) return null;
+  if (value === "1" || value === "true") return true;
+  if (value === "0" || value === "false") return false;
+  throw createBadRequestError(name + " must be true or false.");
+}
+
+function parseIp(query, name = "ip") {
+  const value = parseText(query, name, 45);
+  if (value && !net.isIP(value)) {
+    throw createBadRequestError(name + " must be an IP address.");
+  }
+  return value || null;
+}
+
+function isCalendarDay(value) {
+  const time = Date.parse(value + "T00:00:00Z");
+  return DAY_PATTERN.test(value) && !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+function parseDateRange(query) {
+  const from = parseText(query, "from");
+  const to = parseText(query, "to");
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && !isCalendarDay(value)) {
+      throw createBadRequestError(name + " must be a date like 2024-01-31.");
+    }
+  }
+  if (from && to && from > to) {
+    throw createBadRequestError("from must not be after to.");
+  }
+  return { from: from || null, to: to || null };
+}
+
+function parseDays(query) {
+  const days = query?.days === undefined ? DEFAULT_STATS_DAYS : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+    throw createBadRequestError("days must be an integer from 1 to " + MAX_STATS_DAYS + ".");
+  }
+  return days;
+}
+
+function sendPage(res, page, formatRow) {
+  res.json({
+    items: page.items.map(formatRow),
+    next_cursor: page.nextCursor
+  });
+}
+
+router.use(requireAdmin);
+
+router.get("/overview", async (req, res) => {
+  try {
+    const days = parseDays(req.query);
+    const [daily, topIps, errors, unreadContactMessages] = await Promise.all([
+      getDailyRequestCounts(days),
+      getTopRequestIps({ days, limit: TOP_IPS_LIMIT }),
+      getErrorMessageBreakdown({ days, limit: TOP_ERRORS_LIMIT }),
+      countUnreadContactMessages()
+    ]);
+    res.json({ days, daily, top_ips: topIps, errors, unread_contact_messages: unreadContactMessages });
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load admin overview");
+  }
+});
+
+router.get("/request-logs", async (req, res) => {
+  try {
+    const page = await listRequestLogs({
+      ...parsePage(req.query),
+      ...parseDateRange(req.query),
+      ipAddress: parseIp(req.query),
+      requestType: parseChoice(req.query, "request_type", REQUEST_TYPES),
+      keySource: parseChoice(req.query, "key_source", KEY_SOURCES),
+      blocked: parseFlag(req.query, "blocked"),
+      failed: parseFlag(req.query, "failed"),
+      query: parseText(req.query, "q")
+    });
+    sendPage(res, page, (row) => ({
+      id: Number(row.id),
+      ip_address: row.ip_address,
+      request_type: row.request_type,
+      key_source: row.key_source,
+      api_key_fingerprint: row.api_key_fingerprint || null,
+      prompt_text: row.prompt_text || "",
+      size: row.size,
+      quality: row.quality,
+      output_format: row.output_format,
+      image_count: Number(row.image_count || 1),
+      blocked: Boolean(Number(row.blocked)),
+      error_message: row.error_message || null,
+      user_agent: row.user_agent || null,
+      created_at: row.created_at
+    }));
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load request logs");
+  }
+});
+
+router.get("/api-keys", async (req, res) => {
+  try {
+    const fingerprint = parseText(req.query, "fingerprint", 64).toLowerCase();
+    if (fingerprint && !FINGERPRINT_PREFIX_PATTERN.test(fingerprint)) {
+      throw createBadRequestError("fingerprint must be hexadecimal.");
+    }
+    const page = await listApiKeys({
+      ...parsePage(req.query),
+      fingerprint: fingerprint || null,
+      ipAddress: parseIp(req.query)
+    });
+    sendPage(res, page, (row) => ({
+      id: Number(row.id),
+      fingerprint: row.fingerprint,
+      first_seen_ip: row.first_seen_ip || null,
+      request_count: Number(row.request_count || 0),
+      image_count: Number(row.image_count || 0),
+      created_at: row.created_at,
+      last_used_at: row.last_used_at
+    }));
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load API keys");
+  }
+});
+
+router.get("/interest-events", async (req, res) => {
+  try {
+    const page = await listSubscriptionInterestEvents({
+      ...parsePage(req.query),
+      ...parseDateRange(req.query),
+      eventType: parseText(req.query, "event_type", 64) || null,
+      ipAddress: parseIp(req.query)
+    });
+    sendPage(res, page, (row) => ({
+      id: Number(row.id),
+      event_type: row.event_type,
+      reason: row.reason || null,
+      ip_address: row.ip_address || null,
+      user_agent: row.user_agent || null,
+      created_at: row.created_at
+    }));
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load interest events");
+  }
+});
+
+function formatInterestSubmission(row) {
+  return {
+    id: Number(row.id),
+    email: row.email,
+    willingness_amount: row.willingness_amount === null ? null : Number(row.willingness_amount),
+    reason: row.reason || null,
+    comments: row.comments || "",
+    ip_address: row.ip_address || null,
+    user_agent: row.user_agent || null,
+    created_at: row.created_at
+  };
+}
+
+function parseSubmissionFilters(query) {
+  return {
+    ...parseDateRange(query),
+    query: parseText(query, "q")
+  };
+}
+
+router.get("/interest-submissions", async (req, res) => {
+  try {
+    const page = await listSubscriptionInterestSubmissions({
+      ...parsePage(req.query),
+      ...parseSubmissionFilters(req.query)
+    });
+    sendPage(res, page, formatInterestSubmission);
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load interest submissions");
+  }
+});
+
+// Same filters as the table, every matching row, newest first.
+router.get("/interest-submissions.csv", async (req, res) => {
+  try {
+    const filters = parseSubmissionFilters(req.query);
+    const rows = [];
+    let beforeId = null;
+    do {
+      const page = await listSubscriptionInterestSubmissions({ ...filters, limit: MAX_ADMIN_PAGE_SIZE, beforeId });
+      rows.push(...page.items.map(formatInterestSubmission));
+      beforeId = page.nextCursor;
+    } while (beforeId);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", "attachment; filename=\"interest-submissions.csv\"");
+    res.send(formatCsv(SUBMISSION_CSV_COLUMNS, rows));
+  } catch (error) {
+    sendAdminError(res, error, "Failed to export interest submissions");
+  }
+});
+
+router.get("/interest-report", async (req, res) => {
+  try {
+    res.json(await buildInterestFunnelReport(parseDateRange(req.query)));
+  } catch (error) {
+    sendAdminError(res, error, "Failed to build interest report");
+  }
+});
+
+function formatContactMessage(row) {
+  return {
+    id: Number(row.id),
+    email: row.email,
+    message: row.message,
+    status: row.status,
+    notes: row.notes || "",
+    replied_at: row.replied_at || null,
+    ip_address: row.ip_address || null,
+    user_agent: row.user_agent || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at || null
+  };
+}
+
+router.get("/contact-messages", async (req, res) => {
+  try {
+    const [page, unreadCount] = await Promise.all([
+      listContactMessages({
+        ...parsePage(req.query),
+        ...parseDateRange(req.query),
+        status: parseChoice(req.query, "status", CONTACT_STATUS_FILTERS),
+        replied: parseFlag(req.query, "replied"),
+        query: parseText(req.query, "q")
+      }),
+      countUnreadContactMessages()
+    ]);
+    res.json({
+      items: page.items.map(formatContactMessage),
+      next_cursor: page.nextCursor,
+      unread_count: unreadCount
+    });
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load contact messages");
+  }
+});
+
+// Body may hold any of `status`, `notes` and `replied`; fields left out stay as they are.
+router.patch("/contact-messages/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(404).json({ error: "Message not found." });
+    }
+    const changes = {};
+    if (req.body?.status !== undefined) {
+      if (!CONTACT_STATUSES.has(req.body.status)) {
+        throw createBadRequestError("status must be one of: " + [...CONTACT_STATUSES].join(", ") + ".");
+      }
+      changes.status = req.body.status;
+    }
+    if (req.body?.notes !== undefined) {
+      if (typeof req.body.notes !== "string" || req.body.notes.length > MAX_CONTACT_NOTES_LENGTH) {
+        throw createBadRequestError("notes must be text of at most " + MAX_CONTACT_NOTES_LENGTH + " characters.");
+      }
+      changes.notes = req.body.notes.trim();
+    }
+    if (req.body?.replied !== undefined) {
+      if (typeof req.body.replied !== "boolean") {
+        throw createBadRequestError("replied must be true or false.");
+      }
+      changes.replied = req.body.replied;
+    }
+    if (!Object.keys(changes).length) {
+      throw createBadRequestError("Send status, notes or replied.");
+    }
+
+    const row = await updateContactMessage(id, changes);
+    if (!row) {
+      return res.status(404).json({ error: "Message not found." });
+    }
+    res.json({ item: formatContactMessage(row) });
+  } catch (error) {
+    sendAdminError(res, error, "Failed to update contact message");
+  }
+});
+
+function requireCreditOwner(ownerType, ownerId) {
+  const owner = parseCreditOwner(ownerType, ownerId);
+  if (!owner) {
+    throw createBadRequestError("owner_type must be user (with a numeric owner_id) or device (with a 32-character device id).");
+  }
+  return owner;
+}
+
+router.get("/credits", async (req, res) => {
+  try {
+    const owner = requireCreditOwner(parseText(req.query, "owner_type"), parseText(req.query, "owner_id"));
+    const [balance, page] = await Promise.all([
+      getCreditBalance(owner),
+      listCreditTransactions({ ...owner, ...parsePage(req.query) })
+    ]);
+    res.json({
+      balance,
+      items: page.items.map(formatCreditTransaction),
+      next_cursor: page.nextCursor
+    });
+  } catch (error) {
+    sendAdminError(res, error, "Failed to load credits");
+  }
+});
+
+// Top-ups and corrections go into the ledger as "adjustment" rows; nothing already recorded is edited.
+router.post("/credits/adjust", async (req, res) => {
+  try {
+    const owner = requireCreditOwner(req.body?.owner_type, req.body?.owner_id);
+    const amount = req.body?.amount;
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_CREDIT_ADJUSTMENT) {
+      throw createBadRequestError("amount must be a non-zero integer of at most " + MAX_CREDIT_ADJUSTMENT + " either way.");
+    }
+    const description = typeof req.body?.description === "string" ? req.body.description.trim() : "";
+    if (!description || description.length > MAX_CREDIT_DESCRIPTION_LENGTH) {
+      throw createBadRequestError("description must be text of 1 to " + MAX_CREDIT_DESCRIPTION_LENGTH + " characters.");
+    }
+
+    const transaction = await adjustCredits({ ...owner, amount, description });
+    if (!transaction) {
+      return res.status(409).json({ error: "The balance cannot go below zero.", code: "INSUFFICIENT_CREDITS" });
+    }
+    res.status(201).json({ id: transaction.id, balance: transaction.balanceAfter });
+  } catch (error) {
+    sendAdminError(res, error, "Failed to adjust credits");
+  }
+});
+
+export default router;
@@ -1,35 +1,66 @@
 import express from "express";
+import crypto from "node:crypto";
+import { IMAGE_PROVIDER, MAX_HISTORY_ITEMS, PAYWALL_REASONS, REQUEST_LIMIT_PER_IP } from "../config/constants.js";
 import {
-  ALLOWED_OUTPUT_FORMATS,
-  ALLOWED_QUALITIES,
-  ALLOWED_SIZES,
-  REQUEST_LIMIT_PER_IP
-} from "../config/constants.js";
-import { editImage, generateImage } from "../services/imageService.js";
+  editImage,
+  generateImage,
+  getImageCapabilities,
+  streamGenerateImage,
+  validateEditImages
+} from "../services/imageService.js";
+import { getDeviceId, getSessionAccount } from "../services/accountService.js";
+import { getBlobStorage } from "../services/blobStorage/index.js";
+import { notifyNewContactMessage } from "../services/contactNotifications.js";
+import { chargeCredits, getCreditOwner, settleCreditCharge } from "../services/creditService.js";
+import { createJobFailure, enqueueGenerationJob, getGenerationJob } from "../services/jobQueue.js";
 import {
   countContactMessagesByIpLastDay,
-  countServerDefaultRequestsByIp,
   createOrGetSharedImage,
+  getShareEventCounts,
   getSharedImageByShareId,
+  getSharedImagesByShareIds,
   insertContactMessage,
   insertRequestLog,
   insertSubscriptionInterestEvent,
   insertSubscriptionInterestSubmission,
+  isSharedImageLive,
+  listGalleryImages,
+  revokeSharedImage,
+  setSharedImageExpiry,
+  setSharedImagePublished,
   upsertApiKey
 } from "../services/requestLogStore.js";
+import { checkFreeUsage, formatRetryAfter, setRateLimitHeaders } from "../services/rateLimiter.js";
+import { formatShareStats, trackShareEvent } from "../services/shareStats.js";
+import { checkSubscriptionUsage } from "../services/subscriptionService.js";
+import { getClientIp } from "../utils/clientIp.js";
 import { formatOpenAIError } from "../utils/formatOpenAIError.js";
 
 const router = express.Router();
+const SSE_HEARTBEAT_MS = 15000;
+const SHARE_ID_PATTERN = /^[a-f0-9]{16}$/;
+const MAX_SHARE_EXPIRY_DAYS = 365;
+const MAX_LISTED_SHARES = 200;
+const GALLERY_PAGE_SIZE = 24;
+const MAX_GALLERY_PAGE_SIZE = 60;
+const GALLERY_SORTS = new Set(["newest", "most_viewed"]);
+const QUOTA_ERROR_CODES = new Set(["TRIAL_EXPIRED_NEEDS_API_KEY", "FREE_USAGE_INSUFFICIENT", "SUBSCRIPTION_LIMIT_REACHED"]);
+
+function formatChoices(values) {
+  if (values.length <= 1) return values.join("");
+  return values.slice(0, -1).join(", ") + (values.length > 2 ? "," : "") + " or " + values[values.length - 1];
+}
 
 function validateRenderSettings({ size, quality, output_format, output_compression }) {
-  if (!ALLOWED_SIZES.has(size)) {
-    throw new Error("Unsupported size. Use 1024x1024, 1024x1536, or 1536x1024.");
+  const capabilities = getImageCapabilities();
+  if (!capabilities.sizes.includes(size)) {
+    throw new Error("Unsupported size. Use " + formatChoices(capabilities.sizes) + ".");
   }
-  if (!ALLOWED_QUALITIES.has(quality)) {
-    throw new Error("Unsupported quality. Use low, medium, or high.");
+  if (!capabilities.qualities.includes(quality)) {
+    throw new Error("Unsupported quality. Use " + formatChoices(capabilities.qualities) + ".");
   }
-  if (!ALLOWED_OUTPUT_FORMATS.has(output_format)) {
-    throw new Error("Unsupported format. Use jpeg or png.");
+  if (!capabilities.outputFormats.includes(output_format)) {
+    throw new Error("Unsupported format. Use " + formatChoices(capabilities.outputFormats) + ".");
   }
   if (
     output_format === "jpeg" &&
@@ -39,36 +70,31 @@ function validateRenderSettings({ size, quality, output_format, output_compressi
   }
 }
 
-function normalizeIp(raw) {
-  if (typeof raw !== "string") return "unknown";
-  const trimmed = raw.trim();
-  if (!trimmed) return "unknown";
-
-  // X-Forwarded-For may contain multiple IPs: client, proxy1, proxy2...
-  const first = trimmed.split(",")[0]?.trim() || "";
-  if (!first) return "unknown";
-
-  if (first.startsWith("::ffff:")) {
-    return first.slice(7);
+function parseImageCount(rawCount) {
+  if (rawCount === undefined || rawCount === null) {
+    return 1;
   }
-  if (first === "::1") {
-    return "127.0.0.1";
+  const { maxImagesPerRequest } = getImageCapabilities();
+  if (!Number.isInteger(rawCount) || rawCount < 1 || rawCount > maxImagesPerRequest) {
+    const error = new Error("n must be an integer from 1 to " + maxImagesPerRequest + ".");
+    error.statusCode = 400;
+    throw error;
   }
-  return first;
+  return rawCount;
 }
 
-function getClientIp(req) {
-  const xForwardedFor = req.get("x-forwarded-for");
-  if (xForwardedFor) {
-    return normalizeIp(xForwardedFor);
-  }
-
-  const xRealIp = req.get("x-real-ip");
-  if (xRealIp) {
-    return normalizeIp(xRealIp);
-  }
-
-  return normalizeIp(req.ip || req.socket?.remoteAddress || "unknown");
+function buildImagesResponse({ images, mimeType, model, usage }, durationMs) {
+  return {
+    b64: images[0],
+    mime_type: mimeType,
+    images: images.map((b64) => ({ b64, mime_type: mimeType })),
+    metadata: {
+      provider: IMAGE_PROVIDER,
+      model,
+      duration_ms: durationMs,
+      usage
+    }
+  };
 }
 
 function getClientUserAgent(req) {
@@ -76,11 +102,40 @@ function getClientUserAgent(req) {
 }
 
 router.get("/config", (_req, res) => {
+  const capabilities = getImageCapabilities();
   res.json({
-    request_limit_per_ip: REQUEST_LIMIT_PER_IP
+    request_limit_per_ip: REQUEST_LIMIT_PER_IP,
+    max_images_per_request: capabilities.maxImagesPerRequest,
+    max_history_items: MAX_HISTORY_ITEMS,
+    image_provider: IMAGE_PROVIDER,
+    capabilities: {
+      sizes: capabilities.sizes,
+      qualities: capabilities.qualities,
+      output_formats: capabilities.outputFormats,
+      supports_streaming: capabilities.supportsStreaming,
+      supports_mask: capabilities.supportsMask
+    }
   });
 });
 
+router.get("/usage", async (req, res) => {
+  try {
+    const requestType = ["generate", "edit"].includes(req.query?.request_type) ? req.query.request_type : null;
+    const quality = ["low", "medium", "high"].includes(req.query?.quality) ? req.query.quality : null;
+    const freeUsage = await checkFreeUsage({ ipAddress: getClientIp(req), requestType, quality, imageCount: 1 });
+    setRateLimitHeaders(res, freeUsage);
+    res.json({
+      limit: freeUsage?.limit ?? null,
+      remaining: freeUsage?.remaining ?? null,
+      window: freeUsage?.window ?? null,
+      reset_seconds: freeUsage?.resetSeconds ?? null
+    });
+  } catch (error) {
+    console.error("Usage lookup failed:", error);
+    res.status(500).json({ error: "Failed to load usage." });
+  }
+});
+
 router.get("/shared/:shareId", async (req, res) => {
   try {
     const shareId = String(req.params?.shareId || "").trim();
@@ -92,11 +147,15 @@ router.get("/shared/:shareId", async (req, res) => {
     if (!sharedImage) {
       return res.status(404).json({ error: "Shared image not found." });
     }
+    if (!isSharedImageLive(sharedImage)) {
+      return res.status(410).json({ error: "This share link has been revoked or has expired.", code: "SHARE_GONE" });
+    }
 
+    const imageBuffer = await getBlobStorage().read(sharedImage.storage_key);
     res.json({
       share_id: sharedImage.share_id,
       mime_type: sharedImage.mime_type,
-      image_b64: sharedImage.image_b64,
+      image_b64: imageBuffer.toString("base64"),
       prompt_text: sharedImage.prompt_text || "",
       source_tab: sharedImage.source_tab || null,
       created_at: sharedImage.created_at || null
@@ -107,6 +166,25 @@ router.get("/shared/:shareId", async (req, res) => {
   }
 });
 
+// Sent as a beacon by the shared page when "Refine This Image" is clicked, so only real clicks count.
+router.post("/shared/:shareId/refine", async (req, res) => {
+  try {
+    const shareId = String(req.params?.shareId || "").trim();
+    const sharedImage = SHARE_ID_PATTERN.test(shareId) ? await getSharedImageByShareId(shareId) : null;
+    if (!sharedImage) {
+      return res.status(404).json({ error: "Shared image not found." });
+    }
+    if (!isSharedImageLive(sharedImage)) {
+      return res.status(410).json({ error: "This share link has been revoked or has expired.", code: "SHARE_GONE" });
+    }
+    trackShareEvent(req, sharedImage.share_id, "refine");
+    res.status(204).end();
+  } catch (error) {
+    console.error("Share refine tracking failed:", error);
+    res.status(500).json({ error: "Failed to record refine." });
+  }
+});
+
 function buildLogPayload(req, requestType, body, extra = {}) {
   return {
     ipAddress: getClientIp(req),
@@ -116,9 +194,11 @@ function buildLogPayload(req, requestType, body, extra = {}) {
     quality: body?.quality,
     outputFormat: body?.output_format,
     outputCompression: body?.output_compression,
+    imageCount: Number.isInteger(extra.imageCount) ? extra.imageCount : 1,
     keySource: extra.keySource || "server_default",
     apiKeyFingerprint: extra.apiKeyFingerprint || null,
     apiKeyId: Number.isInteger(extra.apiKeyId) ? extra.apiKeyId : null,
+    subscriptionId: Number.isInteger(extra.subscriptionId) ? extra.subscriptionId : null,
     blocked: Boolean(extra.blocked),
     errorMessage: extra.errorMessage || null,
     userAgent: req.get("user-agent") || null
@@ -133,7 +213,101 @@ function getUserSuppliedApiKey(body) {
   return trimmed ? trimmed : null;
 }
 
-async function resolveKeyContext(req, requestType, body) {
+function formatPeriodEnd(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Subscribers render on the server key, metered against their plan instead of the per-IP free quota.
+// Returns null when the request is not from a signed-in subscriber.
+async function resolveSubscriptionKeyContext(req, account, requestType, body, imageCount) {
+  if (!account) {
+    return null;
+  }
+  const usage = await checkSubscriptionUsage({ userId: account.id, quality: body?.quality, imageCount });
+  if (!usage) {
+    return null;
+  }
+
+  const { plan, subscription } = usage;
+  if (!usage.allowed) {
+    const highQuality = usage.exceeded === "high_quality";
+    const remaining = highQuality ? usage.highQualityRemaining : usage.remaining;
+    const kind = highQuality ? "high-quality image" : "image";
+    await insertRequestLog(buildLogPayload(req, requestType, body, {
+      keySource: "subscription",
+      subscriptionId: subscription.id,
+      imageCount,
+      blocked: true,
+      errorMessage: highQuality ? "Plan high-quality limit reached" : "Plan image limit reached"
+    }));
+    let message;
+    if (highQuality && plan.highQualityLimit === 0) {
+      message = "High quality is not included in the " + plan.name + " plan. Pick another quality or add your own API key.";
+    } else {
+      message = (remaining === 0
+        ? "You have used every " + kind + " in your " + plan.name + " plan for this period."
+        : "Only " + remaining + " " + kind + (remaining === 1 ? "" : "s") + " left in your plan. Request fewer images.") +
+        " The allowance resets on " + formatPeriodEnd(subscription.current_period_end) +
+        "; until then you can add your own API key.";
+    }
+    const error = new Error(message);
+    error.statusCode = 429;
+    error.code = "SUBSCRIPTION_LIMIT_REACHED";
+    throw error;
+  }
+
+  const defaultKeyRecord = await upsertApiKey(process.env.OPENAI_API_KEY || "", null);
+  return {
+    apiKey: null,
+    keySource: "subscription",
+    apiKeyFingerprint: defaultKeyRecord.fingerprint,
+    apiKeyId: defaultKeyRecord.id,
+    subscriptionId: subscription.id,
+    imageCount
+  };
+}
+
+// Once the free quota runs out, prepaid credits pay for server-key renders at IMAGE_CREDIT_COSTS prices.
+// The price is taken here, before rendering; settleCredits refunds whatever is not delivered.
+async function resolveCreditKeyContext(req, account, requestType, body, imageCount) {
+  const owner = getCreditOwner(account, getDeviceId(req));
+  if (!owner) {
+    return null;
+  }
+  const defaultKeyRecord = await upsertApiKey(process.env.OPENAI_API_KEY || "", null);
+  const creditCharge = await chargeCredits(owner, {
+    size: body?.size,
+    quality: body?.quality,
+    outputFormat: body?.output_format,
+    imageCount,
+    requestType
+  });
+  if (!creditCharge) {
+    return null;
+  }
+  return {
+    apiKey: null,
+    keySource: "credits",
+    apiKeyFingerprint: defaultKeyRecord.fingerprint,
+    apiKeyId: defaultKeyRecord.id,
+    creditCharge,
+    imageCount
+  };
+}
+
+async function settleCredits(keyContext, deliveredCount) {
+  if (!keyContext?.creditCharge) {
+    return;
+  }
+  try {
+    await settleCreditCharge(keyContext.creditCharge, deliveredCount);
+  } catch (error) {
+    // The debit id is what an adjustment needs to put the balance right by hand.
+    console.error("Credit refund failed for debit " + keyContext.creditCharge.debitId + ":", error);
+  }
+}
+
+async function resolveKeyContext(req, requestType, body, imageCount = 1) {
   const userApiKey = getUserSuppliedApiKey(body);
   const ipAddress = getClientIp(req);
   if (userApiKey) {
@@ -142,20 +316,47 @@ async function resolveKeyContext(req, requestType, body) {
       apiKey: userApiKey,
       keySource: "user_supplied",
       apiKeyFingerprint: upsertedKey.fingerprint,
-      apiKeyId: upsertedKey.id
+      apiKeyId: upsertedKey.id,
+      imageCount
     };
   }
 
-  const usageCount = await countServerDefaultRequestsByIp(ipAddress);
-  if (usageCount >= REQUEST_LIMIT_PER_IP) {
+  const account = await getSessionAccount(req);
+  const subscriptionKeyContext = await resolveSubscriptionKeyContext(req, account, requestType, body, imageCount);
+  if (subscriptionKeyContext) {
+    return subscriptionKeyContext;
+  }
+
+  const freeUsage = await checkFreeUsage({
+    ipAddress,
+    requestType,
+    quality: body?.quality,
+    imageCount
+  });
+  if (freeUsage && !freeUsage.allowed) {
+    const creditKeyContext = await resolveCreditKeyContext(req, account, requestType, body, imageCount);
+    if (creditKeyContext) {
+      return creditKeyContext;
+    }
+    const exhausted = freeUsage.remaining === 0;
     await insertRequestLog(buildLogPayload(req, requestType, body, {
       keySource: "server_default",
+      imageCount,
       blocked: true,
-      errorMessage: "Free usage limit exceeded; user API key required"
+      errorMessage: exhausted
+        ? "Free usage limit exceeded; user API key required"
+        : "Free usage remaining (" + freeUsage.remaining + ") lower than requested image count"
     }));
-    const error = new Error("Free usage is over. Add your own API key to continue.");
+    const retryText = "try again in " + formatRetryAfter(freeUsage.retryAfterSeconds);
+    const error = new Error(
+      exhausted
+        ? "Free usage is over for now. Add your own API key to continue, or " + retryText + "."
+        : "Only " + freeUsage.remaining + " free " + (freeUsage.remaining === 1 ? "image" : "images") +
+          " left. Request fewer images, add your own API key, or " + retryText + "."
+    );
     error.statusCode = 429;
-    error.code = "TRIAL_EXPIRED_NEEDS_API_KEY";
+    error.code = exhausted ? "TRIAL_EXPIRED_NEEDS_API_KEY" : "FREE_USAGE_INSUFFICIENT";
+    error.freeUsage = freeUsage;
     throw error;
   }
 
@@ -165,7 +366,9 @@ async function resolveKeyContext(req, requestType, body) {
     apiKey: null,
     keySource: "server_default",
     apiKeyFingerprint: defaultKeyRecord.fingerprint,
-    apiKeyId: defaultKeyRecord.id
+    apiKeyId: defaultKeyRecord.id,
+    freeUsage,
+    imageCount
   };
 }
 
@@ -178,12 +381,16 @@ function isUserKeyAuthFailure(error, keyContext) {
   return status === 401 || message.includes("api key") || message.includes("invalid_api_key");
 }
 
+// Logs the image count validated into keyContext, never the raw `n`: server-key rows are summed into the
+// free quota. Requests that failed before a key was resolved count for nothing.
 async function logErrorRequest(req, requestType, body, keyContext, errorMessage) {
   try {
     await insertRequestLog(buildLogPayload(req, requestType, body, {
+      imageCount: keyContext?.imageCount ?? 0,
       keySource: keyContext?.keySource || "server_default",
       apiKeyFingerprint: keyContext?.apiKeyFingerprint || null,
       apiKeyId: keyContext?.apiKeyId ?? null,
+      subscriptionId: keyContext?.subscriptionId ?? null,
       blocked: false,
       errorMessage
     }));
@@ -192,117 +399,254 @@ async function logErrorRequest(req, requestType, body, keyContext, errorMessage)
   }
 }
 
+const IMAGE_REQUEST_ERROR_TEXT = {
+  generate: {
+    logFallback: "Generation failed",
+    messageFallback: "Image generation failed",
+    consoleLabel: "Generate error:"
+  },
+  edit: {
+    logFallback: "Edit failed",
+    messageFallback: "Image edit failed",
+    consoleLabel: "Edit error:"
+  }
+};
+
+async function buildImageRequestErrorResponse(req, requestType, keyContext, error) {
+  if (QUOTA_ERROR_CODES.has(error?.code)) {
+    return { statusCode: 429, body: { error: error.message, code: error.code } };
+  }
+  await settleCredits(keyContext, 0);
+  if (isUserKeyAuthFailure(error, keyContext)) {
+    await logErrorRequest(req, requestType, req.body, keyContext, "Invalid user API key");
+    return {
+      statusCode: 401,
+      body: {
+        error: "Your API key appears invalid. Please update it and try again.",
+        code: "INVALID_USER_API_KEY"
+      }
+    };
+  }
+
+  const text = IMAGE_REQUEST_ERROR_TEXT[requestType];
+  await logErrorRequest(req, requestType, req.body, keyContext, error?.message || text.logFallback);
+  const message = formatOpenAIError(error, text.messageFallback);
+  console.error(text.consoleLabel, message);
+  const statusCode = Number.isInteger(error?.statusCode) ? error.statusCode : 500;
+  return { statusCode, body: { error: message } };
+}
+
+async function runImageRequest(
+  req,
+  requestType,
+  params,
+  keyContext,
+  runner = requestType === "edit" ? editImage : generateImage
+) {
+  const startedAt = Date.now();
+  const result = await runner({ apiKey: keyContext.apiKey, ...params });
+  const durationMs = Date.now() - startedAt;
+  await settleCredits(keyContext, result.images.length);
+  await insertRequestLog(buildLogPayload(req, requestType, req.body, {
+    keySource: keyContext.keySource,
+    apiKeyFingerprint: keyContext.apiKeyFingerprint,
+    apiKeyId: keyContext.apiKeyId,
+    subscriptionId: keyContext.subscriptionId,
+    imageCount: result.images.length
+  }));
+  return buildImagesResponse(result, durationMs);
+}
+
+// Clients that send `async: true` get a job id right away and poll GET /api/jobs/:jobId,
+// so long renders are not cut off by proxy timeouts.
+async function respondWithImageRequest(req, res, requestType, params) {
+  let keyContext = null;
+  try {
+    validateRenderSettings(params);
+    params.n = parseImageCount(req.body?.n);
+    keyContext = await resolveKeyContext(req, requestType, req.body, params.n);
+    setRateLimitHeaders(res, keyContext.freeUsage, params.n);
+
+    if (req.body?.async === true) {
+      const resolvedKeyContext = keyContext;
+      const job = await enqueueGenerationJob({
+        jobType: requestType,
+        ipAddress: getClientIp(req),
+        debitId: keyContext.creditCharge?.debitId ?? null,
+        run: async () => {
+          try {
+            return await runImageRequest(req, requestType, params, resolvedKeyContext);
+          } catch (error) {
+            const { statusCode, body } = await buildImageRequestErrorResponse(
+              req,
+              requestType,
+              resolvedKeyContext,
+              error
+            );
+            throw createJobFailure(statusCode, body);
+          }
+        }
+      });
+      return res.status(202).json({ job_id: job.jobId, job_token: job.jobToken, status: job.status });
+    }
+
+    res.json(await runImageRequest(req, requestType, params, keyContext));
+  } catch (error) {
+    const { statusCode, body } = await buildImageRequestErrorResponse(req, requestType, keyContext, error);
+    if (error?.freeUsage) {
+      setRateLimitHeaders(res, error.freeUsage);
+    }
+    res.status(statusCode).json(body);
+  }
+}
+
 router.post("/generate", async (req, res) => {
+  const { prompt, size, quality, output_format, output_compression, reference_images } = req.body || {};
+  if (!prompt || typeof prompt !== "string") {
+    return res.status(400).json({ error: "Missing prompt" });
+  }
+
+  await respondWithImageRequest(req, res, "generate", {
+    prompt,
+    size,
+    quality,
+    output_format,
+    output_compression,
+    reference_images
+  });
+});
+
+function writeSseEvent(res, eventName, data) {
+  res.write("event: " + eventName + "\ndata: " + JSON.stringify(data) + "\n\n");
+}
+
+// Streams partial renders as Server-Sent Events over the POST response (the body is too large for EventSource).
+// Validation and quota errors are still plain JSON responses; later failures arrive as an `error` event.
+router.post("/generate/stream", async (req, res) => {
+  const { prompt, size, quality, output_format, output_compression, reference_images } = req.body || {};
+  if (!prompt || typeof prompt !== "string") {
+    return res.status(400).json({ error: "Missing prompt" });
+  }
+
+  const params = { prompt, size, quality, output_format, output_compression, reference_images };
+  const abortController = new AbortController();
   let keyContext = null;
+  let heartbeat = null;
+
   try {
-    const { prompt, size, quality, output_format, output_compression, reference_images } = req.body || {};
-    if (!prompt || typeof prompt !== "string") {
-      return res.status(400).json({ error: "Missing prompt" });
-    }
-    validateRenderSettings({ size, quality, output_format, output_compression });
-    keyContext = await resolveKeyContext(req, "generate", req.body);
-
-    const { b64, mimeType } = await generateImage({
-      apiKey: keyContext.apiKey,
-      prompt,
-      size,
-      quality,
-      output_format,
-      output_compression,
-      reference_images
+    validateRenderSettings(params);
+    keyContext = await resolveKeyContext(req, "generate", req.body, 1);
+    setRateLimitHeaders(res, keyContext.freeUsage, 1);
+
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
     });
-    await insertRequestLog(buildLogPayload(req, "generate", req.body, {
-      keySource: keyContext.keySource,
-      apiKeyFingerprint: keyContext.apiKeyFingerprint,
-      apiKeyId: keyContext.apiKeyId
-    }));
-    res.json({ b64, mime_type: mimeType });
+    heartbeat = setInterval(() => res.write(": keepalive\n\n"), SSE_HEARTBEAT_MS);
+
+    const result = await runImageRequest(req, "generate", params, keyContext, (args) =>
+      streamGenerateImage({
+        ...args,
+        signal: abortController.signal,
+        onPartialImage: ({ b64, index, mimeType }) => {
+          writeSseEvent(res, "partial", { b64, index, mime_type: mimeType });
+        }
+      })
+    );
+    writeSseEvent(res, "completed", result);
+    res.end();
   } catch (error) {
-    if (error?.code === "TRIAL_EXPIRED_NEEDS_API_KEY") {
-      return res.status(429).json({ error: error.message, code: error.code });
+    const { statusCode, body } = await buildImageRequestErrorResponse(req, "generate", keyContext, error);
+    if (!res.headersSent) {
+      if (error?.freeUsage) {
+        setRateLimitHeaders(res, error.freeUsage);
+      }
+      return res.status(statusCode).json(body);
     }
-    if (isUserKeyAuthFailure(error, keyContext)) {
-      await logErrorRequest(req, "generate", req.body, keyContext, "Invalid user API key");
-      return res.status(401).json({
-        error: "Your API key appears invalid. Please update it and try again.",
-        code: "INVALID_USER_API_KEY"
-      });
+    if (!res.writableEnded) {
+      writeSseEvent(res, "error", { ...body, status_code: statusCode });
+      res.end();
     }
-    await logErrorRequest(req, "generate", req.body, keyContext, error?.message || "Generation failed");
-    const message = formatOpenAIError(error, "Image generation failed");
-    console.error("Generate error:", message);
-    const statusCode = Number.isInteger(error?.statusCode) ? error.statusCode : 500;
-    res.status(statusCode).json({ error: message });
+  } finally {
+    clearInterval(heartbeat);
   }
 });
 
 router.post("/edit", async (req, res) => {
-  let keyContext = null;
+  const {
+    prompt,
+    size,
+    quality,
+    output_format,
+    output_compression,
+    image_b64,
+    image_mime_type,
+    mask_b64,
+    reference_images
+  } = req.body || {};
+
+  if (!prompt || typeof prompt !== "string") {
+    return res.status(400).json({ error: "Missing prompt" });
+  }
+  if (!image_b64 || typeof image_b64 !== "string") {
+    return res.status(400).json({ error: "Missing source image" });
+  }
   try {
-    const {
-      prompt,
-      size,
-      quality,
-      output_format,
-      output_compression,
-      image_b64,
-      image_mime_type,
-      reference_images
-    } = req.body || {};
-
-    if (!prompt || typeof prompt !== "string") {
-      return res.status(400).json({ error: "Missing prompt" });
-    }
-    if (!image_b64 || typeof image_b64 !== "string") {
-      return res.status(400).json({ error: "Missing source image" });
-    }
-    validateRenderSettings({ size, quality, output_format, output_compression });
-    keyContext = await resolveKeyContext(req, "edit", req.body);
-
-    const { b64, mimeType } = await editImage({
-      apiKey: keyContext.apiKey,
-      prompt,
-      size,
-      quality,
-      output_format,
-      output_compression,
-      image_b64,
-      image_mime_type,
-      reference_images
-    });
-    await insertRequestLog(buildLogPayload(req, "edit", req.body, {
-      keySource: keyContext.keySource,
-      apiKeyFingerprint: keyContext.apiKeyFingerprint,
-      apiKeyId: keyContext.apiKeyId
-    }));
-    res.json({ b64, mime_type: mimeType });
+    validateEditImages({ image_b64, image_mime_type, mask_b64 });
   } catch (error) {
-    if (error?.code === "TRIAL_EXPIRED_NEEDS_API_KEY") {
-      return res.status(429).json({ error: error.message, code: error.code });
-    }
-    if (isUserKeyAuthFailure(error, keyContext)) {
-      await logErrorRequest(req, "edit", req.body, keyContext, "Invalid user API key");
-      return res.status(401).json({
-        error: "Your API key appears invalid. Please update it and try again.",
-        code: "INVALID_USER_API_KEY"
-      });
+    return res.status(400).json({ error: error.message });
+  }
+
+  await respondWithImageRequest(req, res, "edit", {
+    prompt,
+    size,
+    quality,
+    output_format,
+    output_compression,
+    image_b64,
+    image_mime_type,
+    mask_b64,
+    reference_images
+  });
+});
+
+router.get("/jobs/:jobId", async (req, res) => {
+  try {
+    const jobId = String(req.params?.jobId || "").trim();
+    const job = jobId ? await getGenerationJob(jobId, req.get("x-job-token")) : null;
+    if (!job) {
+      return res.status(404).json({ error: "Job not found." });
     }
-    await logErrorRequest(req, "edit", req.body, keyContext, error?.message || "Edit failed");
-    const message = formatOpenAIError(error, "Image edit failed");
-    console.error("Edit error:", message);
-    const statusCode = Number.isInteger(error?.statusCode) ? error.statusCode : 500;
-    res.status(statusCode).json({ error: message });
+    res.json(job);
+  } catch (error) {
+    console.error("Job lookup failed:", error);
+    res.status(500).json({ error: "Failed to load job." });
   }
 });
 
+// Unknown reasons are dropped rather than rejected, so a stale client never loses the event itself.
+function parsePaywallReason(value) {
+  return typeof value === "string" && PAYWALL_REASONS.has(value) ? value : null;
+}
+
 router.post("/interest/event", async (req, res) => {
   try {
     const eventType = typeof req.body?.event_type === "string" ? req.body.event_type.trim() : "";
     if (!eventType) {
       return res.status(400).json({ error: "Missing event_type" });
     }
+    // "paywall_shown_<reason>" events name their reason; later steps send it as `reason`.
+    const shownReason = eventType.startsWith("paywall_shown_") ? eventType.slice("paywall_shown_".length) : "";
     await insertSubscriptionInterestEvent({
       eventType,
+      reason: parsePaywallReason(req.body?.reason) || parsePaywallReason(shownReason),
       ipAddress: getClientIp(req),
       userAgent: getClientUserAgent(req)
     });
@@ -332,6 +676,7 @@ router.post("/interest/submit", async (req, res) => {
     await insertSubscriptionInterestSubmission({
       email,
       willingnessAmount,
+      reason: parsePaywallReason(req.body?.reason),
       comments,
       ipAddress: getClientIp(req),
       userAgent: getClientUserAgent(req)
@@ -371,12 +716,19 @@ router.post("/contact", async (req, res) => {
       });
     }
 
-    await insertContactMessage({
+    const messageId = await insertContactMessage({
       email,
       message,
       ipAddress,
       userAgent
     });
+    notifyNewContactMessage({
+      id: messageId,
+      email,
+      message,
+      ipAddress,
+      inboxUrl: `${req.protocol}://${req.get("host")}/admin`
+    });
     res.json({ ok: true });
   } catch (error) {
     console.error("Contact submit failed:", error);
@@ -384,12 +736,218 @@ router.post("/contact", async (req, res) => {
   }
 });
 
+function hashShareOwnerToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function ownsShare(ownerTokenHash, ownerToken) {
+  if (!ownerTokenHash || typeof ownerToken !== "string" || !ownerToken) {
+    return false;
+  }
+  const expected = Buffer.from(ownerTokenHash, "hex");
+  const actual = Buffer.from(hashShareOwnerToken(ownerToken), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function buildShareUrl(req, shareId) {
+  return `${req.protocol}://${req.get("host")}/shared/${shareId}`;
+}
+
+function getShareStatus(sharedImage) {
+  if (sharedImage.revoked_at) return "revoked";
+  if (Number(sharedImage.is_expired)) return "expired";
+  return "active";
+}
+
+function formatOwnedShare(req, sharedImage, counts) {
+  return {
+    share_id: sharedImage.share_id,
+    share_url: buildShareUrl(req, sharedImage.share_id),
+    status: getShareStatus(sharedImage),
+    prompt_text: sharedImage.prompt_text || "",
+    source_tab: sharedImage.source_tab || null,
+    created_at: sharedImage.created_at || null,
+    expires_at: sharedImage.expires_at || null,
+    revoked_at: sharedImage.revoked_at || null,
+    published: Boolean(sharedImage.published_at),
+    view_count: Number(sharedImage.view_count || 0),
+    ...(counts ? { stats: formatShareStats(counts) } : {})
+  };
+}
+
+async function loadOwnedShare(req, res) {
+  const shareId = String(req.params?.shareId || "").trim();
+  const sharedImage = SHARE_ID_PATTERN.test(shareId) ? await getSharedImageByShareId(shareId) : null;
+  if (!sharedImage) {
+    res.status(404).json({ error: "Shared image not found." });
+    return null;
+  }
+  // GET requests carry the token in a header since they have no body.
+  const ownerToken = req.body?.owner_token ?? req.get("x-share-owner-token");
+  if (!ownsShare(sharedImage.owner_token_hash, ownerToken)) {
+    res.status(403).json({ error: "This browser does not own that share link.", code: "SHARE_NOT_OWNED" });
+    return null;
+  }
+  return sharedImage;
+}
+
+router.post("/shares/mine", async (req, res) => {
+  const entries = Array.isArray(req.body?.shares) ? req.body.shares.slice(0, MAX_LISTED_SHARES) : [];
+  const tokensById = new Map();
+  for (const entry of entries) {
+    const shareId = typeof entry?.share_id === "string" ? entry.share_id.trim() : "";
+    if (SHARE_ID_PATTERN.test(shareId) && typeof entry?.owner_token === "string") {
+      tokensById.set(shareId, entry.owner_token);
+    }
+  }
+
+  try {
+    const rows = (await getSharedImagesByShareIds([...tokensById.keys()]))
+      .filter((row) => ownsShare(row.owner_token_hash, tokensById.get(row.share_id)))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    const counts = await getShareEventCounts(rows.map((row) => row.share_id));
+    res.json({ shares: rows.map((row) => formatOwnedShare(req, row, counts.get(row.share_id))) });
+  } catch (error) {
+    console.error("Share list failed:", error);
+    res.status(500).json({ error: "Failed to load share links." });
+  }
+});
+
+router.get("/shared/:shareId/stats", async (req, res) => {
+  try {
+    const sharedImage = await loadOwnedShare(req, res);
+    if (!sharedImage) return;
+
+    const counts = await getShareEventCounts([sharedImage.share_id]);
+    res.json({
+      share_id: sharedImage.share_id,
+      status: getShareStatus(sharedImage),
+      stats: formatShareStats(counts.get(sharedImage.share_id))
+    });
+  } catch (error) {
+    console.error("Share stats failed:", error);
+    res.status(500).json({ error: "Failed to load share stats." });
+  }
+});
+
+router.patch("/shares/:shareId", async (req, res) => {
+  try {
+    const sharedImage = await loadOwnedShare(req, res);
+    if (!sharedImage) return;
+    if (sharedImage.revoked_at) {
+      return res.status(409).json({ error: "This share link has already been revoked." });
+    }
+    // Expired links stay dead, the same as for visitors; share the image again for a new link.
+    if (getShareStatus(sharedImage) === "expired") {
+      return res.status(410).json({ error: "This share link has expired." });
+    }
+
+    const rawExpiresAt = req.body?.expires_at;
+    const rawPublished = req.body?.published;
+    if (rawExpiresAt === undefined && rawPublished === undefined) {
+      return res.status(400).json({ error: "Send expires_at and/or published." });
+    }
+    if (rawPublished !== undefined && typeof rawPublished !== "boolean") {
+      return res.status(400).json({ error: "published must be true or false." });
+    }
+
+    let expiresAtSeconds = null;
+    if (rawExpiresAt !== undefined && rawExpiresAt !== null) {
+      const expiresAtMs = typeof rawExpiresAt === "string" ? Date.parse(rawExpiresAt) : NaN;
+      if (!Number.isFinite(expiresAtMs)) {
+        return res.status(400).json({ error: "expires_at must be an ISO date or null." });
+      }
+      if (expiresAtMs <= Date.now()) {
+        return res.status(400).json({ error: "Expiry date must be in the future." });
+      }
+      if (expiresAtMs > Date.now() + MAX_SHARE_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: "Expiry date can be at most " + MAX_SHARE_EXPIRY_DAYS + " days away." });
+      }
+      expiresAtSeconds = Math.floor(expiresAtMs / 1000);
+    }
+
+    if (rawExpiresAt !== undefined) {
+      await setSharedImageExpiry(sharedImage.share_id, expiresAtSeconds);
+    }
+    if (rawPublished !== undefined) {
+      await setSharedImagePublished(sharedImage.share_id, rawPublished);
+    }
+    res.json({ share: formatOwnedShare(req, await getSharedImageByShareId(sharedImage.share_id)) });
+  } catch (error) {
+    console.error("Share update failed:", error);
+    res.status(500).json({ error: "Failed to update share link." });
+  }
+});
+
+router.delete("/shares/:shareId", async (req, res) => {
+  try {
+    const sharedImage = await loadOwnedShare(req, res);
+    if (!sharedImage) return;
+
+    await revokeSharedImage(sharedImage.share_id);
+    res.json({ share: formatOwnedShare(req, await getSharedImageByShareId(sharedImage.share_id)) });
+  } catch (error) {
+    console.error("Share revoke failed:", error);
+    res.status(500).json({ error: "Failed to revoke share link." });
+  }
+});
+
+function encodeGalleryCursor(cursor) {
+  return cursor ? Buffer.from(JSON.stringify([cursor.value, cursor.id])).toString("base64url") : null;
+}
+
+function decodeGalleryCursor(rawCursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(rawCursor), "base64url").toString("utf8"));
+    return Number.isInteger(value) && Number.isInteger(id) ? { value, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+router.get("/gallery", async (req, res) => {
+  const sort = req.query?.sort === undefined ? "newest" : String(req.query.sort);
+  if (!GALLERY_SORTS.has(sort)) {
+    return res.status(400).json({ error: "sort must be newest or most_viewed." });
+  }
+  const limit = req.query?.limit === undefined ? GALLERY_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GALLERY_PAGE_SIZE) {
+    return res.status(400).json({ error: "limit must be an integer from 1 to " + MAX_GALLERY_PAGE_SIZE + "." });
+  }
+  const cursor = req.query?.cursor === undefined ? null : decodeGalleryCursor(req.query.cursor);
+  if (req.query?.cursor !== undefined && !cursor) {
+    return res.status(400).json({ error: "Invalid cursor." });
+  }
+  const query = typeof req.query?.q === "string" ? req.query.q.trim().slice(0, 200) : "";
+
+  try {
+    const page = await listGalleryImages({ query, sort, limit, cursor });
+    res.json({
+      items: page.items.map((row) => ({
+        share_id: row.share_id,
+        share_url: buildShareUrl(req, row.share_id),
+        thumbnail_url: `/shared/${row.share_id}/image?w=512`,
+        prompt_text: row.prompt_text || "",
+        width: row.width ? Number(row.width) : null,
+        height: row.height ? Number(row.height) : null,
+        view_count: Number(row.view_count || 0),
+        published_at: row.published_at
+      })),
+      next_cursor: encodeGalleryCursor(page.nextCursor)
+    });
+  } catch (error) {
+    console.error("Gallery lookup failed:", error);
+    res.status(500).json({ error: "Failed to load gallery." });
+  }
+});
+
 router.post("/share", async (req, res) => {
   try {
     const imageB64 = typeof req.body?.image_b64 === "string" ? req.body.image_b64.trim() : "";
     const mimeType = typeof req.body?.image_mime_type === "string" ? req.body.image_mime_type.trim() : "";
     const promptText = typeof req.body?.prompt_text === "string" ? req.body.prompt_text.trim() : "";
     const sourceTab = typeof req.body?.source_tab === "string" ? req.body.source_tab.trim() : "";
+    const publish = req.body?.publish === true;
 
     if (!imageB64) {
       return res.status(400).json({ error: "Missing shared image data." });
@@ -398,19 +956,33 @@ router.post("/share", async (req, res) => {
       return res.status(400).json({ error: "Unsupported shared image type." });
     }
 
+    const ownerToken = crypto.randomBytes(24).toString("base64url");
     const shared = await createOrGetSharedImage({
       imageB64,
       mimeType,
       promptText,
       sourceTab,
-      creatorIp: getClientIp(req)
+      creatorIp: getClientIp(req),
+      ownerTokenHash: hashShareOwnerToken(ownerToken),
+      publish
     });
-    const shareUrl = `${req.protocol}://${req.get("host")}/shared/${shared.shareId}`;
+
+    // Reusing an existing link only hands back the owner token to whoever already holds it.
+    let returnedOwnerToken = null;
+    if (!shared.alreadyExisted) {
+      returnedOwnerToken = ownerToken;
+    } else if (ownsShare(shared.ownerTokenHash, req.body?.owner_token)) {
+      returnedOwnerToken = req.body.owner_token;
+      if (publish) {
+        await setSharedImagePublished(shared.shareId, true);
+      }
+    }
 
     res.json({
       ok: true,
       share_id: shared.shareId,
-      share_url: shareUrl,
+      share_url: buildShareUrl(req, shared.shareId),
+      owner_token: returnedOwnerToken,
       already_existed: shared.alreadyExisted
     });
   } catch (error) {
@@ -0,0 +1,170 @@
+import express from "express";
+import { IMAGE_CREDIT_COSTS } from "../config/constants.js";
+import { ensureDeviceId, getSessionAccount } from "../services/accountService.js";
+import { formatCreditTransaction, getCreditOwner } from "../services/creditService.js";
+import { getPaymentProvider } from "../services/payments/index.js";
+import { getCreditBalance, listCreditTransactions } from "../services/requestLogStore.js";
+import {
+  cancelSubscription,
+  getSubscriptionOverview,
+  handlePaymentWebhook,
+  isBillingEnabled,
+  listPlans,
+  startCheckout
+} from "../services/subscriptionService.js";
+
+const router = express.Router();
+const FAKE_EVENT_TYPES = new Set(["activated", "past_due", "cancelled"]);
+const CREDIT_HISTORY_PAGE_SIZE = 20;
+const MAX_CREDIT_HISTORY_PAGE_SIZE = 100;
+
+function sendBillingError(res, error, fallbackMessage) {
+  if (error?.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code || null });
+  }
+  console.error(fallbackMessage + ":", error);
+  return res.status(500).json({ error: fallbackMessage + "." });
+}
+
+async function requireAccount(req, res, next) {
+  try {
+    req.account = await getSessionAccount(req);
+  } catch (error) {
+    return sendBillingError(res, error, "Failed to load session");
+  }
+  if (!req.account) {
+    return res.status(401).json({ error: "Sign in to manage your subscription.", code: "SIGN_IN_REQUIRED" });
+  }
+  next();
+}
+
+function formatPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    price_cents: plan.priceCents,
+    currency: plan.currency,
+    image_limit: plan.imageLimit,
+    high_quality_limit: plan.highQualityLimit
+  };
+}
+
+// "expired" covers an active row whose period ran out without a renewal webhook.
+function formatSubscription({ subscription, plan, allowance }) {
+  return {
+    plan: plan ? formatPlan(plan) : null,
+    status: allowance ? "active" : subscription.status === "active" ? "expired" : subscription.status,
+    cancel_at_period_end: subscription.cancel_at_period_end,
+    current_period_end: subscription.current_period_end,
+    images_used: allowance?.used ?? null,
+    images_remaining: allowance?.remaining ?? null,
+    high_quality_remaining: allowance?.highQualityRemaining ?? null
+  };
+}
+
+async function sendSubscription(req, res) {
+  const overview = await getSubscriptionOverview(req.account.id);
+  res.json({ subscription: overview ? formatSubscription(overview) : null });
+}
+
+router.get("/billing/plans", (_req, res) => {
+  res.json({ enabled: isBillingEnabled(), plans: listPlans().map(formatPlan) });
+});
+
+router.get("/billing/subscription", requireAccount, async (req, res) => {
+  try {
+    await sendSubscription(req, res);
+  } catch (error) {
+    sendBillingError(res, error, "Failed to load subscription");
+  }
+});
+
+router.post("/billing/checkout", requireAccount, async (req, res) => {
+  try {
+    const checkoutUrl = await startCheckout({
+      account: req.account,
+      planId: typeof req.body?.plan_id === "string" ? req.body.plan_id.trim() : "",
+      returnUrl: `${req.protocol}://${req.get("host")}/?billing=return`
+    });
+    res.status(201).json({ checkout_url: checkoutUrl });
+  } catch (error) {
+    sendBillingError(res, error, "Failed to start checkout");
+  }
+});
+
+router.post("/billing/subscription/cancel", requireAccount, async (req, res) => {
+  try {
+    await cancelSubscription(req.account);
+    await sendSubscription(req, res);
+  } catch (error) {
+    sendBillingError(res, error, "Failed to cancel subscription");
+  }
+});
+
+// Signed-out browsers get a device cookie here, so a balance can be granted to them before they first pay.
+router.get("/credits", async (req, res) => {
+  const limit = req.query?.limit === undefined ? CREDIT_HISTORY_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CREDIT_HISTORY_PAGE_SIZE) {
+    return res.status(400).json({ error: "limit must be an integer from 1 to " + MAX_CREDIT_HISTORY_PAGE_SIZE + "." });
+  }
+  const beforeId = req.query?.cursor === undefined ? null : Number(req.query.cursor);
+  if (beforeId !== null && (!Number.isInteger(beforeId) || beforeId < 1)) {
+    return res.status(400).json({ error: "Invalid cursor." });
+  }
+
+  try {
+    const account = await getSessionAccount(req);
+    const owner = getCreditOwner(account, account ? null : ensureDeviceId(req, res));
+    const [balance, page] = await Promise.all([
+      getCreditBalance(owner),
+      listCreditTransactions({ ...owner, limit, beforeId })
+    ]);
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      owner: { type: owner.ownerType, id: owner.ownerId },
+      balance,
+      costs: IMAGE_CREDIT_COSTS,
+      transactions: page.items.map(formatCreditTransaction),
+      next_cursor: page.nextCursor
+    });
+  } catch (error) {
+    sendBillingError(res, error, "Failed to load credits");
+  }
+});
+
+// app.js hands this route the unparsed body (express.raw) so providers can verify their signature over it.
+router.post("/billing/webhook", async (req, res) => {
+  try {
+    const result = await handlePaymentWebhook({
+      headers: req.headers,
+      rawBody: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+    });
+    res.json({ received: true, result });
+  } catch (error) {
+    sendBillingError(res, error, "Failed to process webhook");
+  }
+});
+
+// Lets the fake checkout page play the provider's part. Only exists with PAYMENT_PROVIDER=fake.
+router.post("/billing/fake/events", async (req, res) => {
+  const provider = getPaymentProvider();
+  if (provider?.name !== "fake") {
+    return res.status(404).json({ error: "Not found." });
+  }
+  const providerSubscriptionId = typeof req.body?.subscription_id === "string" ? req.body.subscription_id.trim() : "";
+  if (!providerSubscriptionId) {
+    return res.status(400).json({ error: "Missing subscription_id." });
+  }
+  if (!FAKE_EVENT_TYPES.has(req.body?.type)) {
+    return res.status(400).json({ error: "type must be activated, past_due or cancelled." });
+  }
+
+  try {
+    const result = await handlePaymentWebhook(provider.createTestWebhook({ providerSubscriptionId, type: req.body.type }));
+    res.json({ received: true, result });
+  } catch (error) {
+    sendBillingError(res, error, "Failed to process webhook");
+  }
+});
+
+export default router;
@@ -0,0 +1,217 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { SESSION_SECRET, SESSION_TTL_DAYS } from "../config/constants.js";
+import {
+  createUser,
+  deleteExpiredUserSessions,
+  deleteUserSession,
+  getSessionUser,
+  getUserByEmail,
+  insertUserSession,
+  touchUserLogin
+} from "./requestLogStore.js";
+
+const scrypt = promisify(crypto.scrypt);
+const SESSION_COOKIE_NAME = "dg_session";
+const DEVICE_COOKIE_NAME = "dg_device";
+// Browsers cap cookie lifetimes at 400 days.
+const DEVICE_COOKIE_MAX_AGE_SECONDS = 400 * 24 * 60 * 60;
+const DEVICE_ID_PATTERN = /^[a-f0-9]{32}$/;
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Unknown emails are checked against this hash, so sign-in takes as long as for an existing account.
+const DUMMY_PASSWORD_HASH = ["scrypt", Buffer.alloc(16).toString("base64"), Buffer.alloc(SCRYPT_KEY_LENGTH).toString("base64")].join("$");
+
+let sessionSecret;
+
+function getSessionSecret() {
+  if (!sessionSecret) {
+    if (SESSION_SECRET) {
+      sessionSecret = SESSION_SECRET;
+    } else {
+      console.warn("SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts.");
+      sessionSecret = crypto.randomBytes(32).toString("hex");
+    }
+  }
+  return sessionSecret;
+}
+
+function createAccountError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+export function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+function validateCredentials(email, password) {
+  if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+    throw createAccountError(400, "INVALID_EMAIL", "Enter a valid email address.");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw createAccountError(400, "WEAK_PASSWORD", "Password must be at least " + MIN_PASSWORD_LENGTH + " characters.");
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw createAccountError(400, "WEAK_PASSWORD", "Password is too long.");
+  }
+}
+
+// Stored as scrypt$<salt>$<hash>, both base64.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return ["scrypt", salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, saltB64, hashB64] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) {
+    return false;
+  }
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signValue(value) {
+  return crypto.createHmac("sha256", getSessionSecret()).update(value).digest("base64url");
+}
+
+// Cookie value is <token>.<hmac>; only the token's hash is stored server-side.
+function unsignCookieValue(cookieValue) {
+  const separator = cookieValue.lastIndexOf(".");
+  if (separator <= 0) return null;
+  const token = cookieValue.slice(0, separator);
+  const signature = Buffer.from(cookieValue.slice(separator + 1));
+  const expected = Buffer.from(signValue(token));
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    return null;
+  }
+  return token;
+}
+
+function readCookie(req, name) {
+  const header = req.get("cookie") || "";
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1) continue;
+    if (part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function buildCookie(req, name, value, maxAgeSeconds) {
+  const attributes = [
+    name + "=" + encodeURIComponent(value),
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    "Max-Age=" + maxAgeSeconds
+  ];
+  if (req.secure) {
+    attributes.push("Secure");
+  }
+  return attributes.join("; ");
+}
+
+function toPublicUser(user) {
+  return { id: Number(user.id), email: user.email };
+}
+
+async function startSession(req, res, userId, ipAddress) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await insertUserSession({
+    tokenHash: hashSessionToken(token),
+    userId,
+    ttlDays: SESSION_TTL_DAYS,
+    ipAddress,
+    userAgent: req.get("user-agent") || null
+  });
+  res.setHeader(
+    "Set-Cookie",
+    buildCookie(req, SESSION_COOKIE_NAME, token + "." + signValue(token), SESSION_TTL_DAYS * 24 * 60 * 60)
+  );
+  deleteExpiredUserSessions().catch((error) => {
+    console.error("Failed to delete expired sessions:", error);
+  });
+}
+
+export async function registerAccount(req, res, { email, password, ipAddress }) {
+  const normalizedEmail = normalizeEmail(email);
+  validateCredentials(normalizedEmail, password);
+
+  const user = await createUser({ email: normalizedEmail, passwordHash: await hashPassword(password) });
+  if (!user) {
+    throw createAccountError(409, "EMAIL_TAKEN", "An account with this email already exists. Sign in instead.");
+  }
+  await startSession(req, res, user.id, ipAddress);
+  return toPublicUser(user);
+}
+
+export async function signIn(req, res, { email, password, ipAddress }) {
+  const normalizedEmail = normalizeEmail(email);
+  const user = normalizedEmail ? await getUserByEmail(normalizedEmail) : null;
+  const passwordMatches =
+    typeof password === "string" && (await verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH));
+  if (!user || !passwordMatches) {
+    throw createAccountError(401, "INVALID_CREDENTIALS", "Email or password is incorrect.");
+  }
+
+  await touchUserLogin(user.id);
+  await startSession(req, res, user.id, ipAddress);
+  return toPublicUser(user);
+}
+
+export async function signOut(req, res) {
+  const cookieValue = readCookie(req, SESSION_COOKIE_NAME);
+  const token = cookieValue ? unsignCookieValue(cookieValue) : null;
+  if (token) {
+    await deleteUserSession(hashSessionToken(token));
+  }
+  res.setHeader("Set-Cookie", buildCookie(req, SESSION_COOKIE_NAME, "", 0));
+}
+
+export async function getSessionAccount(req) {
+  const cookieValue = readCookie(req, SESSION_COOKIE_NAME);
+  const token = cookieValue ? unsignCookieValue(cookieValue) : null;
+  if (!token) {
+    return null;
+  }
+  const user = await getSessionUser(hashSessionToken(token));
+  return user ? toPublicUser(user) : null;
+}
+
+// Signed-out browsers are told apart by a random id in a signed cookie, so prepaid credits can belong to them.
+export function getDeviceId(req) {
+  const cookieValue = readCookie(req, DEVICE_COOKIE_NAME);
+  const deviceId = cookieValue ? unsignCookieValue(cookieValue) : null;
+  return deviceId && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+}
+
+export function ensureDeviceId(req, res) {
+  const existing = getDeviceId(req);
+  if (existing) {
+    return existing;
+  }
+  const deviceId = crypto.randomBytes(16).toString("hex");
+  res.append(
+    "Set-Cookie",
+    buildCookie(req, DEVICE_COOKIE_NAME, deviceId + "." + signValue(deviceId), DEVICE_COOKIE_MAX_AGE_SECONDS)
+  );
+  return deviceId;
+}
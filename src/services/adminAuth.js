@@ -0,0 +1,42 @@
+import crypto from "node:crypto";
+import { ADMIN_PASSWORD, ADMIN_TOKEN, ADMIN_USERNAME } from "../config/constants.js";
+
+// Hashing first gives both sides the same length, which timingSafeEqual requires.
+function secretsMatch(expected, actual) {
+  if (!expected || typeof actual !== "string" || !actual) {
+    return false;
+  }
+  const expectedHash = crypto.createHash("sha256").update(expected).digest();
+  const actualHash = crypto.createHash("sha256").update(actual).digest();
+  return crypto.timingSafeEqual(expectedHash, actualHash);
+}
+
+export function isAdminEnabled() {
+  return Boolean(ADMIN_TOKEN || (ADMIN_USERNAME && ADMIN_PASSWORD));
+}
+
+export function isBasicAuthEnabled() {
+  return Boolean(ADMIN_USERNAME && ADMIN_PASSWORD);
+}
+
+// Accepts `Authorization: Bearer <ADMIN_TOKEN>` or `Authorization: Basic <ADMIN_USERNAME:ADMIN_PASSWORD>`.
+export function isAdminRequest(req) {
+  const header = String(req.get("authorization") || "");
+  const [scheme, credentials = ""] = header.split(/\s+/, 2);
+
+  if (/^bearer$/i.test(scheme)) {
+    return secretsMatch(ADMIN_TOKEN, credentials);
+  }
+  if (/^basic$/i.test(scheme) && isBasicAuthEnabled()) {
+    const decoded = Buffer.from(credentials, "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    if (separator < 0) {
+      return false;
+    }
+    // Check both parts so a wrong username costs the same as a wrong password.
+    const usernameMatches = secretsMatch(ADMIN_USERNAME, decoded.slice(0, separator));
+    const passwordMatches = secretsMatch(ADMIN_PASSWORD, decoded.slice(separator + 1));
+    return usernameMatches && passwordMatches;
+  }
+  return false;
+}
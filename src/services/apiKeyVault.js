@@ -0,0 +1,129 @@
+import crypto from "node:crypto";
+import { API_KEY_ENCRYPTION_KEY, API_KEY_PREVIOUS_ENCRYPTION_KEYS, API_KEY_STORAGE } from "../config/constants.js";
+
+// Stored keys use envelope encryption: each key gets its own random data key (AES-256-GCM),
+// and that data key is wrapped with the master key from API_KEY_ENCRYPTION_KEY.
+// Layout: enc:v1:<master key id>:<wrap iv>.<wrap tag>.<wrapped data key>.<iv>.<tag>.<ciphertext>
+// The key id says which master key to unwrap with, so keys can be rotated (see API_KEY_PREVIOUS_ENCRYPTION_KEYS).
+const SEALED_PREFIX = "enc:v1:";
+const STORAGE_MODES = new Set(["encrypted", "fingerprint_only"]);
+
+let masterKey;
+let masterKeysById;
+
+function parseMasterKey(raw, name = "API_KEY_ENCRYPTION_KEY") {
+  const trimmed = String(raw || "").trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const decoded = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, "hex")
+    : Buffer.from(trimmed, "base64");
+  if (decoded.length !== 32) {
+    throw new Error(name + " must be 32 bytes, given as 64 hex characters or base64.");
+  }
+  return decoded;
+}
+
+function getMasterKey() {
+  if (masterKey === undefined) {
+    masterKey = parseMasterKey(API_KEY_ENCRYPTION_KEY);
+  }
+  return masterKey;
+}
+
+function getMasterKeyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+// The current master key and every retired one, by key id.
+function getMasterKeysById() {
+  if (masterKeysById === undefined) {
+    const keys = API_KEY_PREVIOUS_ENCRYPTION_KEYS.map((raw) => parseMasterKey(raw, "API_KEY_PREVIOUS_ENCRYPTION_KEYS"));
+    if (getMasterKey()) {
+      keys.push(getMasterKey());
+    }
+    masterKeysById = new Map(keys.map((key) => [getMasterKeyId(key), key]));
+  }
+  return masterKeysById;
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+}
+
+function decrypt(key, [iv, tag, ciphertext], aad) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Without API_KEY_STORAGE, a missing master key still means new keys keep only their fingerprint,
+// but rows already stored are not cleared; only an explicit fingerprint_only does that.
+export function getApiKeyStorageMode() {
+  const mode = API_KEY_STORAGE || (getMasterKey() ? "encrypted" : "fingerprint_only");
+  if (!STORAGE_MODES.has(mode)) {
+    throw new Error("Unknown API_KEY_STORAGE \"" + mode + "\". Use encrypted or fingerprint_only.");
+  }
+  if (mode === "encrypted" && !getMasterKey()) {
+    throw new Error("API_KEY_STORAGE=encrypted requires API_KEY_ENCRYPTION_KEY.");
+  }
+  return mode;
+}
+
+export function shouldClearStoredApiKeys() {
+  return API_KEY_STORAGE === "fingerprint_only";
+}
+
+export function isSealedApiKey(storedValue) {
+  return typeof storedValue === "string" && storedValue.startsWith(SEALED_PREFIX);
+}
+
+// The fingerprint is bound as associated data, so a sealed value only opens for its own row.
+export function sealApiKey(rawApiKey, fingerprint) {
+  const key = getMasterKey();
+  if (!key) {
+    throw new Error("Cannot encrypt API keys without API_KEY_ENCRYPTION_KEY.");
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = encrypt(key, dataKey, fingerprint);
+  const sealed = encrypt(dataKey, Buffer.from(String(rawApiKey), "utf8"), fingerprint);
+  return SEALED_PREFIX + getMasterKeyId(key) + ":" + [...wrapped, ...sealed].map((part) => part.toString("base64")).join(".");
+}
+
+function getSealedKeyId(storedValue) {
+  return storedValue.slice(SEALED_PREFIX.length).split(":")[0];
+}
+
+// True for values sealed under a master key other than the current one.
+export function needsResealing(storedValue) {
+  const key = getMasterKey();
+  return isSealedApiKey(storedValue) && Boolean(key) && getSealedKeyId(storedValue) !== getMasterKeyId(key);
+}
+
+export function openApiKey(storedValue, fingerprint) {
+  const keyId = getSealedKeyId(storedValue);
+  const key = getMasterKeysById().get(keyId);
+  if (!key) {
+    throw new Error("No master key with id " + keyId + "; add it to API_KEY_PREVIOUS_ENCRYPTION_KEYS.");
+  }
+
+  const parts = storedValue.slice(SEALED_PREFIX.length + keyId.length + 1).split(".").map((part) => Buffer.from(part, "base64"));
+  if (parts.length !== 6) {
+    throw new Error("Malformed sealed API key.");
+  }
+  const dataKey = decrypt(key, parts.slice(0, 3), fingerprint);
+  return decrypt(dataKey, parts.slice(3), fingerprint).toString("utf8");
+}
+
+// Value written to api_keys.api_key for the configured storage mode.
+export function toStoredApiKey(rawApiKey, fingerprint) {
+  return getApiKeyStorageMode() === "encrypted" ? sealApiKey(rawApiKey, fingerprint) : null;
+}
@@ -0,0 +1,30 @@
+import { BLOB_STORAGE } from "../../config/constants.js";
+import { createLocalDiskStorage } from "./localDiskStorage.js";
+
+// Every storage backend exposes the same shape, which maps onto S3-compatible object stores:
+//   name, put(key, buffer, { contentType }), stat(key) -> { size, modifiedAt } | null,
+//   read(key) -> Buffer, createReadStream(key, { start, end }?) -> Readable, delete(key).
+// Keys are opaque, slash-separated strings such as "shared/ab/<content hash>".
+const storageFactories = {
+  local: createLocalDiskStorage
+};
+
+function createBlobStorage(name) {
+  const factory = storageFactories[name];
+  if (!factory) {
+    throw new Error(
+      "Unknown BLOB_STORAGE \"" + name + "\". Use one of: " + Object.keys(storageFactories).join(", ") + "."
+    );
+  }
+  return factory();
+}
+
+const activeStorage = createBlobStorage(BLOB_STORAGE);
+
+export function getBlobStorage() {
+  return activeStorage;
+}
+
+export function getSharedImageBlobKey(contentHash) {
+  return "shared/" + contentHash.slice(0, 2) + "/" + contentHash;
+}
@@ -0,0 +1,58 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { BLOB_STORAGE_DIR } from "../../config/constants.js";
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9/_.-]*$/i;
+
+export function createLocalDiskStorage() {
+  const root = path.resolve(process.cwd(), BLOB_STORAGE_DIR);
+
+  function resolveKey(key) {
+    if (!KEY_PATTERN.test(key) || key.split("/").includes("..")) {
+      throw new Error("Invalid blob key \"" + key + "\".");
+    }
+    return path.join(root, key);
+  }
+
+  return {
+    name: "local",
+
+    // Blobs are content-addressed, so an existing file already holds the same bytes.
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      if (await this.stat(key)) {
+        return;
+      }
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = filePath + "." + crypto.randomBytes(6).toString("hex") + ".tmp";
+      await fsp.writeFile(tempPath, buffer);
+      await fsp.rename(tempPath, filePath);
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fsp.stat(resolveKey(key));
+        return { size: stats.size, modifiedAt: stats.mtime };
+      } catch (error) {
+        if (error?.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async read(key) {
+      return fsp.readFile(resolveKey(key));
+    },
+
+    createReadStream(key, range) {
+      return fs.createReadStream(resolveKey(key), range ? { start: range.start, end: range.end } : undefined);
+    },
+
+    async delete(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,25 @@
+import { getNotifier } from "./notifiers/index.js";
+
+// Alerting never blocks or fails the contact form it rides on.
+export function notifyNewContactMessage({ id, email, message, ipAddress, inboxUrl }) {
+  const notifier = getNotifier();
+  if (notifier.name === "none") {
+    return;
+  }
+  notifier
+    .send({
+      subject: "New contact message from " + email,
+      text: [
+        "From: " + email,
+        "IP: " + (ipAddress || "unknown"),
+        "",
+        message,
+        "",
+        "Message #" + id + " in the inbox: " + inboxUrl
+      ].join("\n"),
+      replyTo: email
+    })
+    .catch((error) => {
+      console.error("Failed to send contact notification:", error);
+    });
+}
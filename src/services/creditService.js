@@ -0,0 +1,80 @@
+import { IMAGE_CREDIT_COSTS } from "../config/constants.js";
+import { debitCredits, refundCreditDebit } from "./requestLogStore.js";
+
+const DEVICE_ID_PATTERN = /^[a-f0-9]{32}$/;
+const USER_ID_PATTERN = /^[1-9]\d{0,18}$/;
+
+// Credits belong to the signed-in account, otherwise to the browser's device id.
+export function getCreditOwner(account, deviceId) {
+  if (account) {
+    return { ownerType: "user", ownerId: String(account.id) };
+  }
+  if (deviceId) {
+    return { ownerType: "device", ownerId: deviceId };
+  }
+  return null;
+}
+
+// For owners typed in by hand (admin adjustments); null unless the id fits the owner type.
+export function parseCreditOwner(ownerType, ownerId) {
+  const id = typeof ownerId === "string" || typeof ownerId === "number" ? String(ownerId).trim() : "";
+  if (ownerType === "user" && USER_ID_PATTERN.test(id)) {
+    return { ownerType, ownerId: id };
+  }
+  if (ownerType === "device" && DEVICE_ID_PATTERN.test(id)) {
+    return { ownerType, ownerId: id };
+  }
+  return null;
+}
+
+export function formatCreditTransaction(row) {
+  return {
+    id: Number(row.id),
+    kind: row.kind,
+    amount: Number(row.amount),
+    balance_after: Number(row.balance_after),
+    refund_of: row.reference_id === null || row.reference_id === undefined ? null : Number(row.reference_id),
+    request_type: row.request_type || null,
+    description: row.description || "",
+    created_at: row.created_at
+  };
+}
+
+// Per image; null for a combination the cost table does not price.
+export function getImageCreditCost({ size, quality, outputFormat }) {
+  const cost = IMAGE_CREDIT_COSTS[size]?.[quality]?.[outputFormat];
+  return Number.isInteger(cost) ? cost : null;
+}
+
+// Takes the full price before rendering, or returns null if the balance falls short. The charge
+// must then be settled with settleCreditCharge, which refunds whatever was not delivered.
+export async function chargeCredits(owner, { size, quality, outputFormat, imageCount, requestType }) {
+  const perImage = getImageCreditCost({ size, quality, outputFormat });
+  if (perImage === null) {
+    return null;
+  }
+  const debit = await debitCredits({
+    ...owner,
+    amount: perImage * imageCount,
+    requestType,
+    description: imageCount + " x " + size + " " + quality + " " + outputFormat
+  });
+  return debit ? { debitId: debit.id, perImage, imageCount, balance: debit.balanceAfter, settled: false } : null;
+}
+
+export async function settleCreditCharge(charge, deliveredCount) {
+  if (!charge || charge.settled) {
+    return;
+  }
+  charge.settled = true;
+  const undelivered = charge.imageCount - Math.min(deliveredCount, charge.imageCount);
+  if (undelivered > 0) {
+    await refundCreditDebit({
+      debitId: charge.debitId,
+      amount: undelivered * charge.perImage,
+      description: deliveredCount === 0
+        ? "Request failed"
+        : undelivered + " of " + charge.imageCount + " images not delivered"
+    });
+  }
+}
@@ -1,9 +1,15 @@
 import {
   ALLOWED_SOURCE_MIME_TYPES,
-  MAX_REFERENCE_IMAGES,
-  OPENAI_IMAGE_MODEL
+  MAX_REFERENCE_IMAGES
 } from "../config/constants.js";
-import { getOpenAIClient } from "./openaiClient.js";
+import { getImageProvider } from "./providers/index.js";
+import { pngHasAlpha, readImageDimensions, readPngInfo } from "../utils/imageDimensions.js";
+
+function createBadRequestError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
 
 function createImageFileFromBase64(imageB64, mimeType, fileStem) {
   if (typeof imageB64 !== "string" || !imageB64.trim()) {
@@ -46,6 +52,56 @@ function parseReferenceImageFiles(referenceImages) {
   });
 }
 
+function createMaskFileFromBase64(maskB64, sourceFile, sourceBuffer) {
+  if (maskB64 === undefined || maskB64 === null || maskB64 === "") {
+    return null;
+  }
+  if (typeof maskB64 !== "string") {
+    throw createBadRequestError("mask_b64 must be a base64 string.");
+  }
+
+  const maskBuffer = Buffer.from(maskB64, "base64");
+  const maskInfo = readPngInfo(maskBuffer);
+  if (!maskInfo) {
+    throw createBadRequestError("Mask must be a PNG image.");
+  }
+  if (!pngHasAlpha(maskInfo)) {
+    throw createBadRequestError("Mask must have an alpha channel. Transparent pixels mark the area to repaint.");
+  }
+
+  const sourceDimensions = readImageDimensions(sourceBuffer, sourceFile.type);
+  if (!sourceDimensions) {
+    throw createBadRequestError("Could not read source image dimensions to validate the mask.");
+  }
+  if (maskInfo.width !== sourceDimensions.width || maskInfo.height !== sourceDimensions.height) {
+    throw createBadRequestError(
+      "Mask size " + maskInfo.width + "x" + maskInfo.height +
+      " does not match source image size " + sourceDimensions.width + "x" + sourceDimensions.height + "."
+    );
+  }
+
+  return new File([maskBuffer], "mask.png", { type: "image/png" });
+}
+
+function createEditImageFiles({ image_b64, image_mime_type, mask_b64 }) {
+  const provider = getImageProvider();
+  const sourceImageFile = createImageFileFromBase64(image_b64, image_mime_type || "image/png", "source");
+  const maskFile = createMaskFileFromBase64(mask_b64, sourceImageFile, Buffer.from(image_b64, "base64"));
+  if (maskFile && !provider.capabilities.supportsMask) {
+    throw createBadRequestError("Masks are not supported by the " + provider.name + " image provider.");
+  }
+  return { sourceImageFile, maskFile };
+}
+
+// Lets routes reject a bad source image or mask before any quota, rate limit or credits are spent on it.
+export function validateEditImages({ image_b64, image_mime_type, mask_b64 }) {
+  createEditImageFiles({ image_b64, image_mime_type, mask_b64 });
+}
+
+export function getImageCapabilities() {
+  return getImageProvider().capabilities;
+}
+
 export async function generateImage({
   apiKey,
   prompt,
@@ -53,46 +109,60 @@ export async function generateImage({
   quality,
   output_format,
   output_compression,
+  n = 1,
   reference_images
 }) {
-  const openai = getOpenAIClient(apiKey);
   const referenceImageFiles = parseReferenceImageFiles(reference_images);
+  const { images, mimeType, model, usage } = await getImageProvider().generate({
+    apiKey,
+    prompt,
+    size,
+    quality,
+    output_format,
+    output_compression,
+    n,
+    referenceImageFiles
+  });
+  if (!images.length) {
+    throw new Error("No image returned by API");
+  }
 
-  let result;
-  if (referenceImageFiles.length) {
-    const editPayload = {
-      model: OPENAI_IMAGE_MODEL,
-      prompt,
-      image: referenceImageFiles.length === 1 ? referenceImageFiles[0] : referenceImageFiles,
-      size,
-      quality,
-      output_format
-    };
-    if (output_format === "jpeg") {
-      editPayload.output_compression = output_compression;
-    }
-    result = await openai.images.edit(editPayload);
-  } else {
-    const generatePayload = {
-      model: OPENAI_IMAGE_MODEL,
-      prompt,
-      size,
-      quality,
-      output_format
-    };
-    if (output_format === "jpeg") {
-      generatePayload.output_compression = output_compression;
-    }
-    result = await openai.images.generate(generatePayload);
+  return { images, mimeType, model: model || null, usage: usage || null };
+}
+
+export async function streamGenerateImage({
+  apiKey,
+  prompt,
+  size,
+  quality,
+  output_format,
+  output_compression,
+  reference_images,
+  onPartialImage,
+  signal
+}) {
+  const provider = getImageProvider();
+  if (!provider.capabilities.supportsStreaming) {
+    throw createBadRequestError("Streaming is not supported by the " + provider.name + " image provider.");
   }
 
-  const b64 = result.data?.[0]?.b64_json;
-  if (!b64) {
+  const referenceImageFiles = parseReferenceImageFiles(reference_images);
+  const { images, mimeType, model, usage } = await provider.streamGenerate({
+    apiKey,
+    prompt,
+    size,
+    quality,
+    output_format,
+    output_compression,
+    referenceImageFiles,
+    onPartialImage,
+    signal
+  });
+  if (!images.length) {
     throw new Error("No image returned by API");
   }
 
-  const mimeType = output_format === "jpeg" ? "image/jpeg" : "image/png";
-  return { b64, mimeType };
+  return { images, mimeType, model: model || null, usage: usage || null };
 }
 
 export async function editImage({
@@ -104,31 +174,29 @@ export async function editImage({
   output_compression,
   image_b64,
   image_mime_type,
+  mask_b64,
+  n = 1,
   reference_images
 }) {
-  const openai = getOpenAIClient(apiKey);
-  const sourceMimeType = image_mime_type || "image/png";
-  const imageFile = createImageFileFromBase64(image_b64, sourceMimeType, "source");
+  const provider = getImageProvider();
+  const { sourceImageFile, maskFile } = createEditImageFiles({ image_b64, image_mime_type, mask_b64 });
   const referenceImageFiles = parseReferenceImageFiles(reference_images);
 
-  const editPayload = {
-    model: OPENAI_IMAGE_MODEL,
+  const { images, mimeType, model, usage } = await provider.edit({
+    apiKey,
     prompt,
-    image: referenceImageFiles.length ? [imageFile, ...referenceImageFiles] : imageFile,
     size,
     quality,
-    output_format
-  };
-  if (output_format === "jpeg") {
-    editPayload.output_compression = output_compression;
-  }
-
-  const result = await openai.images.edit(editPayload);
-  const b64 = result.data?.[0]?.b64_json;
-  if (!b64) {
+    output_format,
+    output_compression,
+    n,
+    sourceImageFile,
+    maskFile,
+    referenceImageFiles
+  });
+  if (!images.length) {
     throw new Error("No edited image returned by API");
   }
 
-  const mimeType = output_format === "jpeg" ? "image/jpeg" : "image/png";
-  return { b64, mimeType };
+  return { images, mimeType, model: model || null, usage: usage || null };
 }
@@ -0,0 +1,116 @@
+import sharp from "sharp";
+import { getBlobStorage } from "./blobStorage/index.js";
+
+// Requested widths snap up to one of these so the cache holds a bounded set of files per image.
+export const VARIANT_WIDTHS = [256, 512, 768, 1024, 1536];
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+const VARIANT_FORMATS = {
+  avif: { mimeType: "image/avif", options: { quality: 55 } },
+  webp: { mimeType: "image/webp", options: { quality: 78 } },
+  jpeg: { mimeType: "image/jpeg", options: { quality: 82, mozjpeg: true } },
+  png: { mimeType: "image/png", options: { compressionLevel: 9 } }
+};
+const inFlightRenders = new Map();
+
+function createBadRequestError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function getOriginalFormat(mimeType) {
+  return mimeType === "image/jpeg" ? "jpeg" : "png";
+}
+
+// Prefers the smallest format the client advertises; falls back to the original's format.
+function negotiateFormat(acceptHeader, originalMimeType) {
+  const accept = String(acceptHeader || "").toLowerCase();
+  if (accept.includes("image/avif")) return "avif";
+  if (accept.includes("image/webp")) return "webp";
+  return getOriginalFormat(originalMimeType);
+}
+
+function snapWidth(requestedWidth) {
+  return VARIANT_WIDTHS.find((width) => width >= requestedWidth) || VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1];
+}
+
+function getVariantBlobKey(contentHash, variantName, format) {
+  return "variants/" + contentHash.slice(0, 2) + "/" + contentHash + "-" + variantName + "." + format;
+}
+
+// Turns `?w=` / `?variant=og` plus the Accept header into a concrete variant, or null for the original.
+export function resolveVariantRequest(query, acceptHeader, sharedImage) {
+  if (query?.variant === "og") {
+    return { name: "og", format: "jpeg", width: OG_IMAGE_WIDTH, height: OG_IMAGE_HEIGHT, crop: true };
+  }
+  if (query?.variant !== undefined) {
+    throw createBadRequestError("Unknown image variant.");
+  }
+  if (query?.w === undefined) {
+    return null;
+  }
+
+  const requestedWidth = Number(query.w);
+  if (!Number.isInteger(requestedWidth) || requestedWidth < 1) {
+    throw createBadRequestError("w must be a positive integer.");
+  }
+  const width = snapWidth(requestedWidth);
+  const originalWidth = Number(sharedImage.width) || 0;
+  // Never upscale: at or beyond the original size only the format can change.
+  const name = originalWidth && width >= originalWidth ? "full" : "w" + width;
+  const format = negotiateFormat(acceptHeader, sharedImage.mime_type);
+  if (name === "full" && format === getOriginalFormat(sharedImage.mime_type)) {
+    return null;
+  }
+  return {
+    name,
+    format,
+    width: name === "full" ? null : width,
+    height: null,
+    crop: false
+  };
+}
+
+export function getVariantMimeType(variant) {
+  return VARIANT_FORMATS[variant.format].mimeType;
+}
+
+async function renderVariant(storage, sharedImage, variant, key) {
+  const original = await storage.read(sharedImage.storage_key);
+  let pipeline = sharp(original);
+  if (variant.crop) {
+    pipeline = pipeline.resize(variant.width, variant.height, { fit: "cover", position: "attention" });
+  } else if (variant.width) {
+    pipeline = pipeline.resize({ width: variant.width, withoutEnlargement: true });
+  }
+  const { options } = VARIANT_FORMATS[variant.format];
+  const buffer = await pipeline.toFormat(variant.format, options).toBuffer();
+  await storage.put(key, buffer, { contentType: getVariantMimeType(variant) });
+}
+
+// Renders the variant on first use and caches it in blob storage; concurrent requests share one render.
+export async function ensureVariant(sharedImage, variant) {
+  const storage = getBlobStorage();
+  const key = getVariantBlobKey(sharedImage.content_hash, variant.name, variant.format);
+  if (await storage.stat(key)) {
+    return key;
+  }
+
+  if (!inFlightRenders.has(key)) {
+    inFlightRenders.set(
+      key,
+      renderVariant(storage, sharedImage, variant, key).finally(() => inFlightRenders.delete(key))
+    );
+  }
+  await inFlightRenders.get(key);
+  return key;
+}
+
+export async function deleteVariants(contentHash) {
+  const storage = getBlobStorage();
+  const names = ["og", "full", ...VARIANT_WIDTHS.map((width) => "w" + width)];
+  const keys = names.flatMap((name) => Object.keys(VARIANT_FORMATS).map((format) => getVariantBlobKey(contentHash, name, format)));
+  await Promise.all(keys.map((key) => storage.delete(key)));
+}
@@ -0,0 +1,124 @@
+import { PAYWALL_REASONS } from "../config/constants.js";
+import { getInterestEventCounts, getInterestSubmissionCounts, listWillingnessAmounts } from "./requestLogStore.js";
+
+// Lower bounds of the willingness-to-pay buckets; the last one is open-ended.
+const WILLINGNESS_BUCKETS = [0, 1, 5, 10, 20, 50, 100];
+const SUBSCRIBE_EVENT = "paywall_clicked_subscribe_option";
+const OWN_KEY_EVENT = "paywall_clicked_use_own_key";
+
+function createFunnelRow(reason) {
+  return {
+    reason,
+    shown: 0,
+    shown_visitors: 0,
+    subscribe_clicks: 0,
+    subscribe_visitors: 0,
+    own_key_clicks: 0,
+    submissions: 0,
+    submission_emails: 0
+  };
+}
+
+function getRate(part, whole) {
+  return whole ? part / whole : null;
+}
+
+function getMedian(sortedValues) {
+  if (!sortedValues.length) {
+    return null;
+  }
+  const middle = Math.floor(sortedValues.length / 2);
+  return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+function buildHistogram(sortedValues) {
+  const buckets = WILLINGNESS_BUCKETS.map((min, index) => ({
+    min,
+    max: WILLINGNESS_BUCKETS[index + 1] ?? null,
+    count: 0
+  }));
+  for (const value of sortedValues) {
+    const bucket = buckets.findLast((entry) => value >= entry.min);
+    if (bucket) bucket.count += 1;
+  }
+  return buckets;
+}
+
+function summarizeAmounts(sortedValues) {
+  const total = sortedValues.reduce((sum, value) => sum + value, 0);
+  return {
+    count: sortedValues.length,
+    median: getMedian(sortedValues),
+    mean: sortedValues.length ? total / sortedValues.length : null
+  };
+}
+
+// Funnel paywall shown -> "subscribe" clicked -> interest submitted, per paywall reason plus a total row.
+// Event steps count both raw events and distinct IPs; submissions count rows and distinct emails.
+export async function buildInterestFunnelReport({ from, to }) {
+  const [eventCounts, submissionCounts, amounts] = await Promise.all([
+    getInterestEventCounts({ from, to }),
+    getInterestSubmissionCounts({ from, to }),
+    listWillingnessAmounts({ from, to })
+  ]);
+
+  const rows = new Map([...PAYWALL_REASONS].map((reason) => [reason, createFunnelRow(reason)]));
+  const getRow = (reason) => {
+    if (!rows.has(reason)) rows.set(reason, createFunnelRow(reason));
+    return rows.get(reason);
+  };
+
+  for (const entry of eventCounts) {
+    const row = getRow(entry.reason);
+    if (entry.event_type.startsWith("paywall_shown")) {
+      row.shown += entry.events;
+      row.shown_visitors += entry.visitors;
+    } else if (entry.event_type === SUBSCRIBE_EVENT) {
+      row.subscribe_clicks += entry.events;
+      row.subscribe_visitors += entry.visitors;
+    } else if (entry.event_type === OWN_KEY_EVENT) {
+      row.own_key_clicks += entry.events;
+    }
+  }
+  for (const entry of submissionCounts) {
+    const row = getRow(entry.reason);
+    row.submissions += entry.submissions;
+    row.submission_emails += entry.emails;
+  }
+
+  const funnel = [...rows.values()];
+  const total = funnel.reduce((sum, row) => {
+    for (const key of Object.keys(sum)) {
+      if (key !== "reason") sum[key] += row[key];
+    }
+    return sum;
+  }, createFunnelRow("all"));
+  // Distinct visitors and emails cannot be summed across reasons, so the total row only reports raw counts for them.
+  total.shown_visitors = null;
+  total.subscribe_visitors = null;
+  total.submission_emails = null;
+
+  const withRates = (row) => ({
+    ...row,
+    subscribe_rate: getRate(row.subscribe_clicks, row.shown),
+    submission_rate: getRate(row.submissions, row.subscribe_clicks),
+    overall_rate: getRate(row.submissions, row.shown)
+  });
+
+  const allValues = amounts.map((entry) => entry.amount);
+  const byReason = {};
+  for (const reason of rows.keys()) {
+    byReason[reason] = summarizeAmounts(amounts.filter((entry) => entry.reason === reason).map((entry) => entry.amount));
+  }
+
+  return {
+    from: from || null,
+    to: to || null,
+    funnel: [...funnel.map(withRates), withRates(total)],
+    willingness: {
+      ...summarizeAmounts(allValues),
+      histogram: buildHistogram(allValues),
+      by_reason: byReason
+    }
+  };
+}
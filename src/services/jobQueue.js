@@ -0,0 +1,113 @@
+import crypto from "node:crypto";
+import { JOB_CONCURRENCY, JOB_RETENTION_HOURS } from "../config/constants.js";
+import {
+  completeGenerationJob,
+  deleteExpiredGenerationJobs,
+  failGenerationJob,
+  getGenerationJobById,
+  insertGenerationJob,
+  markGenerationJobRunning
+} from "./requestLogStore.js";
+
+const pendingJobs = [];
+let runningCount = 0;
+
+function createJobId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function hashJobToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Same scheme as share owner tokens: only the hash is stored, and a job is only shown to whoever
+// holds the token handed out when it was queued.
+function ownsJob(ownerTokenHash, jobToken) {
+  if (!ownerTokenHash || typeof jobToken !== "string" || !jobToken) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(ownerTokenHash, "hex"), Buffer.from(hashJobToken(jobToken), "hex"));
+}
+
+export function createJobFailure(statusCode, body) {
+  const error = new Error(body?.error || "Job failed");
+  error.statusCode = statusCode;
+  error.code = body?.code || null;
+  return error;
+}
+
+async function runJob({ jobId, run }) {
+  try {
+    await markGenerationJobRunning(jobId);
+    const result = await run();
+    await completeGenerationJob(jobId, result);
+  } catch (error) {
+    try {
+      await failGenerationJob(jobId, {
+        errorMessage: error?.message || "Job failed",
+        errorCode: error?.code || null,
+        statusCode: Number.isInteger(error?.statusCode) ? error.statusCode : 500
+      });
+    } catch (storeError) {
+      console.error("Job failure write failed (" + jobId + "):", storeError);
+    }
+  }
+}
+
+function drainQueue() {
+  while (runningCount < JOB_CONCURRENCY && pendingJobs.length) {
+    const job = pendingJobs.shift();
+    runningCount += 1;
+    void runJob(job).finally(() => {
+      runningCount -= 1;
+      drainQueue();
+    });
+  }
+}
+
+// `debitId` is the credit debit paying for the job, if any, so a restart can refund it.
+export async function enqueueGenerationJob({ jobType, ipAddress, debitId = null, run }) {
+  const jobId = createJobId();
+  const jobToken = crypto.randomBytes(24).toString("base64url");
+  await insertGenerationJob({ jobId, jobType, ipAddress, ownerTokenHash: hashJobToken(jobToken), debitId });
+  pendingJobs.push({ jobId, run });
+  drainQueue();
+
+  deleteExpiredGenerationJobs(JOB_RETENTION_HOURS).catch((error) => {
+    console.error("Expired job cleanup failed:", error);
+  });
+
+  return { jobId, jobToken, status: "queued" };
+}
+
+// Null when the job does not exist or the token does not match, so ids cannot be probed.
+export async function getGenerationJob(jobId, jobToken) {
+  const row = await getGenerationJobById(jobId);
+  if (!row || !ownsJob(row.owner_token_hash, jobToken)) {
+    return null;
+  }
+
+  const job = {
+    job_id: row.job_id,
+    type: row.job_type,
+    status: row.status,
+    created_at: row.created_at || null,
+    started_at: row.started_at || null,
+    finished_at: row.finished_at || null
+  };
+
+  if (row.status === "queued") {
+    const position = pendingJobs.findIndex((pending) => pending.jobId === row.job_id);
+    job.queue_position = position >= 0 ? position + 1 : null;
+  }
+  if (row.status === "succeeded") {
+    job.result = row.result_json ? JSON.parse(row.result_json) : null;
+  }
+  if (row.status === "failed") {
+    job.error = row.error_message || "Job failed";
+    job.code = row.error_code || null;
+    job.status_code = row.status_code || 500;
+  }
+
+  return job;
+}
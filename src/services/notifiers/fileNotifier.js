@@ -0,0 +1,27 @@
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { NOTIFIER_MAILBOX_DIR, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO } from "../../config/constants.js";
+import { buildMailMessage } from "../../utils/mail.js";
+
+// Development stand-in for SMTP: each message is written as an .eml file any mail client can open.
+export function createFileNotifier() {
+  const root = path.resolve(process.cwd(), NOTIFIER_MAILBOX_DIR);
+
+  return {
+    name: "file",
+
+    async send({ subject, text, replyTo }) {
+      const message = buildMailMessage({
+        from: NOTIFY_EMAIL_FROM,
+        to: NOTIFY_EMAIL_TO.length ? NOTIFY_EMAIL_TO : ["team@localhost"],
+        subject,
+        text,
+        replyTo
+      });
+      const fileName = new Date().toISOString().replace(/[:.]/g, "-") + "-" + crypto.randomBytes(3).toString("hex") + ".eml";
+      await fsp.mkdir(root, { recursive: true });
+      await fsp.writeFile(path.join(root, fileName), message);
+    }
+  };
+}
@@ -0,0 +1,27 @@
+import { NOTIFIER } from "../../config/constants.js";
+import { createFileNotifier } from "./fileNotifier.js";
+import { createSmtpNotifier } from "./smtpNotifier.js";
+
+// Every notifier exposes the same shape:
+//   name, send({ subject, text, replyTo }) -> Promise, delivering one plain-text message to the team.
+const notifierFactories = {
+  none: () => ({ name: "none", async send() {} }),
+  file: createFileNotifier,
+  smtp: createSmtpNotifier
+};
+
+function createNotifier(name) {
+  const factory = notifierFactories[name];
+  if (!factory) {
+    throw new Error(
+      "Unknown NOTIFIER \"" + name + "\". Use one of: " + Object.keys(notifierFactories).join(", ") + "."
+    );
+  }
+  return factory();
+}
+
+const activeNotifier = createNotifier(NOTIFIER);
+
+export function getNotifier() {
+  return activeNotifier;
+}
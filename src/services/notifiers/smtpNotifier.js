@@ -0,0 +1,35 @@
+import {
+  NOTIFY_EMAIL_FROM,
+  NOTIFY_EMAIL_TO,
+  SMTP_HOST,
+  SMTP_PASSWORD,
+  SMTP_PORT,
+  SMTP_REQUIRE_TLS,
+  SMTP_SECURE,
+  SMTP_USER
+} from "../../config/constants.js";
+import { buildMailMessage, sendSmtpMail } from "../../utils/mail.js";
+
+export function createSmtpNotifier() {
+  if (!SMTP_HOST || !NOTIFY_EMAIL_TO.length) {
+    throw new Error("NOTIFIER=smtp needs SMTP_HOST and NOTIFY_EMAIL_TO.");
+  }
+
+  return {
+    name: "smtp",
+
+    async send({ subject, text, replyTo }) {
+      await sendSmtpMail({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        requireTls: SMTP_REQUIRE_TLS,
+        username: SMTP_USER,
+        password: SMTP_PASSWORD,
+        from: NOTIFY_EMAIL_FROM,
+        to: NOTIFY_EMAIL_TO,
+        message: buildMailMessage({ from: NOTIFY_EMAIL_FROM, to: NOTIFY_EMAIL_TO, subject, text, replyTo })
+      });
+    }
+  };
+}
@@ -0,0 +1,98 @@
+import crypto from "node:crypto";
+import { PAYMENT_WEBHOOK_SECRET } from "../../config/constants.js";
+
+const SIGNATURE_HEADER = "x-fake-signature";
+const PERIOD_SECONDS = 30 * 24 * 60 * 60;
+const EVENT_TYPES = {
+  "subscription.activated": "activated",
+  "subscription.past_due": "past_due",
+  "subscription.cancelled": "cancelled"
+};
+
+function createWebhookError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_WEBHOOK";
+  return error;
+}
+
+function toDate(seconds) {
+  return Number.isInteger(seconds) ? new Date(seconds * 1000) : null;
+}
+
+// Development stand-in for a hosted checkout: "checkout" is a local page whose buttons produce
+// signed webhook deliveries shaped like a real provider's, so the whole flow runs without an account anywhere.
+export function createFakePaymentProvider() {
+  console.warn("PAYMENT_PROVIDER=fake lets anyone activate a subscription from /billing/fake-checkout; use it for development only.");
+  let secret = PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn("PAYMENT_WEBHOOK_SECRET is not set; the fake payment provider signs webhooks with a random secret.");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+
+  function sign(rawBody) {
+    return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  }
+
+  return {
+    name: "fake",
+
+    async createCheckout({ plan, returnUrl }) {
+      const providerSubscriptionId = "fake_sub_" + crypto.randomBytes(8).toString("hex");
+      const params = new URLSearchParams({ subscription: providerSubscriptionId, plan: plan.id, return_url: returnUrl });
+      return {
+        checkoutUrl: "/billing/fake-checkout?" + params.toString(),
+        providerSubscriptionId,
+        providerCustomerId: "fake_cus_" + crypto.randomBytes(8).toString("hex")
+      };
+    },
+
+    // Like a real provider, cancelling only stops renewal; the fake checkout page sends the final "cancelled" event.
+    async cancelSubscription() {},
+
+    // Not part of the shared interface: builds the delivery the fake checkout page asks for.
+    createTestWebhook({ providerSubscriptionId, type }) {
+      const now = Math.floor(Date.now() / 1000);
+      const event = {
+        id: "evt_" + crypto.randomBytes(8).toString("hex"),
+        type: "subscription." + type,
+        created: now,
+        data: type === "activated"
+          ? { subscription_id: providerSubscriptionId, period_start: now, period_end: now + PERIOD_SECONDS }
+          : { subscription_id: providerSubscriptionId }
+      };
+      const rawBody = Buffer.from(JSON.stringify(event), "utf8");
+      return { headers: { [SIGNATURE_HEADER]: sign(rawBody) }, rawBody };
+    },
+
+    parseWebhook({ headers, rawBody }) {
+      const signature = Buffer.from(String(headers[SIGNATURE_HEADER] || ""), "utf8");
+      const expected = Buffer.from(sign(rawBody), "utf8");
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw createWebhookError("Invalid webhook signature.");
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString("utf8"));
+      } catch {
+        throw createWebhookError("Webhook body must be JSON.");
+      }
+      const type = EVENT_TYPES[event?.type];
+      if (!type) {
+        return null;
+      }
+      if (typeof event.id !== "string" || typeof event.data?.subscription_id !== "string" || !Number.isInteger(event.created)) {
+        throw createWebhookError("Malformed webhook event.");
+      }
+      return {
+        id: event.id,
+        type,
+        providerSubscriptionId: event.data.subscription_id,
+        occurredAt: toDate(event.created),
+        periodStart: toDate(event.data.period_start),
+        periodEnd: toDate(event.data.period_end)
+      };
+    }
+  };
+}
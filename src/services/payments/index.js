@@ -0,0 +1,31 @@
+import { PAYMENT_PROVIDER } from "../../config/constants.js";
+import { createFakePaymentProvider } from "./fakeProvider.js";
+
+// Every payment provider exposes the same shape:
+//   name
+//   createCheckout({ subscriptionId, plan, email, returnUrl }) -> { checkoutUrl, providerSubscriptionId, providerCustomerId }
+//   cancelSubscription(providerSubscriptionId) -> Promise; the provider confirms later with a "cancelled" webhook
+//   parseWebhook({ headers, rawBody }) -> { id, type, providerSubscriptionId, occurredAt, periodStart, periodEnd },
+//     or null for event types we ignore; throws a 400 error for a bad signature or payload.
+// `type` is one of activated (also sent on each renewal), past_due or cancelled.
+const paymentProviderFactories = {
+  none: () => null,
+  fake: createFakePaymentProvider
+};
+
+function createPaymentProvider(name) {
+  const factory = paymentProviderFactories[name];
+  if (!factory) {
+    throw new Error(
+      "Unknown PAYMENT_PROVIDER \"" + name + "\". Use one of: " + Object.keys(paymentProviderFactories).join(", ") + "."
+    );
+  }
+  return factory();
+}
+
+const activePaymentProvider = createPaymentProvider(PAYMENT_PROVIDER);
+
+// Null when subscriptions are switched off.
+export function getPaymentProvider() {
+  return activePaymentProvider;
+}
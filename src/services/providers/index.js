@@ -0,0 +1,28 @@
+import { IMAGE_PROVIDER } from "../../config/constants.js";
+import { createMockProvider } from "./mockProvider.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+
+// Every provider exposes the same shape:
+//   name, capabilities { sizes, qualities, outputFormats, maxImagesPerRequest, supportsStreaming, supportsMask },
+//   generate(params), streamGenerate(params), edit(params), each resolving to
+//   { images: [b64...], mimeType, model, usage } where `usage` is the provider's token report or null.
+const providerFactories = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+function createProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(
+      "Unknown IMAGE_PROVIDER \"" + name + "\". Use one of: " + Object.keys(providerFactories).join(", ") + "."
+    );
+  }
+  return factory();
+}
+
+const activeProvider = createProvider(IMAGE_PROVIDER);
+
+export function getImageProvider() {
+  return activeProvider;
+}
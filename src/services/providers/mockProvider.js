@@ -0,0 +1,109 @@
+import crypto from "node:crypto";
+import {
+  ALLOWED_OUTPUT_FORMATS,
+  ALLOWED_QUALITIES,
+  ALLOWED_SIZES,
+  MAX_IMAGES_PER_REQUEST,
+  MOCK_PROVIDER_DELAY_MS,
+  STREAM_PARTIAL_IMAGES
+} from "../../config/constants.js";
+import { encodePng } from "../../utils/pngEncoder.js";
+
+// Offline provider for UI work and integration runs. Output depends only on the request,
+// so the same prompt and settings always produce the same PNG. JPEG requests also get PNGs.
+
+function wait(ms) {
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+function getSeed(parts) {
+  return crypto.createHash("sha256").update(parts.map((part) => String(part ?? "")).join("|")).digest();
+}
+
+function parseSize(size) {
+  const [width, height] = String(size || "1024x1024").split("x").map(Number);
+  return { width: width || 1024, height: height || 1024 };
+}
+
+function renderPlaceholder({ size, seed, blockSize = 1 }) {
+  const { width, height } = parseSize(size);
+  const from = [seed[0], seed[1], seed[2]];
+  const to = [seed[3], seed[4], seed[5]];
+  const stripe = 32 + (seed[6] % 96);
+  const pixels = Buffer.alloc(width * height * 3);
+
+  for (let y = 0; y < height; y += 1) {
+    const sampleY = y - (y % blockSize);
+    for (let x = 0; x < width; x += 1) {
+      const sampleX = x - (x % blockSize);
+      const mix = (sampleX + sampleY) / (width + height);
+      const shade = Math.floor((sampleX + sampleY) / stripe) % 2 === 0 ? 1 : 0.82;
+      const offset = (y * width + x) * 3;
+      for (let channel = 0; channel < 3; channel += 1) {
+        pixels[offset + channel] = Math.round((from[channel] * (1 - mix) + to[channel] * mix) * shade);
+      }
+    }
+  }
+
+  return encodePng({ width, height, pixels }).toString("base64");
+}
+
+function renderImages({ n = 1, size, seedParts }) {
+  const images = [];
+  for (let index = 0; index < n; index += 1) {
+    images.push(renderPlaceholder({ size, seed: getSeed([...seedParts, index]) }));
+  }
+  return images;
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+    capabilities: {
+      sizes: [...ALLOWED_SIZES],
+      qualities: [...ALLOWED_QUALITIES],
+      outputFormats: [...ALLOWED_OUTPUT_FORMATS],
+      maxImagesPerRequest: MAX_IMAGES_PER_REQUEST,
+      supportsStreaming: true,
+      supportsMask: true
+    },
+
+    async generate({ prompt, size, quality, n = 1, referenceImageFiles }) {
+      await wait(MOCK_PROVIDER_DELAY_MS);
+      return {
+        images: renderImages({ n, size, seedParts: ["generate", prompt, size, quality, referenceImageFiles.length] }),
+        mimeType: "image/png",
+        model: "mock",
+        usage: null
+      };
+    },
+
+    async streamGenerate({ prompt, size, quality, referenceImageFiles, onPartialImage, signal }) {
+      const seed = getSeed(["generate", prompt, size, quality, referenceImageFiles.length, 0]);
+      for (let index = 0; index < STREAM_PARTIAL_IMAGES; index += 1) {
+        await wait(MOCK_PROVIDER_DELAY_MS / (STREAM_PARTIAL_IMAGES + 1));
+        signal?.throwIfAborted();
+        const blockSize = 2 ** (STREAM_PARTIAL_IMAGES - index + 3);
+        await onPartialImage?.({ b64: renderPlaceholder({ size, seed, blockSize }), index, mimeType: "image/png" });
+      }
+      await wait(MOCK_PROVIDER_DELAY_MS / (STREAM_PARTIAL_IMAGES + 1));
+      signal?.throwIfAborted();
+      return { images: [renderPlaceholder({ size, seed })], mimeType: "image/png", model: "mock", usage: null };
+    },
+
+    async edit({ prompt, size, quality, n = 1, sourceImageFile, maskFile, referenceImageFiles }) {
+      await wait(MOCK_PROVIDER_DELAY_MS);
+      const sourceHash = crypto.createHash("sha256").update(Buffer.from(await sourceImageFile.arrayBuffer())).digest("hex");
+      return {
+        images: renderImages({
+          n,
+          size,
+          seedParts: ["edit", prompt, size, quality, sourceHash, Boolean(maskFile), referenceImageFiles.length]
+        }),
+        mimeType: "image/png",
+        model: "mock",
+        usage: null
+      };
+    }
+  };
+}
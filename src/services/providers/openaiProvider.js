@@ -0,0 +1,113 @@
+import {
+  ALLOWED_OUTPUT_FORMATS,
+  ALLOWED_QUALITIES,
+  ALLOWED_SIZES,
+  MAX_IMAGES_PER_REQUEST,
+  OPENAI_IMAGE_MODEL,
+  STREAM_PARTIAL_IMAGES
+} from "../../config/constants.js";
+import { assertOpenAIConfigured, getOpenAIClient } from "../openaiClient.js";
+
+function getMimeType(outputFormat) {
+  return outputFormat === "jpeg" ? "image/jpeg" : "image/png";
+}
+
+function extractImagesB64(result) {
+  return (Array.isArray(result?.data) ? result.data : [])
+    .map((item) => item?.b64_json)
+    .filter((b64) => typeof b64 === "string" && b64);
+}
+
+function buildBasePayload({ prompt, size, quality, output_format, output_compression, n }) {
+  const payload = {
+    model: OPENAI_IMAGE_MODEL,
+    prompt,
+    size,
+    quality,
+    output_format,
+    n
+  };
+  if (output_format === "jpeg") {
+    payload.output_compression = output_compression;
+  }
+  return payload;
+}
+
+function buildGenerateRequest({ referenceImageFiles, ...settings }) {
+  const payload = buildBasePayload(settings);
+
+  // Reference images turn a plain generation into an edit of those references.
+  if (referenceImageFiles.length) {
+    payload.image = referenceImageFiles.length === 1 ? referenceImageFiles[0] : referenceImageFiles;
+    return { endpoint: "edit", payload };
+  }
+  return { endpoint: "generate", payload };
+}
+
+export function createOpenAIProvider() {
+  assertOpenAIConfigured();
+
+  return {
+    name: "openai",
+    capabilities: {
+      sizes: [...ALLOWED_SIZES],
+      qualities: [...ALLOWED_QUALITIES],
+      outputFormats: [...ALLOWED_OUTPUT_FORMATS],
+      maxImagesPerRequest: MAX_IMAGES_PER_REQUEST,
+      supportsStreaming: true,
+      supportsMask: true
+    },
+
+    async generate({ apiKey, n = 1, ...settings }) {
+      const openai = getOpenAIClient(apiKey);
+      const { endpoint, payload } = buildGenerateRequest({ ...settings, n });
+      const result = await openai.images[endpoint](payload);
+      return {
+        images: extractImagesB64(result),
+        mimeType: getMimeType(settings.output_format),
+        model: payload.model,
+        usage: result?.usage || null
+      };
+    },
+
+    async streamGenerate({ apiKey, onPartialImage, signal, ...settings }) {
+      const openai = getOpenAIClient(apiKey);
+      const { endpoint, payload } = buildGenerateRequest({ ...settings, n: 1 });
+      payload.stream = true;
+      payload.partial_images = STREAM_PARTIAL_IMAGES;
+
+      const mimeType = getMimeType(settings.output_format);
+      const stream = await openai.images[endpoint](payload, { signal });
+      let finalB64 = null;
+      let usage = null;
+      for await (const event of stream) {
+        if (event?.type?.endsWith(".partial_image") && event.b64_json) {
+          await onPartialImage?.({ b64: event.b64_json, index: event.partial_image_index ?? 0, mimeType });
+        } else if (event?.type?.endsWith(".completed") && event.b64_json) {
+          finalB64 = event.b64_json;
+          usage = event.usage || null;
+        }
+      }
+
+      return { images: finalB64 ? [finalB64] : [], mimeType, model: payload.model, usage };
+    },
+
+    async edit({ apiKey, sourceImageFile, maskFile, referenceImageFiles, n = 1, ...settings }) {
+      const openai = getOpenAIClient(apiKey);
+      const payload = buildBasePayload({ ...settings, n });
+      payload.image = referenceImageFiles.length ? [sourceImageFile, ...referenceImageFiles] : sourceImageFile;
+      // The mask applies to the first image, which is always the source.
+      if (maskFile) {
+        payload.mask = maskFile;
+      }
+
+      const result = await openai.images.edit(payload);
+      return {
+        images: extractImagesB64(result),
+        mimeType: getMimeType(settings.output_format),
+        model: payload.model,
+        usage: result?.usage || null
+      };
+    }
+  };
+}
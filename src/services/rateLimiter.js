@@ -0,0 +1,153 @@
+import {
+  AUTH_ATTEMPTS_PER_EMAIL,
+  AUTH_ATTEMPTS_PER_IP,
+  FREE_RATE_LIMITS,
+  REQUEST_LIMIT_PER_IP
+} from "../config/constants.js";
+import { deleteOldAuthAttempts, getFailedAuthAttemptUsage, getServerDefaultUsageByIp } from "./requestLogStore.js";
+
+const WINDOW_SECONDS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60
+};
+const REQUEST_TYPES = new Set(["generate", "edit"]);
+const QUALITIES = new Set(["low", "medium", "high"]);
+
+// Each rule is a rolling-window budget of free (server key) images per IP, optionally narrowed
+// to one request type and/or quality. A request must fit inside every rule that applies to it.
+function parseRule(rawRule, index) {
+  const label = "FREE_RATE_LIMITS[" + index + "]";
+  if (!rawRule || typeof rawRule !== "object") {
+    throw new Error(label + " must be an object.");
+  }
+  if (!WINDOW_SECONDS[rawRule.window]) {
+    throw new Error(label + ".window must be one of: " + Object.keys(WINDOW_SECONDS).join(", ") + ".");
+  }
+  if (!Number.isInteger(rawRule.limit) || rawRule.limit < 0) {
+    throw new Error(label + ".limit must be a non-negative integer.");
+  }
+  if (rawRule.request_type !== undefined && !REQUEST_TYPES.has(rawRule.request_type)) {
+    throw new Error(label + ".request_type must be generate or edit.");
+  }
+  if (rawRule.quality !== undefined && !QUALITIES.has(rawRule.quality)) {
+    throw new Error(label + ".quality must be low, medium, or high.");
+  }
+
+  return {
+    window: rawRule.window,
+    windowSeconds: WINDOW_SECONDS[rawRule.window],
+    limit: rawRule.limit,
+    requestType: rawRule.request_type || null,
+    quality: rawRule.quality || null
+  };
+}
+
+function parseRules(rawValue) {
+  if (!rawValue.trim()) {
+    return [parseRule({ window: "day", limit: REQUEST_LIMIT_PER_IP }, 0)];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch {
+    throw new Error("FREE_RATE_LIMITS must be a JSON array of rules.");
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("FREE_RATE_LIMITS must be a non-empty JSON array of rules.");
+  }
+  return parsed.map(parseRule);
+}
+
+const rules = parseRules(FREE_RATE_LIMITS);
+
+// Without a request type or quality (e.g. a usage lookup) only the general rules apply.
+function ruleApplies(rule, requestType, quality) {
+  if (rule.requestType && rule.requestType !== requestType) return false;
+  if (rule.quality && rule.quality !== quality) return false;
+  return true;
+}
+
+async function evaluateRule(rule, ipAddress) {
+  const usage = await getServerDefaultUsageByIp({
+    ipAddress,
+    windowSeconds: rule.windowSeconds,
+    requestType: rule.requestType,
+    quality: rule.quality
+  });
+  return toRuleState(rule, usage);
+}
+
+function toRuleState(rule, usage) {
+  const remaining = Math.max(0, rule.limit - usage.used);
+  const oldestAgeSeconds = usage.oldestAgeSeconds ?? 0;
+  return {
+    rule,
+    used: usage.used,
+    remaining,
+    // Rolling window: the oldest counted image is the first to free up budget.
+    resetSeconds: usage.used > 0 ? Math.max(1, rule.windowSeconds - oldestAgeSeconds) : 0
+  };
+}
+
+function summarizeStates(states, imageCount) {
+  const tightest = states.reduce((current, state) => (state.remaining < current.remaining ? state : current));
+  const blocking = states.filter((state) => state.remaining < imageCount);
+
+  return {
+    allowed: blocking.length === 0,
+    limit: tightest.rule.limit,
+    remaining: tightest.remaining,
+    window: tightest.rule.window,
+    resetSeconds: tightest.resetSeconds,
+    retryAfterSeconds: blocking.length
+      ? Math.max(...blocking.map((state) => state.resetSeconds || state.rule.windowSeconds))
+      : 0
+  };
+}
+
+// Returns the tightest applicable rule for this request, or null if no rule applies.
+export async function checkFreeUsage({ ipAddress, requestType = null, quality = null, imageCount = 1 }) {
+  const applicable = rules.filter((rule) => ruleApplies(rule, requestType, quality));
+  if (!applicable.length) {
+    return null;
+  }
+
+  const states = await Promise.all(applicable.map((rule) => evaluateRule(rule, ipAddress)));
+  return summarizeStates(states, imageCount);
+}
+
+const authRules = {
+  ip: { window: "hour", windowSeconds: WINDOW_SECONDS.hour, limit: AUTH_ATTEMPTS_PER_IP },
+  email: { window: "hour", windowSeconds: WINDOW_SECONDS.hour, limit: AUTH_ATTEMPTS_PER_EMAIL }
+};
+
+// Same shape as checkFreeUsage, over failed sign-in and registration attempts. Every attempt pays
+// the scrypt cost, so this runs before the password is looked at.
+export async function checkAuthAttempts({ ipAddress, email }) {
+  const usage = await getFailedAuthAttemptUsage({ ipAddress, email, windowSeconds: authRules.ip.windowSeconds });
+  deleteOldAuthAttempts(WINDOW_SECONDS.day).catch((error) => {
+    console.error("Auth attempt cleanup failed:", error);
+  });
+  return summarizeStates([toRuleState(authRules.ip, usage.byIp), toRuleState(authRules.email, usage.byEmail)], 1);
+}
+
+export function setRateLimitHeaders(res, usage, consumed = 0) {
+  if (!usage) {
+    return;
+  }
+  res.setHeader("X-RateLimit-Limit", String(usage.limit));
+  res.setHeader("X-RateLimit-Remaining", String(Math.max(0, usage.remaining - consumed)));
+  res.setHeader("X-RateLimit-Reset", String(usage.resetSeconds));
+  if (!usage.allowed) {
+    res.setHeader("Retry-After", String(usage.retryAfterSeconds));
+  }
+}
+
+export function formatRetryAfter(seconds) {
+  if (seconds < 90) return "about a minute";
+  if (seconds < 90 * 60) return "about " + Math.round(seconds / 60) + " minutes";
+  const hours = Math.round(seconds / 3600);
+  return "about " + hours + (hours === 1 ? " hour" : " hours");
+}
@@ -7,6 +7,19 @@ import {
   DB_PORT,
   DB_USER
 } from "../config/constants.js";
+import {
+  getApiKeyStorageMode,
+  isSealedApiKey,
+  needsResealing,
+  openApiKey,
+  sealApiKey,
+  shouldClearStoredApiKeys,
+  toStoredApiKey
+} from "./apiKeyVault.js";
+import { getBlobStorage, getSharedImageBlobKey } from "./blobStorage/index.js";
+import { deleteVariants } from "./imageVariants.js";
+import { getIpQuotaBucket } from "../utils/clientIp.js";
+import { readImageDimensions } from "../utils/imageDimensions.js";
 
 let pool;
 let initPromise;
@@ -16,6 +29,144 @@ async function hasColumn(db, tableName, columnName) {
   return Array.isArray(rows) && rows.length > 0;
 }
 
+async function hasIndex(db, tableName, indexName) {
+  const [rows] = await db.query(`SHOW INDEX FROM ${tableName} WHERE Key_name = ?`, [indexName]);
+  return Array.isArray(rows) && rows.length > 0;
+}
+
+async function isColumnNullable(db, tableName, columnName) {
+  const [rows] = await db.query(`SHOW COLUMNS FROM ${tableName} LIKE ?`, [columnName]);
+  return Array.isArray(rows) && rows[0]?.Null === "YES";
+}
+
+// Jobs live in process memory while they run, so anything unfinished died with the last process.
+// Credits taken for such a job go back in full: whatever it rendered never reached the client.
+async function failInterruptedGenerationJobs(db) {
+  const [rows] = await db.query(
+    `SELECT j.debit_id, -t.amount AS debited
+     FROM generation_jobs j
+     JOIN credit_transactions t ON t.id = j.debit_id
+     WHERE j.status IN ('queued', 'running')`
+  );
+  for (const row of Array.isArray(rows) ? rows : []) {
+    await refundCreditDebit({
+      debitId: row.debit_id,
+      amount: Number(row.debited),
+      description: "Server restarted before the job finished"
+    });
+  }
+
+  await db.query(
+    `UPDATE generation_jobs
+     SET status = 'failed', error_message = 'Server restarted before the job finished.', status_code = 503, finished_at = CURRENT_TIMESTAMP
+     WHERE status IN ('queued', 'running')`
+  );
+}
+
+// Rewrites any api_keys rows still holding a plaintext key: encrypted in place, or dropped
+// entirely when API_KEY_STORAGE=fingerprint_only is set explicitly. Rows sealed under a retired
+// master key are re-encrypted under the current one.
+async function migrateStoredApiKeys(db, storageMode) {
+  if (!(await isColumnNullable(db, "api_keys", "api_key"))) {
+    await db.query("ALTER TABLE api_keys MODIFY COLUMN api_key TEXT NULL");
+  }
+
+  if (storageMode === "fingerprint_only") {
+    if (shouldClearStoredApiKeys()) {
+      await db.query("UPDATE api_keys SET api_key = NULL WHERE api_key IS NOT NULL");
+    } else {
+      console.warn(
+        "API_KEY_ENCRYPTION_KEY is not set, so stored API keys are left as they are. Set it to encrypt them, " +
+          "or set API_KEY_STORAGE=fingerprint_only to clear them for good."
+      );
+    }
+    return;
+  }
+
+  const batchSize = 200;
+  let lastId = 0;
+  let unreadable = 0;
+  while (true) {
+    const [rows] = await db.query(
+      `SELECT id, api_key, fingerprint
+       FROM api_keys
+       WHERE id > ? AND api_key IS NOT NULL
+       ORDER BY id
+       LIMIT ?`,
+      [lastId, batchSize]
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      lastId = Number(row.id);
+      let rawApiKey = row.api_key;
+      if (isSealedApiKey(row.api_key)) {
+        if (!needsResealing(row.api_key)) {
+          continue;
+        }
+        try {
+          rawApiKey = openApiKey(row.api_key, row.fingerprint);
+        } catch {
+          unreadable += 1;
+          continue;
+        }
+      }
+      await db.query(
+        "UPDATE api_keys SET api_key = ? WHERE id = ? AND api_key = ?",
+        [sealApiKey(rawApiKey, row.fingerprint), row.id, row.api_key]
+      );
+    }
+  }
+  if (unreadable) {
+    console.warn(
+      unreadable + " stored API keys are sealed with a master key that is not configured; " +
+        "add it to API_KEY_PREVIOUS_ENCRYPTION_KEYS to re-encrypt them."
+    );
+  }
+}
+
+// Moves shared images still stored inline as base64 into blob storage, a small batch at a time.
+// The blob is written before the row is updated, so an interrupted run just resumes on next start.
+async function migrateSharedImagesToBlobStorage(db) {
+  const storage = getBlobStorage();
+  for (;;) {
+    const [rows] = await db.query(
+      `SELECT id, content_hash, mime_type, image_b64
+       FROM shared_images
+       WHERE storage_key IS NULL AND image_b64 IS NOT NULL
+       LIMIT 20`
+    );
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return;
+    }
+
+    for (const row of rows) {
+      const stored = await storeSharedImageBlob(storage, row.content_hash, row.image_b64, row.mime_type);
+      await db.query(
+        `UPDATE shared_images
+         SET storage_key = ?, byte_size = ?, width = ?, height = ?, image_b64 = NULL
+         WHERE id = ?`,
+        [stored.storageKey, stored.byteSize, stored.width, stored.height, row.id]
+      );
+    }
+  }
+}
+
+async function storeSharedImageBlob(storage, contentHash, imageB64, mimeType) {
+  const buffer = Buffer.from(imageB64, "base64");
+  const storageKey = getSharedImageBlobKey(contentHash);
+  await storage.put(storageKey, buffer, { contentType: mimeType });
+  const dimensions = readImageDimensions(buffer, mimeType);
+  return {
+    storageKey,
+    byteSize: buffer.length,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null
+  };
+}
+
 function getPool() {
   if (!pool) {
     pool = mysql.createPool({
@@ -39,7 +190,7 @@ export async function initializeRequestLogStore() {
       await db.query(`
         CREATE TABLE IF NOT EXISTS api_keys (
           id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
-          api_key TEXT NOT NULL,
+          api_key TEXT NULL,
           fingerprint VARCHAR(64) NOT NULL,
           first_seen_ip VARCHAR(45) NULL,
           created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -53,15 +204,18 @@ export async function initializeRequestLogStore() {
         CREATE TABLE IF NOT EXISTS request_logs (
           id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
           ip_address VARCHAR(45) NOT NULL,
+          ip_bucket VARCHAR(45) NULL,
           request_type VARCHAR(16) NOT NULL,
           key_source VARCHAR(32) NOT NULL DEFAULT 'server_default',
           api_key_fingerprint VARCHAR(64) NULL,
           api_key_id BIGINT UNSIGNED NULL,
+          subscription_id BIGINT UNSIGNED NULL,
           prompt_text TEXT NULL,
           size VARCHAR(20) NULL,
           quality VARCHAR(20) NULL,
           output_format VARCHAR(20) NULL,
           output_compression INT NULL,
+          image_count INT NOT NULL DEFAULT 1,
           blocked TINYINT(1) NOT NULL DEFAULT 0,
           error_message TEXT NULL,
           user_agent VARCHAR(255) NULL,
@@ -70,7 +224,10 @@ export async function initializeRequestLogStore() {
           KEY idx_ip_created (ip_address, created_at),
           KEY idx_ip_blocked (ip_address, blocked),
           KEY idx_ip_key_source_blocked (ip_address, key_source, blocked),
+          KEY idx_ip_bucket_created (ip_bucket, created_at),
+          KEY idx_created (created_at),
           KEY idx_api_key_id (api_key_id),
+          KEY idx_subscription_created (subscription_id, created_at),
           CONSTRAINT fk_request_logs_api_key
             FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
             ON DELETE SET NULL ON UPDATE CASCADE
@@ -81,6 +238,7 @@ export async function initializeRequestLogStore() {
         CREATE TABLE IF NOT EXISTS subscription_interest_events (
           id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
           event_type VARCHAR(64) NOT NULL,
+          reason VARCHAR(32) NULL,
           ip_address VARCHAR(45) NULL,
           user_agent VARCHAR(255) NULL,
           created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -95,6 +253,7 @@ export async function initializeRequestLogStore() {
           id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
           email VARCHAR(255) NOT NULL,
           willingness_amount DECIMAL(10,2) NULL,
+          reason VARCHAR(32) NULL,
           comments TEXT NULL,
           ip_address VARCHAR(45) NULL,
           user_agent VARCHAR(255) NULL,
@@ -112,10 +271,15 @@ export async function initializeRequestLogStore() {
           message TEXT NOT NULL,
           ip_address VARCHAR(45) NULL,
           user_agent VARCHAR(255) NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'unread',
+          notes TEXT NULL,
+          replied_at TIMESTAMP NULL,
+          updated_at TIMESTAMP NULL,
           created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
           PRIMARY KEY (id),
           KEY idx_ip_created (ip_address, created_at),
-          KEY idx_email_created (email, created_at)
+          KEY idx_email_created (email, created_at),
+          KEY idx_status_id (status, id)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
       `);
 
@@ -126,18 +290,206 @@ export async function initializeRequestLogStore() {
           content_hash VARCHAR(64) NOT NULL,
           creator_ip VARCHAR(45) NULL,
           mime_type VARCHAR(32) NOT NULL,
-          image_b64 LONGTEXT NOT NULL,
+          image_b64 LONGTEXT NULL,
+          storage_key VARCHAR(255) NULL,
+          byte_size INT UNSIGNED NULL,
+          width INT UNSIGNED NULL,
+          height INT UNSIGNED NULL,
           prompt_text TEXT NULL,
           source_tab VARCHAR(16) NULL,
+          owner_token_hash VARCHAR(64) NULL,
+          expires_at TIMESTAMP NULL,
+          revoked_at TIMESTAMP NULL,
+          published_at TIMESTAMP NULL,
+          view_count INT UNSIGNED NOT NULL DEFAULT 0,
+          is_published TINYINT(1) AS (published_at IS NOT NULL) STORED,
           created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
           PRIMARY KEY (id),
           UNIQUE KEY uq_share_id (share_id),
-          UNIQUE KEY uq_content_hash (content_hash),
-          KEY idx_created (created_at)
+          KEY idx_content_hash (content_hash),
+          KEY idx_created (created_at),
+          KEY idx_gallery_newest (published_at, id),
+          KEY idx_gallery_most_viewed (is_published, view_count, id),
+          FULLTEXT KEY ft_prompt_text (prompt_text)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS share_events (
+          share_id VARCHAR(32) NOT NULL,
+          event_type VARCHAR(16) NOT NULL,
+          ip_bucket VARCHAR(45) NOT NULL,
+          event_date DATE NOT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (share_id, event_type, event_date, ip_bucket),
+          KEY idx_event_date (event_date)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          email VARCHAR(255) NOT NULL,
+          password_hash VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          last_login_at TIMESTAMP NULL,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_email (email)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          token_hash VARCHAR(64) NOT NULL,
+          user_id BIGINT UNSIGNED NOT NULL,
+          ip_address VARCHAR(45) NULL,
+          user_agent VARCHAR(255) NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_token_hash (token_hash),
+          KEY idx_user_id (user_id),
+          KEY idx_expires (expires_at),
+          CONSTRAINT fk_user_sessions_user
+            FOREIGN KEY (user_id) REFERENCES users(id)
+            ON DELETE CASCADE ON UPDATE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      // Sign-in and registration attempts, counted by IP bucket and by email to throttle password guessing.
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS auth_attempts (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          attempt_type VARCHAR(16) NOT NULL,
+          email VARCHAR(255) NOT NULL,
+          ip_bucket VARCHAR(64) NOT NULL,
+          succeeded TINYINT(1) NOT NULL DEFAULT 0,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          KEY idx_ip_bucket_created (ip_bucket, created_at),
+          KEY idx_email_created (email, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS library_images (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          image_id VARCHAR(32) NOT NULL,
+          user_id BIGINT UNSIGNED NOT NULL,
+          source_tab VARCHAR(16) NOT NULL,
+          content_hash VARCHAR(64) NOT NULL,
+          mime_type VARCHAR(32) NOT NULL,
+          image_b64 LONGTEXT NOT NULL,
+          byte_size INT UNSIGNED NOT NULL DEFAULT 0,
+          prompt_text TEXT NULL,
+          parent_image_id VARCHAR(32) NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_image_id (image_id),
+          UNIQUE KEY uq_user_content_hash (user_id, content_hash),
+          KEY idx_user_tab_id (user_id, source_tab, id),
+          CONSTRAINT fk_library_images_user
+            FOREIGN KEY (user_id) REFERENCES users(id)
+            ON DELETE CASCADE ON UPDATE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS subscriptions (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          user_id BIGINT UNSIGNED NOT NULL,
+          plan_id VARCHAR(32) NOT NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'pending',
+          provider VARCHAR(32) NOT NULL,
+          provider_subscription_id VARCHAR(128) NULL,
+          provider_customer_id VARCHAR(128) NULL,
+          current_period_start TIMESTAMP NULL,
+          current_period_end TIMESTAMP NULL,
+          cancel_at_period_end TINYINT(1) NOT NULL DEFAULT 0,
+          last_event_at TIMESTAMP NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_provider_subscription (provider, provider_subscription_id),
+          KEY idx_user_status (user_id, status),
+          CONSTRAINT fk_subscriptions_user
+            FOREIGN KEY (user_id) REFERENCES users(id)
+            ON DELETE CASCADE ON UPDATE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      // One row per webhook delivery we acted on, so provider retries are not applied twice.
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS payment_events (
+          provider VARCHAR(32) NOT NULL,
+          event_id VARCHAR(128) NOT NULL,
+          event_type VARCHAR(32) NOT NULL,
+          provider_subscription_id VARCHAR(128) NULL,
+          received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (provider, event_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      // Prepaid credits belong to an account (owner_type 'user') or an anonymous browser ('device').
+      // The balance row is a running total kept in step with the ledger, which is insert-only.
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS credit_balances (
+          owner_type VARCHAR(8) NOT NULL,
+          owner_id VARCHAR(64) NOT NULL,
+          balance BIGINT NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (owner_type, owner_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS credit_transactions (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          owner_type VARCHAR(8) NOT NULL,
+          owner_id VARCHAR(64) NOT NULL,
+          kind VARCHAR(16) NOT NULL,
+          amount BIGINT NOT NULL,
+          balance_after BIGINT NOT NULL,
+          reference_id BIGINT UNSIGNED NULL,
+          request_type VARCHAR(16) NULL,
+          description VARCHAR(255) NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          KEY idx_owner_id (owner_type, owner_id, id),
+          KEY idx_reference (reference_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS generation_jobs (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          job_id VARCHAR(32) NOT NULL,
+          job_type VARCHAR(16) NOT NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'queued',
+          ip_address VARCHAR(45) NULL,
+          owner_token_hash VARCHAR(64) NULL,
+          debit_id BIGINT UNSIGNED NULL,
+          result_json LONGTEXT NULL,
+          error_message TEXT NULL,
+          error_code VARCHAR(64) NULL,
+          status_code INT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP NULL DEFAULT NULL,
+          finished_at TIMESTAMP NULL DEFAULT NULL,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_job_id (job_id),
+          KEY idx_status_created (status, created_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
       `);
 
       // Backfill for existing installations created before these columns.
+      if (!(await hasColumn(db, "generation_jobs", "owner_token_hash"))) {
+        await db.query("ALTER TABLE generation_jobs ADD COLUMN owner_token_hash VARCHAR(64) NULL AFTER ip_address");
+      }
+      if (!(await hasColumn(db, "generation_jobs", "debit_id"))) {
+        await db.query("ALTER TABLE generation_jobs ADD COLUMN debit_id BIGINT UNSIGNED NULL AFTER owner_token_hash");
+      }
       if (!(await hasColumn(db, "request_logs", "key_source"))) {
         await db.query(
           "ALTER TABLE request_logs ADD COLUMN key_source VARCHAR(32) NOT NULL DEFAULT 'server_default'"
@@ -153,11 +505,121 @@ export async function initializeRequestLogStore() {
           "ALTER TABLE request_logs ADD COLUMN api_key_id BIGINT UNSIGNED NULL"
         );
       }
+      if (!(await hasColumn(db, "request_logs", "image_count"))) {
+        await db.query(
+          "ALTER TABLE request_logs ADD COLUMN image_count INT NOT NULL DEFAULT 1 AFTER output_compression"
+        );
+      }
+      if (!(await hasColumn(db, "request_logs", "ip_bucket"))) {
+        await db.query(
+          "ALTER TABLE request_logs ADD COLUMN ip_bucket VARCHAR(45) NULL AFTER ip_address, ADD KEY idx_ip_bucket_created (ip_bucket, created_at)"
+        );
+        // Older rows keep their exact address as the bucket; only new IPv6 rows are grouped by /64.
+        await db.query("UPDATE request_logs SET ip_bucket = ip_address WHERE ip_bucket IS NULL");
+      }
+      if (!(await hasIndex(db, "request_logs", "idx_created"))) {
+        await db.query("ALTER TABLE request_logs ADD KEY idx_created (created_at)");
+      }
+      if (!(await hasColumn(db, "request_logs", "subscription_id"))) {
+        await db.query(
+          `ALTER TABLE request_logs
+             ADD COLUMN subscription_id BIGINT UNSIGNED NULL AFTER api_key_id,
+             ADD KEY idx_subscription_created (subscription_id, created_at)`
+        );
+      }
+      if (!(await hasColumn(db, "subscription_interest_events", "reason"))) {
+        await db.query("ALTER TABLE subscription_interest_events ADD COLUMN reason VARCHAR(32) NULL AFTER event_type");
+        // Older paywall views carry their reason in the event name; later funnel steps stay unattributed.
+        await db.query(
+          `UPDATE subscription_interest_events
+           SET reason = SUBSTRING(event_type, 15)
+           WHERE event_type IN ('paywall_shown_trial_expired', 'paywall_shown_high_quality_locked')`
+        );
+      }
+      if (!(await hasColumn(db, "subscription_interest_submissions", "reason"))) {
+        await db.query(
+          "ALTER TABLE subscription_interest_submissions ADD COLUMN reason VARCHAR(32) NULL AFTER willingness_amount"
+        );
+      }
+      if (!(await hasColumn(db, "contact_messages", "status"))) {
+        await db.query(
+          `ALTER TABLE contact_messages
+             ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'unread' AFTER user_agent,
+             ADD COLUMN notes TEXT NULL AFTER status,
+             ADD COLUMN replied_at TIMESTAMP NULL AFTER notes,
+             ADD COLUMN updated_at TIMESTAMP NULL AFTER replied_at,
+             ADD KEY idx_status_id (status, id)`
+        );
+      }
       if (!(await hasColumn(db, "shared_images", "creator_ip"))) {
         await db.query(
           "ALTER TABLE shared_images ADD COLUMN creator_ip VARCHAR(45) NULL AFTER content_hash"
         );
       }
+
+      if (!(await hasColumn(db, "shared_images", "storage_key"))) {
+        await db.query(
+          `ALTER TABLE shared_images
+             MODIFY COLUMN image_b64 LONGTEXT NULL,
+             ADD COLUMN storage_key VARCHAR(255) NULL AFTER image_b64,
+             ADD COLUMN byte_size INT UNSIGNED NULL AFTER storage_key,
+             ADD COLUMN width INT UNSIGNED NULL AFTER byte_size,
+             ADD COLUMN height INT UNSIGNED NULL AFTER width`
+        );
+      }
+
+      if (!(await hasColumn(db, "shared_images", "owner_token_hash"))) {
+        await db.query(
+          `ALTER TABLE shared_images
+             ADD COLUMN owner_token_hash VARCHAR(64) NULL AFTER source_tab,
+             ADD COLUMN expires_at TIMESTAMP NULL AFTER owner_token_hash,
+             ADD COLUMN revoked_at TIMESTAMP NULL AFTER expires_at`
+        );
+      }
+      // A revoked image can be shared again as a new link, so content_hash is no longer unique.
+      if (await hasIndex(db, "shared_images", "uq_content_hash")) {
+        await db.query(
+          "ALTER TABLE shared_images DROP INDEX uq_content_hash, ADD KEY idx_content_hash (content_hash)"
+        );
+      }
+
+      if (!(await hasColumn(db, "shared_images", "published_at"))) {
+        await db.query(
+          `ALTER TABLE shared_images
+             ADD COLUMN published_at TIMESTAMP NULL AFTER revoked_at,
+             ADD COLUMN view_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER published_at`
+        );
+      }
+      // Gallery keysets: newest pages on (published_at, id); most viewed filters on is_published
+      // and pages on (view_count, id), so both walk an index in order without a filesort.
+      if (!(await hasColumn(db, "shared_images", "is_published"))) {
+        await db.query(
+          "ALTER TABLE shared_images ADD COLUMN is_published TINYINT(1) AS (published_at IS NOT NULL) STORED AFTER view_count"
+        );
+      }
+      if (await hasIndex(db, "shared_images", "idx_published")) {
+        await db.query("ALTER TABLE shared_images RENAME INDEX idx_published TO idx_gallery_newest");
+      }
+      if (await hasIndex(db, "shared_images", "idx_published_views")) {
+        await db.query("ALTER TABLE shared_images DROP INDEX idx_published_views");
+      }
+      if (!(await hasIndex(db, "shared_images", "idx_gallery_newest"))) {
+        await db.query("ALTER TABLE shared_images ADD KEY idx_gallery_newest (published_at, id)");
+      }
+      if (!(await hasIndex(db, "shared_images", "idx_gallery_most_viewed"))) {
+        await db.query("ALTER TABLE shared_images ADD KEY idx_gallery_most_viewed (is_published, view_count, id)");
+      }
+      if (!(await hasColumn(db, "library_images", "byte_size"))) {
+        await db.query("ALTER TABLE library_images ADD COLUMN byte_size INT UNSIGNED NOT NULL DEFAULT 0 AFTER image_b64");
+        await db.query("UPDATE library_images SET byte_size = FLOOR(LENGTH(image_b64) * 3 / 4)");
+      }
+      if (!(await hasIndex(db, "shared_images", "ft_prompt_text"))) {
+        await db.query("ALTER TABLE shared_images ADD FULLTEXT KEY ft_prompt_text (prompt_text)");
+      }
+
+      await failInterruptedGenerationJobs(db);
+      await migrateStoredApiKeys(db, getApiKeyStorageMode());
+      await migrateSharedImagesToBlobStorage(db);
     })();
   }
   return initPromise;
@@ -170,14 +632,15 @@ export function getApiKeyFingerprint(apiKey) {
 export async function upsertApiKey(rawApiKey, firstSeenIp) {
   const db = getPool();
   const fingerprint = getApiKeyFingerprint(rawApiKey);
+  // A null stored value (no master key) only overwrites the row's key under an explicit fingerprint_only.
   const [result] = await db.query(
     `INSERT INTO api_keys (api_key, fingerprint, first_seen_ip, last_used_at)
      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
      ON DUPLICATE KEY UPDATE
        id = LAST_INSERT_ID(id),
-       api_key = VALUES(api_key),
+       api_key = ${shouldClearStoredApiKeys() ? "VALUES(api_key)" : "COALESCE(VALUES(api_key), api_key)"},
        last_used_at = CURRENT_TIMESTAMP`,
-    [rawApiKey, fingerprint, firstSeenIp || null]
+    [toStoredApiKey(rawApiKey, fingerprint), fingerprint, firstSeenIp || null]
   );
   return {
     id: Number(result.insertId),
@@ -185,13 +648,38 @@ export async function upsertApiKey(rawApiKey, firstSeenIp) {
   };
 }
 
-export async function countServerDefaultRequestsByIp(ipAddress) {
+// Counts images rather than rows (per quota bucket, see getIpQuotaBucket), so one request for several candidates uses several free credits.
+// Also reports how long ago the oldest counted request was, which is when a rolling window starts to free up.
+export async function getServerDefaultUsageByIp({ ipAddress, windowSeconds, requestType, quality }) {
   const db = getPool();
+  const conditions = [
+    "ip_bucket = ?",
+    "blocked = 0",
+    "key_source = 'server_default'",
+    "created_at >= (NOW() - INTERVAL ? SECOND)"
+  ];
+  const params = [getIpQuotaBucket(ipAddress), windowSeconds];
+  if (requestType) {
+    conditions.push("request_type = ?");
+    params.push(requestType);
+  }
+  if (quality) {
+    conditions.push("quality = ?");
+    params.push(quality);
+  }
+
   const [rows] = await db.query(
-    "SELECT COUNT(*) AS count FROM request_logs WHERE ip_address = ? AND blocked = 0 AND key_source = 'server_default'",
-    [ipAddress]
+    `SELECT COALESCE(SUM(image_count), 0) AS used,
+            TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) AS oldest_age_seconds
+     FROM request_logs
+     WHERE ${conditions.join(" AND ")}`,
+    params
   );
-  return Number(rows?.[0]?.count || 0);
+  const oldestAgeSeconds = rows?.[0]?.oldest_age_seconds;
+  return {
+    used: Number(rows?.[0]?.used || 0),
+    oldestAgeSeconds: oldestAgeSeconds === null || oldestAgeSeconds === undefined ? null : Number(oldestAgeSeconds)
+  };
 }
 
 export async function insertRequestLog({
@@ -202,9 +690,11 @@ export async function insertRequestLog({
   quality,
   outputFormat,
   outputCompression,
+  imageCount,
   keySource,
   apiKeyFingerprint,
   apiKeyId,
+  subscriptionId,
   blocked,
   errorMessage,
   userAgent
@@ -212,19 +702,22 @@ export async function insertRequestLog({
   const db = getPool();
   await db.query(
     `INSERT INTO request_logs
-      (ip_address, request_type, key_source, api_key_fingerprint, api_key_id, prompt_text, size, quality, output_format, output_compression, blocked, error_message, user_agent)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      (ip_address, ip_bucket, request_type, key_source, api_key_fingerprint, api_key_id, subscription_id, prompt_text, size, quality, output_format, output_compression, image_count, blocked, error_message, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       ipAddress,
+      getIpQuotaBucket(ipAddress),
       requestType,
       keySource || "server_default",
       apiKeyFingerprint || null,
       Number.isInteger(apiKeyId) ? apiKeyId : null,
+      Number.isInteger(subscriptionId) ? subscriptionId : null,
       promptText || null,
       size || null,
       quality || null,
       outputFormat || null,
       Number.isInteger(outputCompression) ? outputCompression : null,
+      Number.isInteger(imageCount) && imageCount > 0 ? imageCount : 1,
       blocked ? 1 : 0,
       errorMessage || null,
       userAgent || null
@@ -234,16 +727,18 @@ export async function insertRequestLog({
 
 export async function insertSubscriptionInterestEvent({
   eventType,
+  reason,
   ipAddress,
   userAgent
 }) {
   const db = getPool();
   await db.query(
     `INSERT INTO subscription_interest_events
-      (event_type, ip_address, user_agent)
-     VALUES (?, ?, ?)`,
+      (event_type, reason, ip_address, user_agent)
+     VALUES (?, ?, ?, ?)`,
     [
       eventType,
+      reason || null,
       ipAddress || null,
       userAgent || null
     ]
@@ -253,6 +748,7 @@ export async function insertSubscriptionInterestEvent({
 export async function insertSubscriptionInterestSubmission({
   email,
   willingnessAmount,
+  reason,
   comments,
   ipAddress,
   userAgent
@@ -260,13 +756,14 @@ export async function insertSubscriptionInterestSubmission({
   const db = getPool();
   await db.query(
     `INSERT INTO subscription_interest_submissions
-      (email, willingness_amount, comments, ip_address, user_agent)
-     VALUES (?, ?, ?, ?, ?)`,
+      (email, willingness_amount, reason, comments, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)`,
     [
       email,
       typeof willingnessAmount === "number" && Number.isFinite(willingnessAmount)
         ? willingnessAmount
         : null,
+      reason || null,
       comments || null,
       ipAddress || null,
       userAgent || null
@@ -292,7 +789,7 @@ export async function insertContactMessage({
   userAgent
 }) {
   const db = getPool();
-  await db.query(
+  const [result] = await db.query(
     `INSERT INTO contact_messages
       (email, message, ip_address, user_agent)
      VALUES (?, ?, ?, ?)`,
@@ -303,6 +800,7 @@ export async function insertContactMessage({
       userAgent || null
     ]
   );
+  return Number(result.insertId);
 }
 
 function createShareId() {
@@ -313,66 +811,74 @@ function getContentHash(imageB64) {
   return crypto.createHash("sha256").update(String(imageB64 || "")).digest("hex");
 }
 
+const SHARED_IMAGE_COLUMNS = `share_id, content_hash, creator_ip, mime_type, storage_key, byte_size, width, height,
+  prompt_text, source_tab, owner_token_hash, expires_at, revoked_at, published_at, view_count, created_at,
+  (expires_at IS NOT NULL AND expires_at <= NOW()) AS is_expired`;
+const ACTIVE_SHARE_CONDITION = "revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())";
+
+async function findActiveShareByContentHash(db, contentHash) {
+  const [rows] = await db.query(
+    `SELECT share_id, owner_token_hash
+     FROM shared_images
+     WHERE content_hash = ? AND ${ACTIVE_SHARE_CONDITION}
+     ORDER BY id ASC
+     LIMIT 1`,
+    [contentHash]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+// Reuses a live share of the same image; revoked or expired shares never come back to life.
 export async function createOrGetSharedImage({
   imageB64,
   mimeType,
   promptText,
   sourceTab,
-  creatorIp
+  creatorIp,
+  ownerTokenHash,
+  publish
 }) {
   const db = getPool();
   const contentHash = getContentHash(imageB64);
-  const [existingRows] = await db.query(
-    `SELECT share_id, creator_ip, mime_type, image_b64, prompt_text, source_tab, created_at
-     FROM shared_images
-     WHERE content_hash = ?
-     LIMIT 1`,
-    [contentHash]
-  );
-
-  if (Array.isArray(existingRows) && existingRows.length > 0) {
+  const existing = await findActiveShareByContentHash(db, contentHash);
+  if (existing) {
     return {
-      shareId: existingRows[0].share_id,
+      shareId: existing.share_id,
+      ownerTokenHash: existing.owner_token_hash || null,
       alreadyExisted: true
     };
   }
 
+  const stored = await storeSharedImageBlob(getBlobStorage(), contentHash, imageB64, mimeType);
+
   for (let attempt = 0; attempt < 5; attempt += 1) {
     const shareId = createShareId();
     try {
       await db.query(
         `INSERT INTO shared_images
-          (share_id, content_hash, creator_ip, mime_type, image_b64, prompt_text, source_tab)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          (share_id, content_hash, creator_ip, mime_type, storage_key, byte_size, width, height, prompt_text, source_tab, owner_token_hash, published_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${publish ? "CURRENT_TIMESTAMP" : "NULL"})`,
         [
           shareId,
           contentHash,
           creatorIp || null,
           mimeType,
-          imageB64,
+          stored.storageKey,
+          stored.byteSize,
+          stored.width,
+          stored.height,
           promptText || null,
-          sourceTab || null
+          sourceTab || null,
+          ownerTokenHash || null
         ]
       );
       return {
         shareId,
+        ownerTokenHash: ownerTokenHash || null,
         alreadyExisted: false
       };
     } catch (error) {
       if (error?.code === "ER_DUP_ENTRY") {
-        const [rows] = await db.query(
-          `SELECT share_id
-           FROM shared_images
-           WHERE content_hash = ?
-           LIMIT 1`,
-          [contentHash]
-        );
-        if (Array.isArray(rows) && rows.length > 0) {
-          return {
-            shareId: rows[0].share_id,
-            alreadyExisted: true
-          };
-        }
         continue;
       }
       throw error;
@@ -382,10 +888,11 @@ export async function createOrGetSharedImage({
   throw new Error("Failed to create shared image");
 }
 
+// Metadata only; the bytes live in blob storage under `storage_key`.
 export async function getSharedImageByShareId(shareId) {
   const db = getPool();
   const [rows] = await db.query(
-    `SELECT share_id, creator_ip, mime_type, image_b64, prompt_text, source_tab, created_at
+    `SELECT ${SHARED_IMAGE_COLUMNS}
      FROM shared_images
      WHERE share_id = ?
      LIMIT 1`,
@@ -393,3 +900,1082 @@ export async function getSharedImageByShareId(shareId) {
   );
   return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
 }
+
+export function isSharedImageLive(sharedImage) {
+  return !sharedImage.revoked_at && !Number(sharedImage.is_expired);
+}
+
+export async function getSharedImagesByShareIds(shareIds) {
+  if (!shareIds.length) {
+    return [];
+  }
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT ${SHARED_IMAGE_COLUMNS}
+     FROM shared_images
+     WHERE share_id IN (?)`,
+    [shareIds]
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+// `expiresAtSeconds` is a unix timestamp, or null to keep the link until revoked.
+export async function setSharedImageExpiry(shareId, expiresAtSeconds) {
+  const db = getPool();
+  await db.query(
+    `UPDATE shared_images
+     SET expires_at = ${expiresAtSeconds === null ? "NULL" : "FROM_UNIXTIME(?)"}
+     WHERE share_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    expiresAtSeconds === null ? [shareId] : [expiresAtSeconds, shareId]
+  );
+}
+
+export async function setSharedImagePublished(shareId, published) {
+  const db = getPool();
+  await db.query(
+    `UPDATE shared_images
+     SET published_at = ${published ? "COALESCE(published_at, CURRENT_TIMESTAMP)" : "NULL"}
+     WHERE share_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [shareId]
+  );
+}
+
+// One row per share, event type, visitor and UTC day, so repeat hits from the same IP count once a day.
+// Page views also bump `view_count`, which the gallery sorts on.
+export async function recordShareEvent({ shareId, eventType, ipAddress }) {
+  const db = getPool();
+  const [result] = await db.query(
+    `INSERT IGNORE INTO share_events (share_id, event_type, ip_bucket, event_date)
+     VALUES (?, ?, ?, UTC_DATE())`,
+    [shareId, eventType, getIpQuotaBucket(ipAddress) || "unknown"]
+  );
+  if (result.affectedRows > 0 && eventType === "view") {
+    await db.query("UPDATE shared_images SET view_count = view_count + 1 WHERE share_id = ?", [shareId]);
+  }
+}
+
+// Returns a Map of share_id -> { view, image, download, refine } totals.
+export async function getShareEventCounts(shareIds) {
+  const counts = new Map(shareIds.map((shareId) => [shareId, { view: 0, image: 0, download: 0, refine: 0 }]));
+  if (!shareIds.length) {
+    return counts;
+  }
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT share_id, event_type, COUNT(*) AS total
+     FROM share_events
+     WHERE share_id IN (?)
+     GROUP BY share_id, event_type`,
+    [shareIds]
+  );
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const entry = counts.get(row.share_id);
+    if (entry && row.event_type in entry) {
+      entry[row.event_type] = Number(row.total || 0);
+    }
+  }
+  return counts;
+}
+
+// InnoDB's default full-text index skips words under 3 characters, so those fall back to LIKE.
+function buildGallerySearchCondition(query) {
+  const terms = String(query || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8);
+  if (!terms.length) {
+    return null;
+  }
+  const fullTextTerms = terms.filter((term) => term.length >= 3);
+  if (fullTextTerms.length) {
+    return {
+      sql: "MATCH(prompt_text) AGAINST (? IN BOOLEAN MODE)",
+      params: [fullTextTerms.map((term) => "+" + term + "*").join(" ")]
+    };
+  }
+  return {
+    sql: "prompt_text LIKE ?",
+    params: ["%" + terms.join(" ") + "%"]
+  };
+}
+
+// Keyset pagination on (sort value, id); `cursor` is the { value, id } of the last item on the previous page.
+// Publish times travel as unix seconds so the cursor never depends on the Node or MySQL time zone.
+export async function listGalleryImages({ query, sort, limit, cursor }) {
+  const db = getPool();
+  const sortColumn = sort === "most_viewed" ? "view_count" : "published_at";
+  const sortValueSql = sort === "most_viewed" ? "view_count" : "UNIX_TIMESTAMP(published_at)";
+  const cursorValueSql = sort === "most_viewed" ? "?" : "FROM_UNIXTIME(?)";
+  // Each sort filters on the leading column of its index (idx_gallery_newest / idx_gallery_most_viewed).
+  const publishedCondition = sort === "most_viewed" ? "is_published = 1" : "published_at IS NOT NULL";
+  const conditions = [publishedCondition, ACTIVE_SHARE_CONDITION];
+  const params = [];
+
+  const search = buildGallerySearchCondition(query);
+  if (search) {
+    conditions.push(search.sql);
+    params.push(...search.params);
+  }
+  if (cursor) {
+    conditions.push(`(${sortColumn} < ${cursorValueSql} OR (${sortColumn} = ${cursorValueSql} AND id < ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+  params.push(limit + 1);
+
+  const [rows] = await db.query(
+    `SELECT id, ${sortValueSql} AS sort_value, ${SHARED_IMAGE_COLUMNS}
+     FROM shared_images
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY ${sortColumn} DESC, id DESC
+     LIMIT ?`,
+    params
+  );
+  const items = Array.isArray(rows) ? rows : [];
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    nextCursor: hasMore ? { value: Number(last.sort_value), id: Number(last.id) } : null
+  };
+}
+
+// Also drops the stored file and its resized variants unless another live share still points at the same content.
+export async function revokeSharedImage(shareId) {
+  const db = getPool();
+  const sharedImage = await getSharedImageByShareId(shareId);
+  if (!sharedImage || sharedImage.revoked_at) {
+    return;
+  }
+
+  await db.query("UPDATE shared_images SET revoked_at = CURRENT_TIMESTAMP WHERE share_id = ?", [shareId]);
+  if (sharedImage.storage_key && !(await findActiveShareByContentHash(db, sharedImage.content_hash))) {
+    await getBlobStorage().delete(sharedImage.storage_key);
+    await deleteVariants(sharedImage.content_hash);
+  }
+}
+
+export async function insertGenerationJob({ jobId, jobType, ipAddress, ownerTokenHash, debitId }) {
+  const db = getPool();
+  await db.query(
+    `INSERT INTO generation_jobs (job_id, job_type, status, ip_address, owner_token_hash, debit_id)
+     VALUES (?, ?, 'queued', ?, ?, ?)`,
+    [jobId, jobType, ipAddress || null, ownerTokenHash, debitId ?? null]
+  );
+}
+
+export async function markGenerationJobRunning(jobId) {
+  const db = getPool();
+  await db.query(
+    `UPDATE generation_jobs
+     SET status = 'running', started_at = CURRENT_TIMESTAMP
+     WHERE job_id = ?`,
+    [jobId]
+  );
+}
+
+export async function completeGenerationJob(jobId, result) {
+  const db = getPool();
+  await db.query(
+    `UPDATE generation_jobs
+     SET status = 'succeeded', result_json = ?, finished_at = CURRENT_TIMESTAMP
+     WHERE job_id = ?`,
+    [JSON.stringify(result ?? null), jobId]
+  );
+}
+
+export async function failGenerationJob(jobId, { errorMessage, errorCode, statusCode }) {
+  const db = getPool();
+  await db.query(
+    `UPDATE generation_jobs
+     SET status = 'failed', error_message = ?, error_code = ?, status_code = ?, finished_at = CURRENT_TIMESTAMP
+     WHERE job_id = ?`,
+    [
+      errorMessage || null,
+      errorCode || null,
+      Number.isInteger(statusCode) ? statusCode : null,
+      jobId
+    ]
+  );
+}
+
+export async function getGenerationJobById(jobId) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT job_id, job_type, status, owner_token_hash, result_json, error_message, error_code, status_code,
+            created_at, started_at, finished_at
+     FROM generation_jobs
+     WHERE job_id = ?
+     LIMIT 1`,
+    [jobId]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+export async function deleteExpiredGenerationJobs(retentionHours) {
+  const db = getPool();
+  await db.query(
+    `DELETE FROM generation_jobs
+     WHERE status IN ('succeeded', 'failed') AND finished_at < (NOW() - INTERVAL ? HOUR)`,
+    [retentionHours]
+  );
+}
+
+export async function createUser({ email, passwordHash }) {
+  const db = getPool();
+  try {
+    const [result] = await db.query(
+      "INSERT INTO users (email, password_hash, last_login_at) VALUES (?, ?, CURRENT_TIMESTAMP)",
+      [email, passwordHash]
+    );
+    return { id: Number(result.insertId), email };
+  } catch (error) {
+    if (error?.code === "ER_DUP_ENTRY") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export async function getUserByEmail(email) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT id, email, password_hash, created_at
+     FROM users
+     WHERE email = ?
+     LIMIT 1`,
+    [email]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+export async function insertAuthAttempt({ attemptType, email, ipAddress }) {
+  const db = getPool();
+  const [result] = await db.query(
+    "INSERT INTO auth_attempts (attempt_type, email, ip_bucket) VALUES (?, ?, ?)",
+    [attemptType, email, getIpQuotaBucket(ipAddress)]
+  );
+  return result.insertId;
+}
+
+export async function markAuthAttemptSucceeded(attemptId) {
+  const db = getPool();
+  await db.query("UPDATE auth_attempts SET succeeded = 1 WHERE id = ?", [attemptId]);
+}
+
+// Failed attempts only, so people who sign in often are never locked out by their own successes.
+export async function getFailedAuthAttemptUsage({ ipAddress, email, windowSeconds }) {
+  const db = getPool();
+  const countBy = async (column, value) => {
+    const [rows] = await db.query(
+      `SELECT COUNT(*) AS used,
+              TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) AS oldest_age_seconds
+       FROM auth_attempts
+       WHERE ${column} = ? AND succeeded = 0 AND created_at >= (NOW() - INTERVAL ? SECOND)`,
+      [value, windowSeconds]
+    );
+    const oldestAgeSeconds = rows?.[0]?.oldest_age_seconds;
+    return {
+      used: Number(rows?.[0]?.used || 0),
+      oldestAgeSeconds: oldestAgeSeconds === null || oldestAgeSeconds === undefined ? null : Number(oldestAgeSeconds)
+    };
+  };
+  const [byIp, byEmail] = await Promise.all([
+    countBy("ip_bucket", getIpQuotaBucket(ipAddress)),
+    countBy("email", email)
+  ]);
+  return { byIp, byEmail };
+}
+
+export async function deleteOldAuthAttempts(retentionSeconds) {
+  const db = getPool();
+  await db.query("DELETE FROM auth_attempts WHERE created_at < (NOW() - INTERVAL ? SECOND)", [retentionSeconds]);
+}
+
+export async function touchUserLogin(userId) {
+  const db = getPool();
+  await db.query("UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?", [userId]);
+}
+
+export async function insertUserSession({ tokenHash, userId, ttlDays, ipAddress, userAgent }) {
+  const db = getPool();
+  await db.query(
+    `INSERT INTO user_sessions (token_hash, user_id, ip_address, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, NOW() + INTERVAL ? DAY)`,
+    [tokenHash, userId, ipAddress || null, userAgent || null, ttlDays]
+  );
+}
+
+export async function getSessionUser(tokenHash) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT u.id, u.email, u.created_at
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > NOW()
+     LIMIT 1`,
+    [tokenHash]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+export async function deleteUserSession(tokenHash) {
+  const db = getPool();
+  await db.query("DELETE FROM user_sessions WHERE token_hash = ?", [tokenHash]);
+}
+
+export async function deleteExpiredUserSessions() {
+  const db = getPool();
+  await db.query("DELETE FROM user_sessions WHERE expires_at <= NOW()");
+}
+
+const SUBSCRIPTION_COLUMNS = `id, user_id, plan_id, status, provider, provider_subscription_id, provider_customer_id,
+  current_period_start, current_period_end, cancel_at_period_end, created_at, updated_at`;
+
+function toSubscription(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    id: Number(row.id),
+    user_id: Number(row.user_id),
+    cancel_at_period_end: Boolean(row.cancel_at_period_end)
+  };
+}
+
+export async function insertSubscription({ userId, planId, provider }) {
+  const db = getPool();
+  const [result] = await db.query(
+    "INSERT INTO subscriptions (user_id, plan_id, provider) VALUES (?, ?, ?)",
+    [userId, planId, provider]
+  );
+  return Number(result.insertId);
+}
+
+export async function setSubscriptionProviderIds(id, { providerSubscriptionId, providerCustomerId }) {
+  const db = getPool();
+  await db.query(
+    "UPDATE subscriptions SET provider_subscription_id = ?, provider_customer_id = ? WHERE id = ?",
+    [providerSubscriptionId, providerCustomerId || null, id]
+  );
+}
+
+export async function getSubscriptionByProviderId(provider, providerSubscriptionId) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}
+     FROM subscriptions
+     WHERE provider = ? AND provider_subscription_id = ?
+     LIMIT 1`,
+    [provider, providerSubscriptionId]
+  );
+  return toSubscription(rows?.[0]);
+}
+
+// Entitlements only come from an active subscription whose paid period has not run out.
+export async function getActiveSubscription(userId) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}
+     FROM subscriptions
+     WHERE user_id = ? AND status = 'active' AND current_period_end > NOW()
+     ORDER BY id DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return toSubscription(rows?.[0]);
+}
+
+// Newest subscription that got past checkout, whatever its state; abandoned checkouts stay 'pending'.
+export async function getLatestSubscription(userId) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}
+     FROM subscriptions
+     WHERE user_id = ? AND status <> 'pending'
+     ORDER BY id DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return toSubscription(rows?.[0]);
+}
+
+// Webhooks can arrive out of order; an event older than the last one applied is dropped.
+export async function applySubscriptionEvent(id, { status, periodStart, periodEnd, occurredAt }) {
+  const db = getPool();
+  const [result] = await db.query(
+    `UPDATE subscriptions
+     SET status = ?,
+         current_period_start = COALESCE(?, current_period_start),
+         current_period_end = COALESCE(?, current_period_end),
+         last_event_at = ?
+     WHERE id = ? AND (last_event_at IS NULL OR last_event_at <= ?)`,
+    [status, periodStart || null, periodEnd || null, occurredAt, id, occurredAt]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function setSubscriptionCancelAtPeriodEnd(id) {
+  const db = getPool();
+  await db.query("UPDATE subscriptions SET cancel_at_period_end = 1 WHERE id = ?", [id]);
+}
+
+// Returns false when the event was already recorded.
+export async function insertPaymentEvent({ provider, eventId, eventType, providerSubscriptionId }) {
+  const db = getPool();
+  const [result] = await db.query(
+    `INSERT IGNORE INTO payment_events (provider, event_id, event_type, provider_subscription_id)
+     VALUES (?, ?, ?, ?)`,
+    [provider, eventId, eventType, providerSubscriptionId || null]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function deletePaymentEvent({ provider, eventId }) {
+  const db = getPool();
+  await db.query("DELETE FROM payment_events WHERE provider = ? AND event_id = ?", [provider, eventId]);
+}
+
+// Only images that were actually delivered count against a plan.
+export async function getSubscriptionUsage({ subscriptionId, since }) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT COALESCE(SUM(image_count), 0) AS images,
+            COALESCE(SUM(CASE WHEN quality = 'high' THEN image_count ELSE 0 END), 0) AS high_quality_images
+     FROM request_logs
+     WHERE subscription_id = ? AND created_at >= ? AND blocked = 0 AND error_message IS NULL`,
+    [subscriptionId, since]
+  );
+  return {
+    images: Number(rows?.[0]?.images || 0),
+    highQualityImages: Number(rows?.[0]?.high_quality_images || 0)
+  };
+}
+
+async function withTransaction(work) {
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Creates the balance row on first use, then holds its lock until the transaction ends,
+// so concurrent debits for one owner are applied one after another.
+async function lockCreditBalance(connection, ownerType, ownerId) {
+  await connection.query(
+    "INSERT IGNORE INTO credit_balances (owner_type, owner_id, balance) VALUES (?, ?, 0)",
+    [ownerType, ownerId]
+  );
+  const [rows] = await connection.query(
+    "SELECT balance FROM credit_balances WHERE owner_type = ? AND owner_id = ? FOR UPDATE",
+    [ownerType, ownerId]
+  );
+  return Number(rows[0].balance);
+}
+
+async function recordCreditTransaction(connection, { ownerType, ownerId, kind, amount, balanceAfter, referenceId, requestType, description }) {
+  await connection.query(
+    "UPDATE credit_balances SET balance = ? WHERE owner_type = ? AND owner_id = ?",
+    [balanceAfter, ownerType, ownerId]
+  );
+  const [result] = await connection.query(
+    `INSERT INTO credit_transactions
+      (owner_type, owner_id, kind, amount, balance_after, reference_id, request_type, description)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ownerType, ownerId, kind, amount, balanceAfter, referenceId || null, requestType || null, description || null]
+  );
+  return { id: Number(result.insertId), amount, balanceAfter };
+}
+
+export async function getCreditBalance({ ownerType, ownerId }) {
+  const db = getPool();
+  const [rows] = await db.query(
+    "SELECT balance FROM credit_balances WHERE owner_type = ? AND owner_id = ?",
+    [ownerType, ownerId]
+  );
+  return Number(rows?.[0]?.balance || 0);
+}
+
+// Returns null, changing nothing, when the balance does not cover `amount`.
+export async function debitCredits({ ownerType, ownerId, amount, requestType, description }) {
+  return withTransaction(async (connection) => {
+    const balance = await lockCreditBalance(connection, ownerType, ownerId);
+    if (balance < amount) {
+      return null;
+    }
+    return recordCreditTransaction(connection, {
+      ownerType,
+      ownerId,
+      kind: "debit",
+      amount: -amount,
+      balanceAfter: balance - amount,
+      requestType,
+      description
+    });
+  });
+}
+
+// Gives back up to `amount` of a debit; refunds never add up to more than the debit took.
+// Returns null when nothing is left to refund.
+export async function refundCreditDebit({ debitId, amount, description }) {
+  return withTransaction(async (connection) => {
+    const [debits] = await connection.query(
+      "SELECT owner_type, owner_id, amount, request_type FROM credit_transactions WHERE id = ? AND kind = 'debit'",
+      [debitId]
+    );
+    const debit = debits?.[0];
+    if (!debit) {
+      return null;
+    }
+    const balance = await lockCreditBalance(connection, debit.owner_type, debit.owner_id);
+    const [refunds] = await connection.query(
+      "SELECT COALESCE(SUM(amount), 0) AS refunded FROM credit_transactions WHERE reference_id = ? AND kind = 'refund'",
+      [debitId]
+    );
+    const refundable = -Number(debit.amount) - Number(refunds[0].refunded);
+    const refund = Math.min(amount, refundable);
+    if (refund <= 0) {
+      return null;
+    }
+    return recordCreditTransaction(connection, {
+      ownerType: debit.owner_type,
+      ownerId: debit.owner_id,
+      kind: "refund",
+      amount: refund,
+      balanceAfter: balance + refund,
+      referenceId: debitId,
+      requestType: debit.request_type,
+      description
+    });
+  });
+}
+
+// Manual top-ups and corrections; a negative amount may not take the balance below zero.
+export async function adjustCredits({ ownerType, ownerId, amount, description }) {
+  return withTransaction(async (connection) => {
+    const balance = await lockCreditBalance(connection, ownerType, ownerId);
+    if (balance + amount < 0) {
+      return null;
+    }
+    return recordCreditTransaction(connection, {
+      ownerType,
+      ownerId,
+      kind: "adjustment",
+      amount,
+      balanceAfter: balance + amount,
+      description
+    });
+  });
+}
+
+export async function listCreditTransactions({ ownerType, ownerId, limit, beforeId }) {
+  return listNewestRows({
+    from: "credit_transactions",
+    columns: "kind, amount, balance_after, reference_id, request_type, description, created_at",
+    conditions: ["owner_type = ?", "owner_id = ?"],
+    params: [ownerType, ownerId],
+    limit,
+    beforeId
+  });
+}
+
+function createLibraryImageId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+const LIBRARY_IMAGE_COLUMNS = "image_id, source_tab, mime_type, prompt_text, parent_image_id, created_at";
+
+// Saving the same image twice returns the existing entry instead of a duplicate.
+export async function insertLibraryImage({ userId, sourceTab, mimeType, imageB64, promptText, parentImageId }) {
+  const db = getPool();
+  const contentHash = getContentHash(imageB64);
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const imageId = createLibraryImageId();
+    try {
+      await db.query(
+        `INSERT INTO library_images
+          (image_id, user_id, source_tab, content_hash, mime_type, image_b64, byte_size, prompt_text, parent_image_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          imageId,
+          userId,
+          sourceTab,
+          contentHash,
+          mimeType,
+          imageB64,
+          Buffer.byteLength(imageB64, "base64"),
+          promptText || null,
+          parentImageId || null
+        ]
+      );
+      break;
+    } catch (error) {
+      if (error?.code !== "ER_DUP_ENTRY") {
+        throw error;
+      }
+    }
+  }
+
+  const [rows] = await db.query(
+    `SELECT ${LIBRARY_IMAGE_COLUMNS}
+     FROM library_images
+     WHERE user_id = ? AND content_hash = ?
+     LIMIT 1`,
+    [userId, contentHash]
+  );
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error("Failed to save library image");
+  }
+  return rows[0];
+}
+
+// Keyset pagination on the auto-increment id: `beforeId` is the cursor from the previous page.
+export async function listLibraryImages({ userId, sourceTab, limit, beforeId }) {
+  const db = getPool();
+  const conditions = ["user_id = ?"];
+  const params = [userId];
+  if (sourceTab) {
+    conditions.push("source_tab = ?");
+    params.push(sourceTab);
+  }
+  if (Number.isInteger(beforeId)) {
+    conditions.push("id < ?");
+    params.push(beforeId);
+  }
+  params.push(limit + 1);
+
+  const [rows] = await db.query(
+    `SELECT id, ${LIBRARY_IMAGE_COLUMNS}
+     FROM library_images
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY id DESC
+     LIMIT ?`,
+    params
+  );
+  const items = Array.isArray(rows) ? rows : [];
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore ? Number(page[page.length - 1].id) : null
+  };
+}
+
+export async function countLibraryImages({ userId, sourceTab }) {
+  const db = getPool();
+  const conditions = ["user_id = ?"];
+  const params = [userId];
+  if (sourceTab) {
+    conditions.push("source_tab = ?");
+    params.push(sourceTab);
+  }
+  const [rows] = await db.query(`SELECT COUNT(*) AS count FROM library_images WHERE ${conditions.join(" AND ")}`, params);
+  return Number(rows?.[0]?.count || 0);
+}
+
+export async function getLibraryUsage(userId) {
+  const db = getPool();
+  const [rows] = await db.query(
+    "SELECT COUNT(*) AS count, COALESCE(SUM(byte_size), 0) AS bytes FROM library_images WHERE user_id = ?",
+    [userId]
+  );
+  return { count: Number(rows?.[0]?.count || 0), bytes: Number(rows?.[0]?.bytes || 0) };
+}
+
+export async function hasLibraryImageContent({ userId, imageB64 }) {
+  const db = getPool();
+  const [rows] = await db.query(
+    "SELECT 1 FROM library_images WHERE user_id = ? AND content_hash = ? LIMIT 1",
+    [userId, getContentHash(imageB64)]
+  );
+  return Array.isArray(rows) && rows.length > 0;
+}
+
+export async function getLibraryImage({ userId, imageId }) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT ${LIBRARY_IMAGE_COLUMNS}, image_b64
+     FROM library_images
+     WHERE user_id = ? AND image_id = ?
+     LIMIT 1`,
+    [userId, imageId]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+export async function deleteLibraryImage({ userId, imageId }) {
+  const db = getPool();
+  const [result] = await db.query("DELETE FROM library_images WHERE user_id = ? AND image_id = ?", [userId, imageId]);
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+// Admin tables page newest first on the auto-increment id; `beforeId` is the cursor from the previous page.
+async function listNewestRows({ from, columns, conditions, params, limit, beforeId, idColumn = "id" }) {
+  const db = getPool();
+  const where = [...conditions];
+  const queryParams = [...params];
+  if (Number.isInteger(beforeId)) {
+    where.push(idColumn + " < ?");
+    queryParams.push(beforeId);
+  }
+  queryParams.push(limit + 1);
+
+  const [rows] = await db.query(
+    `SELECT ${idColumn} AS id, ${columns}
+     FROM ${from}
+     ${where.length ? "WHERE " + where.join(" AND ") : ""}
+     ORDER BY ${idColumn} DESC
+     LIMIT ?`,
+    queryParams
+  );
+  const items = Array.isArray(rows) ? rows : [];
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore ? Number(page[page.length - 1].id) : null
+  };
+}
+
+// `from` / `to` are inclusive YYYY-MM-DD days in the database time zone.
+function pushCreatedAtRange(conditions, params, { from, to }, column = "created_at") {
+  if (from) {
+    conditions.push(column + " >= ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(column + " < (? + INTERVAL 1 DAY)");
+    params.push(to);
+  }
+}
+
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, "\\$&");
+}
+
+function toLikePattern(text) {
+  return "%" + escapeLike(text) + "%";
+}
+
+export async function listRequestLogs({ ipAddress, requestType, keySource, blocked, failed, query, from, to, limit, beforeId }) {
+  const conditions = [];
+  const params = [];
+  if (ipAddress) {
+    conditions.push("ip_address = ?");
+    params.push(ipAddress);
+  }
+  if (requestType) {
+    conditions.push("request_type = ?");
+    params.push(requestType);
+  }
+  if (keySource) {
+    conditions.push("key_source = ?");
+    params.push(keySource);
+  }
+  if (typeof blocked === "boolean") {
+    conditions.push("blocked = ?");
+    params.push(blocked ? 1 : 0);
+  }
+  if (typeof failed === "boolean") {
+    conditions.push(failed ? "error_message IS NOT NULL" : "error_message IS NULL");
+  }
+  if (query) {
+    conditions.push("(prompt_text LIKE ? OR error_message LIKE ?)");
+    params.push(toLikePattern(query), toLikePattern(query));
+  }
+  pushCreatedAtRange(conditions, params, { from, to });
+
+  return listNewestRows({
+    from: "request_logs",
+    columns: `ip_address, request_type, key_source, api_key_fingerprint, prompt_text, size, quality, output_format,
+      image_count, blocked, error_message, user_agent, created_at`,
+    conditions,
+    params,
+    limit,
+    beforeId
+  });
+}
+
+// Never selects the stored key itself, only its fingerprint and usage.
+export async function listApiKeys({ fingerprint, ipAddress, limit, beforeId }) {
+  const conditions = [];
+  const params = [];
+  if (fingerprint) {
+    conditions.push("k.fingerprint LIKE ?");
+    params.push(escapeLike(fingerprint) + "%");
+  }
+  if (ipAddress) {
+    conditions.push("k.first_seen_ip = ?");
+    params.push(ipAddress);
+  }
+
+  return listNewestRows({
+    from: "api_keys k",
+    idColumn: "k.id",
+    columns: `k.fingerprint, k.first_seen_ip, k.created_at, k.last_used_at,
+      (SELECT COUNT(*) FROM request_logs r WHERE r.api_key_id = k.id) AS request_count,
+      (SELECT COALESCE(SUM(r.image_count), 0) FROM request_logs r WHERE r.api_key_id = k.id AND r.blocked = 0 AND r.error_message IS NULL) AS image_count`,
+    conditions,
+    params,
+    limit,
+    beforeId
+  });
+}
+
+export async function listSubscriptionInterestEvents({ eventType, ipAddress, from, to, limit, beforeId }) {
+  const conditions = [];
+  const params = [];
+  if (eventType) {
+    conditions.push("event_type = ?");
+    params.push(eventType);
+  }
+  if (ipAddress) {
+    conditions.push("ip_address = ?");
+    params.push(ipAddress);
+  }
+  pushCreatedAtRange(conditions, params, { from, to });
+
+  return listNewestRows({
+    from: "subscription_interest_events",
+    columns: "event_type, reason, ip_address, user_agent, created_at",
+    conditions,
+    params,
+    limit,
+    beforeId
+  });
+}
+
+export async function listSubscriptionInterestSubmissions({ query, from, to, limit, beforeId }) {
+  const conditions = [];
+  const params = [];
+  if (query) {
+    conditions.push("(email LIKE ? OR comments LIKE ?)");
+    params.push(toLikePattern(query), toLikePattern(query));
+  }
+  pushCreatedAtRange(conditions, params, { from, to });
+
+  return listNewestRows({
+    from: "subscription_interest_submissions",
+    columns: "email, willingness_amount, reason, comments, ip_address, user_agent, created_at",
+    conditions,
+    params,
+    limit,
+    beforeId
+  });
+}
+
+const CONTACT_MESSAGE_COLUMNS = "email, message, ip_address, user_agent, status, notes, replied_at, updated_at, created_at";
+
+// `status` is unread, read or archived; "inbox" means anything not archived.
+export async function listContactMessages({ status, replied, query, from, to, limit, beforeId }) {
+  const conditions = [];
+  const params = [];
+  if (status === "inbox") {
+    conditions.push("status <> 'archived'");
+  } else if (status) {
+    conditions.push("status = ?");
+    params.push(status);
+  }
+  if (typeof replied === "boolean") {
+    conditions.push(replied ? "replied_at IS NOT NULL" : "replied_at IS NULL");
+  }
+  if (query) {
+    conditions.push("(email LIKE ? OR message LIKE ?)");
+    params.push(toLikePattern(query), toLikePattern(query));
+  }
+  pushCreatedAtRange(conditions, params, { from, to });
+
+  return listNewestRows({
+    from: "contact_messages",
+    columns: CONTACT_MESSAGE_COLUMNS,
+    conditions,
+    params,
+    limit,
+    beforeId
+  });
+}
+
+// Rows without a reason (recorded before reasons were tracked) come back as "unattributed".
+export async function getInterestEventCounts({ from, to }) {
+  const db = getPool();
+  const conditions = [];
+  const params = [];
+  pushCreatedAtRange(conditions, params, { from, to });
+  const [rows] = await db.query(
+    `SELECT COALESCE(reason, 'unattributed') AS reason, event_type, COUNT(*) AS events, COUNT(DISTINCT ip_address) AS visitors
+     FROM subscription_interest_events
+     ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+     GROUP BY COALESCE(reason, 'unattributed'), event_type`,
+    params
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    reason: row.reason,
+    event_type: row.event_type,
+    events: Number(row.events || 0),
+    visitors: Number(row.visitors || 0)
+  }));
+}
+
+export async function getInterestSubmissionCounts({ from, to }) {
+  const db = getPool();
+  const conditions = [];
+  const params = [];
+  pushCreatedAtRange(conditions, params, { from, to });
+  const [rows] = await db.query(
+    `SELECT COALESCE(reason, 'unattributed') AS reason, COUNT(*) AS submissions, COUNT(DISTINCT email) AS emails
+     FROM subscription_interest_submissions
+     ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""}
+     GROUP BY COALESCE(reason, 'unattributed')`,
+    params
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    reason: row.reason,
+    submissions: Number(row.submissions || 0),
+    emails: Number(row.emails || 0)
+  }));
+}
+
+export async function listWillingnessAmounts({ from, to }) {
+  const db = getPool();
+  const conditions = ["willingness_amount IS NOT NULL"];
+  const params = [];
+  pushCreatedAtRange(conditions, params, { from, to });
+  const [rows] = await db.query(
+    `SELECT COALESCE(reason, 'unattributed') AS reason, willingness_amount
+     FROM subscription_interest_submissions
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY willingness_amount`,
+    params
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    reason: row.reason,
+    amount: Number(row.willingness_amount)
+  }));
+}
+
+export async function countUnreadContactMessages() {
+  const db = getPool();
+  const [rows] = await db.query("SELECT COUNT(*) AS count FROM contact_messages WHERE status = 'unread'");
+  return Number(rows?.[0]?.count || 0);
+}
+
+// Only the fields passed are changed; `replied` sets or clears `replied_at`. Returns the updated row, or null.
+export async function updateContactMessage(id, { status, notes, replied }) {
+  const db = getPool();
+  const assignments = ["updated_at = CURRENT_TIMESTAMP"];
+  const params = [];
+  if (status !== undefined) {
+    assignments.push("status = ?");
+    params.push(status);
+  }
+  if (notes !== undefined) {
+    assignments.push("notes = ?");
+    params.push(notes || null);
+  }
+  if (replied !== undefined) {
+    assignments.push(replied ? "replied_at = COALESCE(replied_at, CURRENT_TIMESTAMP)" : "replied_at = NULL");
+  }
+  const [result] = await db.query(
+    `UPDATE contact_messages SET ${assignments.join(", ")} WHERE id = ?`,
+    [...params, id]
+  );
+  if (!Number(result?.affectedRows || 0)) {
+    return null;
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, ${CONTACT_MESSAGE_COLUMNS}
+     FROM contact_messages
+     WHERE id = ?
+     LIMIT 1`,
+    [id]
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+// Everything below covers the last `days` calendar days, today included, grouped by day in the database time zone.
+// A row is "blocked" when the free quota refused it and "failed" when it reached the provider and errored.
+export async function getDailyRequestCounts(days) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') AS day, request_type, key_source,
+            COUNT(*) AS total,
+            SUM(blocked = 0 AND error_message IS NULL) AS succeeded,
+            SUM(CASE WHEN blocked = 0 AND error_message IS NULL THEN image_count ELSE 0 END) AS images,
+            SUM(blocked = 1) AS blocked,
+            SUM(blocked = 0 AND error_message IS NOT NULL) AS failed
+     FROM request_logs
+     WHERE created_at >= (CURDATE() - INTERVAL ? DAY)
+     GROUP BY day, request_type, key_source
+     ORDER BY day`,
+    [days - 1]
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    day: row.day,
+    request_type: row.request_type,
+    key_source: row.key_source,
+    total: Number(row.total || 0),
+    succeeded: Number(row.succeeded || 0),
+    images: Number(row.images || 0),
+    blocked: Number(row.blocked || 0),
+    failed: Number(row.failed || 0)
+  }));
+}
+
+export async function getTopRequestIps({ days, limit }) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT ip_address, COUNT(*) AS total,
+            SUM(CASE WHEN blocked = 0 AND error_message IS NULL THEN image_count ELSE 0 END) AS images,
+            SUM(blocked = 1) AS blocked,
+            SUM(blocked = 0 AND error_message IS NOT NULL) AS failed,
+            COUNT(DISTINCT api_key_fingerprint) AS api_keys,
+            MAX(created_at) AS last_seen_at
+     FROM request_logs
+     WHERE created_at >= (CURDATE() - INTERVAL ? DAY)
+     GROUP BY ip_address
+     ORDER BY total DESC
+     LIMIT ?`,
+    [days - 1, limit]
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    ip_address: row.ip_address,
+    total: Number(row.total || 0),
+    images: Number(row.images || 0),
+    blocked: Number(row.blocked || 0),
+    failed: Number(row.failed || 0),
+    api_keys: Number(row.api_keys || 0),
+    last_seen_at: row.last_seen_at
+  }));
+}
+
+// Messages are grouped on their first 200 characters so near-identical provider errors land together.
+export async function getErrorMessageBreakdown({ days, limit }) {
+  const db = getPool();
+  const [rows] = await db.query(
+    `SELECT LEFT(error_message, 200) AS error_message, blocked, COUNT(*) AS total, MAX(created_at) AS last_seen_at
+     FROM request_logs
+     WHERE created_at >= (CURDATE() - INTERVAL ? DAY) AND error_message IS NOT NULL
+     GROUP BY LEFT(error_message, 200), blocked
+     ORDER BY total DESC
+     LIMIT ?`,
+    [days - 1, limit]
+  );
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    error_message: row.error_message,
+    blocked: Boolean(Number(row.blocked)),
+    total: Number(row.total || 0),
+    last_seen_at: row.last_seen_at
+  }));
+}
@@ -0,0 +1,21 @@
+import { recordShareEvent } from "./requestLogStore.js";
+import { getClientIp } from "../utils/clientIp.js";
+
+// Counting never blocks or fails the response it rides on.
+export function trackShareEvent(req, shareId, eventType) {
+  if (req.method === "HEAD") {
+    return;
+  }
+  recordShareEvent({ shareId, eventType, ipAddress: getClientIp(req) }).catch((error) => {
+    console.error("Failed to record share " + eventType + ":", error);
+  });
+}
+
+export function formatShareStats(counts) {
+  return {
+    views: counts?.view || 0,
+    image_fetches: counts?.image || 0,
+    downloads: counts?.download || 0,
+    refine_clicks: counts?.refine || 0
+  };
+}
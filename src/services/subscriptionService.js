@@ -0,0 +1,223 @@
+import { SUBSCRIPTION_PLANS } from "../config/constants.js";
+import { getPaymentProvider } from "./payments/index.js";
+import {
+  applySubscriptionEvent,
+  deletePaymentEvent,
+  getActiveSubscription,
+  getLatestSubscription,
+  getSubscriptionByProviderId,
+  getSubscriptionUsage,
+  insertPaymentEvent,
+  insertSubscription,
+  setSubscriptionCancelAtPeriodEnd,
+  setSubscriptionProviderIds
+} from "./requestLogStore.js";
+
+const PLAN_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const DEFAULT_PLANS = [
+  { id: "basic", name: "Basic", price_cents: 900, currency: "usd", image_limit: 200, high_quality_limit: 0 },
+  { id: "pro", name: "Pro", price_cents: 2900, currency: "usd", image_limit: 1000, high_quality_limit: 200 }
+];
+const EVENT_STATUSES = { activated: "active", past_due: "past_due", cancelled: "cancelled" };
+
+// Limits are images per billing period. High-quality images count toward image_limit as well as
+// their own high_quality_limit; 0 leaves high quality out of the plan.
+function parsePlan(rawPlan, index) {
+  const label = "SUBSCRIPTION_PLANS[" + index + "]";
+  if (!rawPlan || typeof rawPlan !== "object") {
+    throw new Error(label + " must be an object.");
+  }
+  if (typeof rawPlan.id !== "string" || !PLAN_ID_PATTERN.test(rawPlan.id)) {
+    throw new Error(label + ".id must be 1-32 lowercase letters, digits, dashes or underscores.");
+  }
+  if (typeof rawPlan.name !== "string" || !rawPlan.name.trim()) {
+    throw new Error(label + ".name must be a non-empty string.");
+  }
+  if (!Number.isInteger(rawPlan.price_cents) || rawPlan.price_cents < 0) {
+    throw new Error(label + ".price_cents must be a non-negative integer.");
+  }
+  if (!Number.isInteger(rawPlan.image_limit) || rawPlan.image_limit < 1) {
+    throw new Error(label + ".image_limit must be a positive integer.");
+  }
+  if (!Number.isInteger(rawPlan.high_quality_limit) || rawPlan.high_quality_limit < 0) {
+    throw new Error(label + ".high_quality_limit must be a non-negative integer.");
+  }
+
+  return {
+    id: rawPlan.id,
+    name: rawPlan.name.trim(),
+    priceCents: rawPlan.price_cents,
+    currency: typeof rawPlan.currency === "string" && rawPlan.currency.trim() ? rawPlan.currency.trim().toLowerCase() : "usd",
+    imageLimit: rawPlan.image_limit,
+    highQualityLimit: rawPlan.high_quality_limit
+  };
+}
+
+function parsePlans(rawValue) {
+  if (!rawValue.trim()) {
+    return DEFAULT_PLANS.map(parsePlan);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch {
+    throw new Error("SUBSCRIPTION_PLANS must be a JSON array of plans.");
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("SUBSCRIPTION_PLANS must be a non-empty JSON array of plans.");
+  }
+  const plans = parsed.map(parsePlan);
+  if (new Set(plans.map((plan) => plan.id)).size !== plans.length) {
+    throw new Error("SUBSCRIPTION_PLANS ids must be unique.");
+  }
+  return plans;
+}
+
+const plans = parsePlans(SUBSCRIPTION_PLANS);
+
+function createBillingError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function requirePaymentProvider() {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    throw createBillingError(404, "BILLING_DISABLED", "Subscriptions are not available.");
+  }
+  return provider;
+}
+
+export function isBillingEnabled() {
+  return Boolean(getPaymentProvider());
+}
+
+export function listPlans() {
+  return plans;
+}
+
+export function getPlan(planId) {
+  return plans.find((plan) => plan.id === planId) || null;
+}
+
+// Null without an active subscription (or when its plan was removed from SUBSCRIPTION_PLANS).
+export async function getSubscriptionAllowance(userId) {
+  const subscription = await getActiveSubscription(userId);
+  const plan = subscription ? getPlan(subscription.plan_id) : null;
+  if (!plan) {
+    if (subscription) {
+      console.warn("Subscription " + subscription.id + " is on unknown plan \"" + subscription.plan_id + "\".");
+    }
+    return null;
+  }
+
+  const usage = await getSubscriptionUsage({
+    subscriptionId: subscription.id,
+    since: subscription.current_period_start || subscription.created_at
+  });
+  const remaining = Math.max(0, plan.imageLimit - usage.images);
+  return {
+    subscription,
+    plan,
+    used: usage.images,
+    remaining,
+    highQualityUsed: usage.highQualityImages,
+    highQualityRemaining: Math.min(remaining, Math.max(0, plan.highQualityLimit - usage.highQualityImages))
+  };
+}
+
+// Same idea as checkFreeUsage: null when the account has no subscription, otherwise the allowance
+// plus whether this request fits; `exceeded` names the limit that does not.
+export async function checkSubscriptionUsage({ userId, quality, imageCount }) {
+  const allowance = await getSubscriptionAllowance(userId);
+  if (!allowance) {
+    return null;
+  }
+  let exceeded = null;
+  if (quality === "high" && allowance.highQualityRemaining < imageCount) {
+    exceeded = "high_quality";
+  } else if (allowance.remaining < imageCount) {
+    exceeded = "images";
+  }
+  return { ...allowance, allowed: !exceeded, exceeded };
+}
+
+export async function getSubscriptionOverview(userId) {
+  const subscription = await getLatestSubscription(userId);
+  if (!subscription) {
+    return null;
+  }
+  return {
+    subscription,
+    plan: getPlan(subscription.plan_id),
+    allowance: subscription.status === "active" ? await getSubscriptionAllowance(userId) : null
+  };
+}
+
+export async function startCheckout({ account, planId, returnUrl }) {
+  const provider = requirePaymentProvider();
+  const plan = getPlan(planId);
+  if (!plan) {
+    throw createBillingError(400, "UNKNOWN_PLAN", "Choose one of the available plans.");
+  }
+  if (await getActiveSubscription(account.id)) {
+    throw createBillingError(409, "ALREADY_SUBSCRIBED", "You already have an active subscription.");
+  }
+
+  const subscriptionId = await insertSubscription({ userId: account.id, planId: plan.id, provider: provider.name });
+  const checkout = await provider.createCheckout({ subscriptionId, plan, email: account.email, returnUrl });
+  await setSubscriptionProviderIds(subscriptionId, checkout);
+  return checkout.checkoutUrl;
+}
+
+// Access continues until the paid period ends; the provider's "cancelled" webhook closes it out.
+export async function cancelSubscription(account) {
+  const subscription = await getActiveSubscription(account.id);
+  if (!subscription) {
+    throw createBillingError(404, "NO_SUBSCRIPTION", "You have no active subscription.");
+  }
+  if (!subscription.cancel_at_period_end) {
+    await requirePaymentProvider().cancelSubscription(subscription.provider_subscription_id);
+    await setSubscriptionCancelAtPeriodEnd(subscription.id);
+  }
+}
+
+// Returns what happened to the event: applied, stale (older than one already applied), duplicate or ignored.
+export async function handlePaymentWebhook({ headers, rawBody }) {
+  const provider = requirePaymentProvider();
+  const event = provider.parseWebhook({ headers, rawBody });
+  if (!event) {
+    return "ignored";
+  }
+  const claimed = await insertPaymentEvent({
+    provider: provider.name,
+    eventId: event.id,
+    eventType: event.type,
+    providerSubscriptionId: event.providerSubscriptionId
+  });
+  if (!claimed) {
+    return "duplicate";
+  }
+
+  try {
+    const subscription = await getSubscriptionByProviderId(provider.name, event.providerSubscriptionId);
+    if (!subscription) {
+      console.warn("Payment webhook for unknown subscription " + event.providerSubscriptionId + ".");
+      return "ignored";
+    }
+    const applied = await applySubscriptionEvent(subscription.id, {
+      status: EVENT_STATUSES[event.type],
+      periodStart: event.periodStart,
+      periodEnd: event.periodEnd,
+      occurredAt: event.occurredAt
+    });
+    return applied ? "applied" : "stale";
+  } catch (error) {
+    // Forget the delivery so the provider's retry is not dropped as a duplicate.
+    await deletePaymentEvent({ provider: provider.name, eventId: event.id }).catch(console.error);
+    throw error;
+  }
+}
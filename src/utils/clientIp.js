@@ -0,0 +1,187 @@
+import net from "node:net";
+import { CLIENT_IP_HEADER, TRUSTED_PROXIES } from "../config/constants.js";
+
+const CLIENT_IP_HEADERS = new Set(["x-forwarded-for", "forwarded", "x-real-ip"]);
+
+function expandIpv6(address) {
+  let head = address;
+  let tail = "";
+  const doubleColon = address.indexOf("::");
+  if (doubleColon !== -1) {
+    head = address.slice(0, doubleColon);
+    tail = address.slice(doubleColon + 2);
+  }
+
+  const toGroups = (part) => {
+    if (!part) return [];
+    return part.split(":").flatMap((group) => {
+      // An embedded IPv4 tail (e.g. 64:ff9b::1.2.3.4) covers the last two groups.
+      if (group.includes(".")) {
+        const octets = group.split(".").map(Number);
+        return [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]];
+      }
+      return [parseInt(group, 16)];
+    });
+  };
+
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const zeros = new Array(8 - headGroups.length - tailGroups.length).fill(0);
+  return [...headGroups, ...zeros, ...tailGroups];
+}
+
+// RFC 5952: lowercase, no leading zeros, longest run of two or more zero groups collapsed.
+function compressIpv6(groups) {
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let index = 0; index < groups.length; ) {
+    if (groups[index] !== 0) {
+      index += 1;
+      continue;
+    }
+    let end = index;
+    while (end < groups.length && groups[end] === 0) end += 1;
+    if (end - index > bestLength) {
+      bestStart = index;
+      bestLength = end - index;
+    }
+    index = end;
+  }
+
+  const hex = groups.map((group) => group.toString(16));
+  if (bestLength < 2) {
+    return hex.join(":");
+  }
+  return hex.slice(0, bestStart).join(":") + "::" + hex.slice(bestStart + bestLength).join(":");
+}
+
+// Accepts the forms proxies put in headers: "1.2.3.4", "1.2.3.4:5678", "[2001:db8::1]:443",
+// "2001:DB8::1%eth0", "::ffff:1.2.3.4", "::ffff:7f00:1". Returns a canonical address or null.
+export function parseIpAddress(raw) {
+  if (typeof raw !== "string") return null;
+  let value = raw.trim().replace(/^"|"$/g, "");
+  if (!value) return null;
+
+  const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    value = bracketed[1];
+  } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(value)) {
+    value = value.slice(0, value.lastIndexOf(":"));
+  }
+  value = value.replace(/%.*$/, "");
+
+  if (net.isIPv4(value)) {
+    return value;
+  }
+  if (!net.isIPv6(value)) {
+    return null;
+  }
+
+  const groups = expandIpv6(value.toLowerCase());
+  // IPv4-mapped (::ffff:0:0/96) in any spelling, "::ffff:1.2.3.4" or "::ffff:102:304", is the IPv4 client.
+  if (groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff) {
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join(".");
+  }
+  return compressIpv6(groups);
+}
+
+// Free quota is counted per IPv4 address but per IPv6 /64, since a single subscriber
+// usually controls a whole /64 and could otherwise rotate addresses freely.
+export function getIpQuotaBucket(ipAddress) {
+  const parsed = parseIpAddress(ipAddress);
+  if (!parsed) return ipAddress || "unknown";
+  if (net.isIPv4(parsed)) return parsed;
+
+  const groups = expandIpv6(parsed);
+  return compressIpv6([...groups.slice(0, 4), 0, 0, 0, 0]) + "/64";
+}
+
+export function createTrustedProxyList(rawCidrs) {
+  const blockList = new net.BlockList();
+  const entries = String(rawCidrs || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const [rawAddress, rawPrefix] = entry.split("/");
+    const address = parseIpAddress(rawAddress);
+    if (!address) {
+      throw new Error("Invalid TRUSTED_PROXIES entry \"" + entry + "\".");
+    }
+    const type = net.isIPv4(address) ? "ipv4" : "ipv6";
+    const maxPrefix = type === "ipv4" ? 32 : 128;
+    const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      throw new Error("Invalid prefix length in TRUSTED_PROXIES entry \"" + entry + "\".");
+    }
+    blockList.addSubnet(address, prefix, type);
+  }
+
+  return {
+    has(rawAddress) {
+      const address = parseIpAddress(rawAddress);
+      if (!address) return false;
+      return blockList.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+    }
+  };
+}
+
+function parseXForwardedFor(headerValue) {
+  return String(headerValue || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// RFC 7239: `Forwarded: for=192.0.2.60;proto=http, for="[2001:db8::1]:4711"`.
+function parseForwarded(headerValue) {
+  const hops = [];
+  for (const element of String(headerValue || "").split(",")) {
+    const forPair = element
+      .split(";")
+      .map((pair) => pair.trim())
+      .find((pair) => pair.toLowerCase().startsWith("for="));
+    if (forPair) {
+      hops.push(forPair.slice(4).trim());
+    }
+  }
+  return hops;
+}
+
+function getForwardedChain(req, header) {
+  if (header === "forwarded") {
+    return parseForwarded(req.get("forwarded"));
+  }
+  if (header === "x-real-ip") {
+    const realIp = req.get("x-real-ip");
+    return realIp ? [realIp.trim()] : [];
+  }
+  return parseXForwardedFor(req.get("x-forwarded-for"));
+}
+
+// Walks the forwarded chain from the right: each hop appended by a trusted proxy is peeled off
+// until we reach the first address that a trusted proxy vouches for but is not itself a proxy.
+// Entries left of that point are client-supplied and ignored.
+export function createClientIpResolver({ trustedProxies, header = "x-forwarded-for" }) {
+  if (!CLIENT_IP_HEADERS.has(header)) {
+    throw new Error("Unknown CLIENT_IP_HEADER \"" + header + "\". Use x-forwarded-for, forwarded, or x-real-ip.");
+  }
+  const trusted = createTrustedProxyList(trustedProxies);
+
+  return function resolveClientIp(req) {
+    let clientIp = parseIpAddress(req.socket?.remoteAddress);
+    if (!clientIp) return "unknown";
+
+    const chain = getForwardedChain(req, header);
+    while (trusted.has(clientIp) && chain.length) {
+      const hop = parseIpAddress(chain.pop());
+      // Obfuscated or malformed hops ("unknown", "_hidden") end the walk at the last known proxy.
+      if (!hop) break;
+      clientIp = hop;
+    }
+    return clientIp;
+  };
+}
+
+export const getClientIp = createClientIpResolver({ trustedProxies: TRUSTED_PROXIES, header: CLIENT_IP_HEADER });
@@ -0,0 +1,17 @@
+// Text cells that start like a formula get a leading apostrophe so spreadsheets show them as text.
+function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? "\"" + text.replaceAll("\"", "\"\"") + "\"" : text;
+}
+
+// `columns` is a list of row keys; returns the header line plus one CRLF-terminated line per row.
+export function formatCsv(columns, rows) {
+  const lines = [columns.join(","), ...rows.map((row) => columns.map((column) => formatCsvCell(row[column])).join(","))];
+  return lines.join("\r\n") + "\r\n";
+}
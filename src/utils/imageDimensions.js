@@ -0,0 +1,87 @@
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export function isPngBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+export function readPngInfo(buffer) {
+  if (!isPngBuffer(buffer)) {
+    return null;
+  }
+
+  const info = {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    colorType: buffer.length > 25 ? buffer[25] : null,
+    hasTransparencyChunk: false
+  };
+
+  // Walk the chunk list until the image data starts; tRNS must precede IDAT.
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const chunkLength = buffer.readUInt32BE(offset);
+    const chunkType = buffer.toString("ascii", offset + 4, offset + 8);
+    if (chunkType === "tRNS") {
+      info.hasTransparencyChunk = true;
+      break;
+    }
+    if (chunkType === "IDAT" || chunkType === "IEND") {
+      break;
+    }
+    offset += 12 + chunkLength;
+  }
+
+  return info;
+}
+
+export function pngHasAlpha(info) {
+  if (!info) return false;
+  return info.colorType === 4 || info.colorType === 6 || info.hasTransparencyChunk;
+}
+
+export function readImageDimensions(buffer, mimeType) {
+  try {
+    if (mimeType === "image/png" && buffer.length >= 24) {
+      return {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20)
+      };
+    }
+
+    if (mimeType === "image/jpeg" && buffer.length >= 4) {
+      let offset = 2;
+      while (offset < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          offset += 1;
+          continue;
+        }
+
+        const marker = buffer[offset + 1];
+        if (!marker || marker === 0xd8 || marker === 0xd9) {
+          offset += 2;
+          continue;
+        }
+
+        const segmentLength = buffer.readUInt16BE(offset + 2);
+        const isSofMarker = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+        if (isSofMarker && offset + 8 < buffer.length) {
+          return {
+            height: buffer.readUInt16BE(offset + 5),
+            width: buffer.readUInt16BE(offset + 7)
+          };
+        }
+
+        if (!segmentLength || segmentLength < 2) {
+          break;
+        }
+
+        offset += 2 + segmentLength;
+      }
+    }
+  } catch {
+    return null;
+  }
+
+  return null;
+}
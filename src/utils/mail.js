@@ -0,0 +1,200 @@
+import crypto from "node:crypto";
+import net from "node:net";
+import os from "node:os";
+import tls from "node:tls";
+
+function encodeHeaderValue(value) {
+  const text = String(value || "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(text) ? text : "=?UTF-8?B?" + Buffer.from(text, "utf8").toString("base64") + "?=";
+}
+
+function getAddressDomain(address) {
+  return String(address).split("@").pop().replace(/>$/, "") || os.hostname();
+}
+
+// Plain-text RFC 5322 message; the body goes out as base64 so long lines and non-ASCII text need no escaping.
+export function buildMailMessage({ from, to, subject, text, replyTo }) {
+  const headers = [
+    "From: " + from,
+    "To: " + to.join(", "),
+    "Subject: " + encodeHeaderValue(subject),
+    "Date: " + new Date().toUTCString().replace("GMT", "+0000"),
+    "Message-ID: <" + crypto.randomUUID() + "@" + getAddressDomain(from) + ">",
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64"
+  ];
+  if (replyTo) {
+    headers.push("Reply-To: " + String(replyTo).replace(/[\r\n]+/g, " "));
+  }
+  const body = Buffer.from(String(text || "").replace(/\r?\n/g, "\r\n"), "utf8").toString("base64");
+  return headers.join("\r\n") + "\r\n\r\n" + body.replace(/.{1,76}/g, "$&\r\n");
+}
+
+// Collects SMTP replies ("250-..." continuation lines end at "250 ...") from whichever socket is attached.
+function createReplyReader() {
+  let socket = null;
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  function settle() {
+    while (waiters.length && (replies.length || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length) {
+        waiter.resolve(replies.shift());
+      } else {
+        waiter.reject(failure);
+      }
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onError(error) {
+    failure = error;
+    settle();
+  }
+
+  function onClose() {
+    onError(failure || new Error("SMTP connection closed unexpectedly."));
+  }
+
+  return {
+    attach(nextSocket) {
+      socket = nextSocket;
+      socket.on("data", onData).on("error", onError).on("close", onClose);
+    },
+    // Must run before a STARTTLS upgrade, or the handshake bytes would be read as replies.
+    detach() {
+      socket?.off("data", onData).off("error", onError).off("close", onClose);
+      socket = null;
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    }
+  };
+}
+
+function destroyOnTimeout(socket, timeoutMs) {
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP server timed out.")));
+}
+
+// The idle timeout is set before connecting, so an unreachable server fails instead of hanging.
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    destroyOnTimeout(socket, timeoutMs);
+    socket.once("error", reject);
+  });
+}
+
+function upgradeToTls(socket, host, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => {
+      clearTimeout(timer);
+      resolve(secureSocket);
+    });
+    const timer = setTimeout(() => secureSocket.destroy(new Error("SMTP server timed out during STARTTLS.")), timeoutMs);
+    secureSocket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+function createSmtpError(reply, command) {
+  const error = new Error("SMTP " + command + " failed: " + reply.lines.join(" "));
+  error.code = "SMTP_" + reply.code;
+  return error;
+}
+
+// Minimal submission client: implicit TLS when `secure`, otherwise STARTTLS whenever the server offers it,
+// then AUTH PLAIN if a username is set. With `requireTls`, credentials are never sent over a plain connection.
+export async function sendSmtpMail({
+  host,
+  port,
+  secure,
+  requireTls = true,
+  username,
+  password,
+  from,
+  to,
+  message,
+  timeoutMs = 15000
+}) {
+  let socket = await connect({ host, port, secure, timeoutMs });
+  const reader = createReplyReader();
+  reader.attach(socket);
+
+  async function command(line, expectedCodes, label = line.split(" ")[0]) {
+    if (line !== null) {
+      socket.write(line + "\r\n");
+    }
+    const reply = await reader.next();
+    if (!expectedCodes.includes(reply.code)) {
+      throw createSmtpError(reply, label);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220], "greeting");
+    const clientName = os.hostname() || "localhost";
+    const ehlo = await command("EHLO " + clientName, [250]);
+    let encrypted = Boolean(secure);
+
+    if (!secure && ehlo.lines.some((line) => /^250[- ]STARTTLS\b/i.test(line))) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket.setTimeout(0);
+      socket = await upgradeToTls(socket, host, timeoutMs);
+      reader.attach(socket);
+      destroyOnTimeout(socket, timeoutMs);
+      await command("EHLO " + clientName, [250]);
+      encrypted = true;
+    }
+
+    if (username) {
+      if (!encrypted && requireTls) {
+        const error = new Error("SMTP server did not offer STARTTLS; refusing to send credentials in plain text.");
+        error.code = "SMTP_TLS_REQUIRED";
+        throw error;
+      }
+      const credentials = Buffer.from("\0" + username + "\0" + (password || ""), "utf8").toString("base64");
+      await command("AUTH PLAIN " + credentials, [235], "AUTH");
+    }
+
+    await command("MAIL FROM:<" + from.replace(/^.*<|>$/g, "") + ">", [250], "MAIL FROM");
+    for (const recipient of to) {
+      await command("RCPT TO:<" + recipient + ">", [250, 251], "RCPT TO");
+    }
+    await command("DATA", [354]);
+    // Dot-stuffing: a line starting with "." gets a second one so it is not read as the terminator.
+    const data = message.replace(/^\./gm, "..");
+    await command(data + (data.endsWith("\r\n") ? "." : "\r\n."), [250], "message");
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
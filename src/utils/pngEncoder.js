@@ -0,0 +1,54 @@
+import zlib from "node:zlib";
+
+const CRC_TABLE = new Uint32Array(256).map((_value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// Encodes 8-bit RGB or RGBA pixels (row-major, no padding) as a PNG.
+export function encodePng({ width, height, pixels, channels = 3 }) {
+  if (channels !== 3 && channels !== 4) {
+    throw new Error("PNG encoder supports 3 or 4 channels.");
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = channels === 4 ? 6 : 2;
+
+  const rowLength = width * channels;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    // Filter type 0 (None) per scanline.
+    raw[y * (rowLength + 1)] = 0;
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createChunk("IHDR", header),
+    createChunk("IDAT", zlib.deflateSync(raw)),
+    createChunk("IEND", Buffer.alloc(0))
+  ]);
+}
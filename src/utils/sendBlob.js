@@ -0,0 +1,83 @@
+// Single-range requests only (e.g. "bytes=0-1023", "bytes=500-", "bytes=-500"); anything else gets the full body.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+}
+
+function etagMatches(header, etag) {
+  return String(header || "")
+    .split(",")
+    .map((value) => value.trim().replace(/^W\//, ""))
+    .some((value) => value === "*" || value === etag);
+}
+
+export async function sendBlob(req, res, storage, { key, contentType, etag, cacheControl, fileName }) {
+  const stats = await storage.stat(key);
+  if (!stats) {
+    return false;
+  }
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", etag);
+  if (cacheControl) {
+    res.setHeader("Cache-Control", cacheControl);
+  }
+  if (fileName) {
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  }
+
+  if (etagMatches(req.get("if-none-match"), etag)) {
+    res.status(304).end();
+    return true;
+  }
+
+  // A stale If-Range validator means the client must start over with the full body.
+  const ifRange = req.get("if-range");
+  const range = req.get("range") && (!ifRange || ifRange === etag) ? parseRange(req.get("range"), stats.size) : null;
+  if (range?.unsatisfiable) {
+    res.setHeader("Content-Range", "bytes */" + stats.size);
+    res.status(416).end();
+    return true;
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", "bytes " + range.start + "-" + range.end + "/" + stats.size);
+    res.setHeader("Content-Length", String(range.end - range.start + 1));
+  } else {
+    res.setHeader("Content-Length", String(stats.size));
+  }
+
+  if (req.method === "HEAD") {
+    res.end();
+    return true;
+  }
+
+  await new Promise((resolve, reject) => {
+    const stream = storage.createReadStream(key, range || undefined);
+    stream.on("error", reject);
+    res.on("close", () => {
+      stream.destroy();
+      resolve();
+    });
+    stream.pipe(res);
+  });
+  return true;
+}